@@ -0,0 +1,27 @@
+// Run the multiplayer room and signaling server.
+//
+//   npm run room-server -- [port] [host]
+//
+// Players on the same network open the game with ?server=<this machine's
+// address>:<port> (the game tries port 9000 on the page's own host by
+// default). See src/server/roomServer.js.
+const { RoomServer } = require("../src/server/roomServer");
+
+const port = parseInt(process.argv[2], 10) || 9000;
+const host = process.argv[3] || "0.0.0.0";
+
+const server = new RoomServer();
+server
+  .listen(port, host)
+  .then((address) => {
+    console.log(`Room server listening on ${address.address}:${address.port}`);
+  })
+  .catch((error) => {
+    console.error("Could not start room server:", error.message);
+    process.exit(1);
+  });
+
+// Close open sockets cleanly on Ctrl+C
+process.on("SIGINT", () => {
+  server.close().then(() => process.exit(0));
+});
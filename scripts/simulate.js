@@ -0,0 +1,51 @@
+// Play many headless runs with the AutoPilot bot and print a summary.
+//
+//   npm run simulate -- [runs] [maxSeconds] [firstSeed]
+//
+// Each run uses its own seed (firstSeed, firstSeed + 1, ...), so the same
+// arguments always give the same numbers.
+const { runSimulations } = require("../src/game/simulation");
+
+const runs = parseInt(process.argv[2], 10) || 100;
+const maxSeconds = parseFloat(process.argv[3]) || 120;
+const firstSeed = parseInt(process.argv[4], 10) || 1;
+
+// The game logs a lot while playing - keep the output to the summary
+const log = console.log;
+console.log = () => {};
+console.warn = () => {};
+
+const startTime = Date.now();
+const results = runSimulations({
+  runs,
+  maxSeconds,
+  firstSeed,
+  onResult: (result, index) => {
+    if ((index + 1) % 100 === 0) {
+      log(`${index + 1}/${runs} runs...`);
+    }
+  },
+});
+
+const average = (key) =>
+  results.reduce((sum, result) => sum + result[key], 0) / results.length;
+const median = (key) => {
+  const values = results.map((result) => result[key]).sort((a, b) => a - b);
+  return values[Math.floor(values.length / 2)];
+};
+
+const deathCauses = {};
+results.forEach((result) => {
+  if (!result.survived) {
+    deathCauses[result.deathCause] = (deathCauses[result.deathCause] || 0) + 1;
+  }
+});
+const survived = results.filter((result) => result.survived).length;
+
+log(`Runs: ${runs} (seeds ${firstSeed}-${firstSeed + runs - 1}), up to ${maxSeconds}s each`);
+log(`Survived: ${survived} (${((survived / runs) * 100).toFixed(1)}%)`);
+log(`Distance: average ${average("distance").toFixed(0)}, median ${median("distance").toFixed(0)}`);
+log(`Score: average ${average("score").toFixed(0)}, median ${median("score")}`);
+log(`Crystals: average ${average("crystals").toFixed(1)}`);
+log("Deaths by obstacle:", deathCauses);
+log(`Took ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
@@ -0,0 +1,11 @@
+// requestAnimationFrame when there is a page to draw, otherwise nothing.
+// Purely visual animations (particles, spinning props) use this so the
+// simulation also runs in Node, where they just stop after their first frame.
+function requestFrame(callback) {
+  if (typeof requestAnimationFrame === "function") {
+    return requestAnimationFrame(callback);
+  }
+  return null;
+}
+
+module.exports = { requestFrame };
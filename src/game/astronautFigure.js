@@ -0,0 +1,175 @@
+const THREE = require("three");
+
+// The simplified astronaut used for other runners on the track (remote
+// players and ghosts): a capsule body, a glass helmet, arms and legs and a
+// name label. options.opacity below 1 makes the whole figure see-through.
+// The parts that move are kept in figure.userData.limbs for
+// poseAstronautFigure.
+function createAstronautFigure(options = {}) {
+  const opacity = options.opacity !== undefined ? options.opacity : 1;
+  const seeThrough = opacity < 1;
+  const playerGroup = new THREE.Group();
+
+  // Everything but the label, so a pose can tip the figure over without
+  // turning it off the track
+  const pose = new THREE.Group();
+  playerGroup.add(pose);
+
+  // Body
+  const bodyGeometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
+  const bodyMaterial = new THREE.MeshPhongMaterial({
+    color: options.color !== undefined ? options.color : 0xffffff,
+    specular: 0x111111,
+    shininess: 30,
+    transparent: seeThrough,
+    opacity: opacity,
+    depthWrite: !seeThrough,
+  });
+
+  const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+  body.position.y = 1;
+  pose.add(body);
+
+  // Helmet
+  const helmetGeometry = new THREE.SphereGeometry(0.5, 16, 16);
+  const helmetMaterial = new THREE.MeshPhongMaterial({
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.8 * opacity,
+    specular: 0x444444,
+    shininess: 100,
+    depthWrite: !seeThrough,
+  });
+
+  const helmet = new THREE.Mesh(helmetGeometry, helmetMaterial);
+  helmet.position.y = 1.75;
+  pose.add(helmet);
+
+  // Arms and legs in the body's color
+  const armGeometry = new THREE.CapsuleGeometry(0.1, 0.5, 4, 8);
+  const legGeometry = new THREE.CapsuleGeometry(0.12, 0.6, 4, 8);
+
+  const leftArm = new THREE.Mesh(armGeometry, bodyMaterial);
+  leftArm.position.set(0.6, 1.2, 0);
+  pose.add(leftArm);
+
+  const rightArm = new THREE.Mesh(armGeometry, bodyMaterial);
+  rightArm.position.set(-0.6, 1.2, 0);
+  pose.add(rightArm);
+
+  const leftLeg = new THREE.Mesh(legGeometry, bodyMaterial);
+  leftLeg.position.set(0.22, 0.3, 0);
+  pose.add(leftLeg);
+
+  const rightLeg = new THREE.Mesh(legGeometry, bodyMaterial);
+  rightLeg.position.set(-0.22, 0.3, 0);
+  pose.add(rightLeg);
+
+  playerGroup.userData.limbs = {
+    pose,
+    leftArm,
+    rightArm,
+    leftLeg,
+    rightLeg,
+  };
+
+  // Add username label - needs a page to draw the text
+  if (options.label && typeof document !== "undefined") {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    canvas.width = 256;
+    canvas.height = 64;
+    context.font = "24px Arial";
+    context.fillStyle = "#FFFFFF";
+    context.textAlign = "center";
+    context.fillText(options.label, 128, 24);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const labelMaterial = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      opacity: seeThrough ? Math.min(1, opacity * 2) : 1,
+    });
+
+    const label = new THREE.Sprite(labelMaterial);
+    label.position.y = 2.5;
+    label.scale.set(2, 0.5, 1);
+    playerGroup.add(label);
+  }
+
+  return playerGroup;
+}
+
+// Put a figure in the pose for a runner's state ({ isJumping, isSliding,
+// isDead }, see Player.getState): the same poses the player's astronaut
+// goes through. time (ms) drives the running stride.
+function poseAstronautFigure(figure, state, time = 0) {
+  const limbs = figure && figure.userData.limbs;
+  if (!limbs) return;
+
+  state = state || {};
+
+  // Standing upright, limbs straight
+  limbs.pose.position.set(0, 0, 0);
+  limbs.pose.rotation.set(0, 0, 0);
+  [limbs.leftArm, limbs.rightArm, limbs.leftLeg, limbs.rightLeg].forEach(
+    (limb) => limb.rotation.set(0, 0, 0)
+  );
+  limbs.leftArm.rotation.z = -Math.PI / 8;
+  limbs.rightArm.rotation.z = Math.PI / 8;
+
+  if (state.isDead) {
+    // Fallen backwards, limbs splayed out
+    limbs.pose.rotation.x = Math.PI / 2;
+    limbs.pose.position.y = 0.5;
+    limbs.leftArm.rotation.z = Math.PI / 2;
+    limbs.rightArm.rotation.z = -Math.PI / 2;
+    limbs.leftLeg.rotation.z = Math.PI / 6;
+    limbs.rightLeg.rotation.z = -Math.PI / 6;
+  } else if (state.isSliding) {
+    // Body down low, arms forward and legs back
+    limbs.pose.rotation.x = Math.PI / 3;
+    limbs.pose.position.y = 0.4;
+    limbs.leftArm.rotation.x = Math.PI / 2;
+    limbs.rightArm.rotation.x = Math.PI / 2;
+    limbs.leftLeg.rotation.x = -Math.PI / 6;
+    limbs.rightLeg.rotation.x = -Math.PI / 6;
+  } else if (state.isJumping) {
+    // Arms up, legs tucked
+    limbs.leftArm.rotation.x = -Math.PI / 4;
+    limbs.rightArm.rotation.x = -Math.PI / 4;
+    limbs.leftLeg.rotation.x = Math.PI / 6;
+    limbs.rightLeg.rotation.x = Math.PI / 6;
+  } else {
+    // Running: arms and legs swing opposite ways, with a little bob
+    const cycle = Math.sin((time / 1000) * 30);
+    limbs.leftArm.rotation.x = cycle * 0.5;
+    limbs.rightArm.rotation.x = -cycle * 0.5;
+    limbs.leftLeg.rotation.x = -cycle * 0.5;
+    limbs.rightLeg.rotation.x = cycle * 0.5;
+    limbs.pose.position.y = Math.abs(cycle) * 0.05;
+  }
+}
+
+// Free the GPU resources of a figure that is no longer shown
+function disposeAstronautFigure(figure) {
+  if (!figure) return;
+
+  figure.traverse((child) => {
+    if (child.geometry) {
+      child.geometry.dispose();
+    }
+    if (child.material) {
+      if (child.material.map) {
+        child.material.map.dispose();
+      }
+      child.material.dispose();
+    }
+  });
+}
+
+module.exports = {
+  createAstronautFigure,
+  poseAstronautFigure,
+  disposeAstronautFigure,
+};
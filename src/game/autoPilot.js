@@ -0,0 +1,127 @@
+// A simple bot that plays the game, for headless simulations.
+//
+// Before each step it looks at the obstacles just ahead in every lane:
+// full blocks are dodged by changing lane, low barriers jumped and overhead
+// beams slid under. It only uses what a player could see, and makes the same
+// choices for the same course, so runs are repeatable. It plays through the
+// same Game input methods as a person, so its runs are recorded as replays.
+class AutoPilot {
+  constructor(options = {}) {
+    this.lookAhead = options.lookAhead || 25; // Track units ahead to check
+    this.laneOffsets = [-1.5, -0.5, 0.5, 1.5];
+    this.playerHalfWidth = 0.4;
+
+    this.bounds = { min: { x: 0, z: 0 }, max: { x: 0, z: 0 } };
+    this.nearby = [];
+  }
+
+  // Nearest obstacle ahead in each lane: { distance, heightClass } or null
+  scanLanes(world, position) {
+    const halfTrack = world.trackWidth / 2;
+    this.bounds.min.x = -halfTrack;
+    this.bounds.max.x = halfTrack;
+    this.bounds.min.z = position.z - 1;
+    this.bounds.max.z = position.z + this.lookAhead;
+
+    const lanes = this.laneOffsets.map(() => null);
+    const nearby = world.spatialIndex.query(this.bounds, this.nearby);
+
+    for (let i = 0; i < nearby.length; i++) {
+      const object = nearby[i];
+      if (object.collected || object.userData.type !== "obstacle") continue;
+
+      const bounds = world.getCollisionBounds(object);
+      const distance = bounds.min.z - position.z;
+
+      // Already behind the player
+      if (bounds.max.z < position.z - 0.5) continue;
+
+      this.laneOffsets.forEach((offset, lane) => {
+        const laneX = offset * world.laneWidth;
+        if (
+          bounds.max.x < laneX - this.playerHalfWidth ||
+          bounds.min.x > laneX + this.playerHalfWidth
+        ) {
+          return;
+        }
+
+        if (lanes[lane] === null || distance < lanes[lane].distance) {
+          lanes[lane] = {
+            distance: distance,
+            heightClass: object.userData.heightClass || "full",
+          };
+        }
+      });
+    }
+
+    return lanes;
+  }
+
+  // Decide on this step's input
+  update(game) {
+    const player = game.player;
+    const world = game.world;
+    if (!player || !world || player.isDead || game.isGameOver) return;
+
+    const position = player.getPosition();
+    const lanes = this.scanLanes(world, position);
+    const lane = this.laneOffsets.indexOf(player.targetLane);
+    if (lane === -1) return;
+
+    const threat = lanes[lane];
+    if (!threat) return;
+
+    // Forward speed in track units per second
+    const speed = game.gameSpeed * 60;
+
+    if (threat.heightClass === "low") {
+      // Take off so the highest part of the jump is over the barrier
+      const timing = world.layoutValidator.jumpTiming;
+      const middle = ((timing.clearStart || 0) + (timing.clearEnd || 0)) / 2;
+      if (threat.distance <= middle * speed) {
+        game.jump();
+      }
+      return;
+    }
+
+    if (threat.heightClass === "overhead") {
+      if (threat.distance <= 1.5 + speed * 0.05) {
+        game.slide();
+      }
+      return;
+    }
+
+    // Full block: head for the closest lane that is clear for longest
+    // Game's left and right are as seen on screen, which is the opposite
+    // of the lane order
+    const target = this.pickLane(lanes, lane);
+    if (target < lane) {
+      game.moveRight();
+    } else if (target > lane) {
+      game.moveLeft();
+    }
+  }
+
+  pickLane(lanes, currentLane) {
+    let bestLane = currentLane;
+    let bestScore = -Infinity;
+
+    lanes.forEach((threat, lane) => {
+      // Passable obstacles count as clear
+      const clearFor =
+        threat === null || threat.heightClass !== "full"
+          ? this.lookAhead
+          : threat.distance;
+      const score = clearFor - Math.abs(lane - currentLane) * 2;
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestLane = lane;
+      }
+    });
+
+    return bestLane;
+  }
+}
+
+module.exports = { AutoPilot };
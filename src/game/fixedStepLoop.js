@@ -0,0 +1,53 @@
+// Runs the simulation in exact fixed steps, independent of the frame rate.
+//
+// Each frame adds the real time that passed to an accumulator and runs as
+// many whole steps as fit. What is left over says how far the next step is
+// already "due", which is used as the blend factor (alpha, 0..1) for drawing
+// between the previous and the current simulation state. A 30, 60 or 144 Hz
+// display therefore runs exactly the same steps - only how often it draws
+// them differs.
+class FixedStepLoop {
+  constructor(stepSeconds = 1 / 60, maxFrameSeconds = 0.25) {
+    this.stepSeconds = stepSeconds;
+
+    // Long frames (tab in the background, debugger) drop the extra time
+    // instead of trying to catch up with hundreds of steps
+    this.maxFrameSeconds = maxFrameSeconds;
+
+    this.accumulator = 0;
+    this.tick = 0; // Steps run since the last reset
+  }
+
+  // Add a frame's worth of real time and run the steps that are due.
+  // Returns the alpha for drawing this frame.
+  advance(frameSeconds, step) {
+    if (!(frameSeconds > 0)) return this.getAlpha();
+
+    this.accumulator += Math.min(frameSeconds, this.maxFrameSeconds);
+
+    while (this.accumulator >= this.stepSeconds) {
+      this.accumulator -= this.stepSeconds;
+      this.tick++;
+      step(this.stepSeconds, this.tick);
+    }
+
+    return this.getAlpha();
+  }
+
+  // Run a single step straight away, e.g. for a headless simulation
+  runStep(step) {
+    this.tick++;
+    step(this.stepSeconds, this.tick);
+  }
+
+  getAlpha() {
+    return Math.min(1, this.accumulator / this.stepSeconds);
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.tick = 0;
+  }
+}
+
+module.exports = { FixedStepLoop };
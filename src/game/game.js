@@ -3,11 +3,53 @@ const { Player } = require("./player");
 const { World } = require("./world");
 const { MultiplayerManager } = require("./multiplayer");
 const { InputHandler } = require("./inputHandler");
+const { SeededRandom } = require("./random");
+const { powerupRegistry } = require("./powerupRegistry");
+const { FixedStepLoop } = require("./fixedStepLoop");
+const { DomGameUI, HeadlessGameUI } = require("./gameUI");
+const { requestFrame } = require("./animationFrame");
+const {
+  ReplayRecorder,
+  ReplayPlayer,
+  validateReplay,
+} = require("./replay");
+const { GhostRunner } = require("./ghostRunner");
+const { GhostStore } = require("./ghostStore");
+const { RaceSession } = require("./raceSession");
+const { RunVerifier } = require("./runVerifier");
+
+// Time per frame the host spends playing back other runners' races when
+// checking scores, so checks can't drag the host's own frame rate down
+// however slow its machine is. Steps are played a few at a time between
+// looks at the clock.
+const RACE_CHECK_MS_PER_FRAME = 4;
+const RACE_CHECK_STEPS_PER_SLICE = 5;
 
 class Game {
-  constructor(renderer, username = "Player", deviceCapabilities = null) {
+  // Without a renderer the game runs headless: no page, input, multiplayer or
+  // frame loop - the caller advances it with runSteps() (see simulation.js).
+  // options.ui replaces the default UI; options.ghostStore is where personal
+  // bests are kept (local storage by default, none when headless);
+  // options.multiplayerServer is the room server to find other players on,
+  // options.multiplayerManager an already connected room (see lobbyScreen.js).
+  // options.visuals: false skips scenery and lights, for copies that are
+  // only simulated (see createHeadlessCopy).
+  constructor(
+    renderer,
+    username = "Player",
+    deviceCapabilities = null,
+    seed = null,
+    options = {}
+  ) {
+    this.headless = !renderer;
+
     // Player information
     this.username = username || "Player";
+
+    // Run seed - the same seed always generates the same course.
+    // A seed given up front (e.g. for a shared race) is kept across restarts.
+    this.seedLocked = seed !== null && seed !== undefined && seed !== "";
+    this.seed = SeededRandom.normalizeSeed(this.seedLocked ? seed : null);
     this.score = 0;
     this.crystals = 0;
     this.gameSpeed = 0.2; // Reduced starting speed for better playability
@@ -37,8 +79,9 @@ class Game {
     this.difficultyCheckpoints = [500, 1500, 3000, 5000, 8000]; // Distance checkpoints for difficulty increases
     this.nextCheckpointIndex = 0;
 
-    // Track if game is over
+    // Track if game is over, and what ended the run
     this.isGameOver = false;
+    this.deathCause = null;
     this.isPaused = false;
     this.isRunning = false;
 
@@ -73,7 +116,7 @@ class Game {
     // Camera setup
     this.camera = new THREE.PerspectiveCamera(
       70, // Increased from 60 for wider field of view
-      window.innerWidth / window.innerHeight,
+      this.headless ? 16 / 9 : window.innerWidth / window.innerHeight,
       0.1,
       1000
     );
@@ -90,56 +133,168 @@ class Game {
     this.renderer = renderer;
 
     // Setup lighting
-    this.setupLighting();
+    if (options.visuals !== false) {
+      this.setupLighting();
+    }
 
     // Create world - AFTER scene is initialized
-    this.world = new World(this.scene);
+    // Layouts go by distance, not the live speed, so a course only depends
+    // on its seed
+    this.world = new World(this.scene, this.seed, {
+      visuals: options.visuals,
+      courseProfile: {
+        speedAt: (distance) => this.getCourseSpeed(distance),
+        difficultyAt: (distance) => this.getCourseDifficulty(distance),
+      },
+    });
 
     // Create player - AFTER scene is initialized
-    this.player = new Player(this.scene);
+    this.player = new Player(this.scene, { effects: !this.headless });
     this.player.gameRef = this; // Add reference to game for powerup effects and movement
+    this.world.setPlayerMovementProfile(this.player.getMovementProfile());
 
     // Set up UI
-    this.setupUI();
-
-    // Set up health UI elements
-    this.healthElements = [];
-    for (let i = 0; i < 3; i++) {
-      const heartElement = document.createElement("div");
-      heartElement.className = "health-heart";
-      heartElement.innerHTML = "❤️";
-      heartElement.style.position = "absolute";
-      heartElement.style.top = "10px";
-      heartElement.style.left = 10 + i * 30 + "px";
-      heartElement.style.fontSize = "24px";
-      heartElement.style.color = "#ff0000";
-      heartElement.style.zIndex = "100";
-      document.getElementById("game-container").appendChild(heartElement);
-      this.healthElements.push(heartElement);
-    }
+    this.ui =
+      options.ui || (this.headless ? new HeadlessGameUI() : new DomGameUI(this));
+    this.ui.setup();
+    this.updateInventoryHUD();
 
     // Multiplayer
-    this.multiplayerManager = new MultiplayerManager(this, this.username);
+    if (options.multiplayerManager) {
+      this.multiplayerManager = options.multiplayerManager;
+    } else if (!this.headless) {
+      this.multiplayerManager = new MultiplayerManager(
+        this.username,
+        this.scene,
+        { serverUrl: options.multiplayerServer }
+      );
+    } else {
+      this.multiplayerManager = null;
+    }
+    if (this.multiplayerManager) {
+      this.multiplayerManager.setScene(this.scene, this.world);
+      this.multiplayerManager.on("statusUpdate", (status) => {
+        this.ui.updateMultiplayerStatus(status);
+      });
+      this.multiplayerManager.on("playerUpdate", (peerId, player) => {
+        if (this.race) {
+          this.race.updateProgress(peerId, player.distance, player.score);
+        }
+      });
+      this.multiplayerManager.on("raceFinished", (peerId, result) => {
+        if (this.race && this.race.finish(peerId, result)) {
+          this.checkRaceRun(peerId, result);
+          this.updateRaceResults();
+        }
+      });
+      this.multiplayerManager.on("raceVerdict", (verdict) => {
+        if (this.race && this.race.setVerdict(verdict.peerId, verdict)) {
+          this.updateRaceResults();
+        }
+      });
+      this.multiplayerManager.on("peerLeft", (peerId) => {
+        if (!this.race) return;
+
+        const dropped = this.race.drop(peerId);
+        // Nobody else can check the runs
+        if (peerId === this.race.hostPeerId) {
+          this.race.stopVerifying();
+        }
+        if (dropped || peerId === this.race.hostPeerId) {
+          this.updateRaceResults();
+        }
+      });
+      // The host started the next round: back in the race, or watching it
+      // if we aren't in it
+      this.multiplayerManager.on("runStart", (race) => {
+        if (!this.race && !this.isSpectating) return;
+
+        const peerId = this.multiplayerManager.peerId;
+        const running = (race.participants || []).some(
+          (participant) => participant.peerId === peerId
+        );
+        if (running) {
+          this.startRace(race);
+        } else {
+          this.spectateRace(race);
+        }
+      });
+      this.multiplayerManager.on("leaderboardUpdate", (leaderboard) => {
+        this.updateLeaderboard(leaderboard);
+      });
+      // A room from the lobby is already connected
+      if (!options.multiplayerManager) {
+        this.multiplayerManager.init();
+      }
+    }
 
     // Create leaderboard
     this.leaderboard = [];
 
     // Powerup states
     this.magnetActive = false;
-    this.magnetTimer = null;
-    this.speedBoostTimer = null;
-
-    // Initialize performance variables
+    this.magnetTimer = null; // Seconds of magnet left while active
+    this.magnetDuration = 8;
+    this.magnetRadius = 9; // Track units, reaches across all four lanes
+    this.magnetCrystals = []; // Crystals currently being pulled in
+    this.speedBoostTimer = null; // Seconds of boost left while active
+    this.speedBoostDuration = 5;
+    this.speedBoostMultiplier = 1.8;
+    this.speedBoostRampTime = 0.3; // Time to reach full boost speed
+    this.speedBoostEaseTime = 1.5; // Time to ease back at the end
+    this.speedBoostBaseSpeed = 0; // Speed to return to once the boost ends
+    this.speedBoostElapsed = 0;
+    this.cameraStretch = 0; // 0 = normal camera, 1 = full boost stretch
+    this.baseFov = this.camera.fov;
+
+    // Timed registry effects (see powerupRegistry): type -> seconds left
+    this.activeEffects = {};
+    this.timeScale = 1; // Physics step multiplier, lowered by time slow
+    this.ghostActive = false;
+    this.crystalMultiplier = 1;
+    this.reviveArmed = false;
+
+    // The one simulation loop: exact 1/60 s steps whatever the frame rate
     this.lastTime = performance.now();
-    this.physicsAccumulator = 0;
     this.fixedTimeStep = 1 / 60; // 60 physics updates per second
-    this.maxDeltaTime = 0.1; // Cap delta time to prevent large jumps
+    this.loop = new FixedStepLoop(this.fixedTimeStep);
+    this.frameCount = 0; // Simulation steps, wraps at 1000
+    this.renderFrameCount = 0;
+
+    // Input waits here until the next step, which records it for replays
+    this.pendingInputs = [];
+    this.recorder = new ReplayRecorder(this.seed, this.username);
+    this.replayPlayer = null; // Set while watching a replay
+    this.lastReplay = null; // Replay of the last finished run
+
+    // Multiplayer race against the other players in a room
+    this.race = null;
+    this.raceStartAt = null; // Local time the race starts, while waiting
+    this.raceCountdownShown = null;
+    this.raceChecks = []; // RunVerifiers of runs the host is checking
+
+    // Watching other runners once our run is over, or before we join one
+    this.isSpectating = false;
+    this.spectatedPeerId = null;
+    this.spectatorPosition = null; // Track position the camera follows
+
+    // Ghost of a recorded run raced alongside this one
+    this.ghost = null;
+    if (options.ghostStore !== undefined) {
+      this.ghostStore = options.ghostStore;
+    } else {
+      this.ghostStore = this.headless ? null : new GhostStore();
+    }
 
-    // Initialize input handler
-    this.inputHandler = new InputHandler(this);
+    // Survival points, one per tenth of a second (counted in steps)
+    this.survivalScoreInterval = 0.1;
+    this.survivalTimer = 0;
 
-    // Set up event listeners
-    window.addEventListener("resize", this.onWindowResize.bind(this));
+    // Input and window events only exist with a page
+    if (!this.headless) {
+      this.inputHandler = new InputHandler(this);
+      window.addEventListener("resize", this.onWindowResize.bind(this));
+    }
 
     // Initialize camera position
     this.cameraPosition = new THREE.Vector3();
@@ -155,13 +310,6 @@ class Game {
     // Start the animation loop
     this.startGameLoop();
 
-    // Start increasing score over time
-    this.scoreInterval = setInterval(() => {
-      if (!this.isPaused && !this.isGameOver) {
-        this.increaseScore(1);
-      }
-    }, 100);
-
     // Add a post-processing composer for visual effects
     this.setupPostProcessing();
 
@@ -220,8 +368,10 @@ class Game {
     this.scene.add(this.playerLight.target);
 
     // Enable shadows but use a more performant shadow type
-    this.renderer.shadowMap.enabled = true;
-    this.renderer.shadowMap.type = THREE.BasicShadowMap; // Changed from PCFSoftShadowMap for performance
+    if (this.renderer) {
+      this.renderer.shadowMap.enabled = true;
+      this.renderer.shadowMap.type = THREE.BasicShadowMap; // Changed from PCFSoftShadowMap for performance
+    }
 
     console.log("Optimized lighting setup complete");
   }
@@ -243,7 +393,7 @@ class Game {
       this.player.reset();
 
       // Make sure the camera is positioned correctly based on the player
-      this.updateCamera(0);
+      this.updateCamera();
     }
 
     // Initialize the world
@@ -263,64 +413,104 @@ class Game {
     this.isPaused = false;
     this.isGameOver = false;
 
-    // Bind and start the animation loop
-    this.animate = this.animate.bind(this);
-    requestAnimationFrame(this.animate);
+    // Bind and start the animation loop. Headless games are stepped by
+    // whoever runs them.
+    if (!this.headless) {
+      this.animate = this.animate.bind(this);
+      requestAnimationFrame(this.animate);
+    }
 
     console.log("Game loop started");
   }
 
-  animate(time) {
-    // Calculate delta time with aggressive capping for improved performance
+  // Frame callback: run the simulation steps that are due, then draw
+  animate() {
     const currentTime = performance.now();
-    const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.05); // Reduced from 0.1 to 0.05
+    const frameSeconds = (currentTime - this.lastTime) / 1000;
     this.lastTime = currentTime;
 
-    // Skip frame if delta is too small to reduce CPU usage on high refresh rate displays
-    if (deltaTime < 0.0025) {
-      requestAnimationFrame(this.animate);
-      return;
+    // No time builds up while paused or after game over, so the run
+    // doesn't jump ahead when it carries on
+    let alpha = 1;
+    const waitingForRace = this.updateRaceCountdown(Date.now());
+    if (!this.isPaused && !this.isGameOver && !waitingForRace) {
+      alpha = this.loop.advance(frameSeconds, () => this.step());
     }
+    this.advanceRaceChecks(RACE_CHECK_MS_PER_FRAME);
 
-    // Only process updates if the game is not paused
-    if (!this.isPaused && !this.isGameOver) {
-      // For low-performance devices, use simplified update
-      if (this.deviceCapabilities && !this.deviceCapabilities.highPerformance) {
-        // One direct update instead of accumulated physics steps
-        this.updatePhysics(deltaTime);
-      } else {
-        // Accumulate time for fixed timestep physics
-        this.physicsAccumulator += deltaTime;
-
-        // Limit accumulated physics steps to prevent spiral of death
-        const maxSteps = 3;
-        let stepsUsed = 0;
-
-        // Update physics at a fixed rate for consistent simulation
-        while (
-          this.physicsAccumulator >= this.fixedTimeStep &&
-          stepsUsed < maxSteps
-        ) {
-          this.updatePhysics(this.fixedTimeStep);
-          this.physicsAccumulator -= this.fixedTimeStep;
-          stepsUsed++;
-        }
+    this.render(alpha, frameSeconds);
 
-        // If we hit max steps, discard remaining accumulation to prevent lag
-        if (
-          stepsUsed >= maxSteps &&
-          this.physicsAccumulator > this.fixedTimeStep
-        ) {
-          this.physicsAccumulator = 0;
-        }
-      }
+    // Continue animation loop
+    requestAnimationFrame(this.animate);
+  }
+
+  // One fixed simulation step. Time slow shortens the step rather than
+  // changing how many steps run.
+  step() {
+    const tick = this.loop.tick;
+
+    if (this.replayPlayer) {
+      this.replayPlayer.queueInputs(this, tick);
+    }
+    this.applyInputs(tick);
+
+    this.updatePhysics(this.fixedTimeStep * this.timeScale);
+
+    // The ghost takes the same step, so both runs stay in time
+    if (this.ghost && !this.isGameOver) {
+      this.ghost.step();
+      this.updateGhostIndicator();
+    }
+
+    // Share our position with other players (rate limited inside)
+    if (this.multiplayerManager) {
+      this.multiplayerManager.update(
+        this.player,
+        this.score,
+        this.crystals,
+        this.distanceTraveled
+      );
     }
+  }
+
+  // Advance a headless game by a number of steps (stops at game over)
+  runSteps(count = 1) {
+    for (let i = 0; i < count && !this.isGameOver; i++) {
+      this.loop.runStep(() => this.step());
+    }
+  }
+
+  // Draw the scene between the last two simulation steps (alpha 0..1)
+  render(alpha = 1, frameSeconds = 0) {
+    if (this.player) {
+      this.player.updateMeshTransform(alpha);
+    }
+    if (this.ghost) {
+      this.ghost.updateMesh(this.world, alpha);
+    }
+    if (this.multiplayerManager) {
+      this.multiplayerManager.updateRemotePlayers(Date.now());
+    }
+    this.updateSpectator(frameSeconds);
+
+    this.updateCamera(alpha);
+
+    // Shake on top of wherever the camera is following
+    if (this.cameraShaking) {
+      this.originalCameraPosition.copy(this.camera.position);
+      this.updateCameraShake(Math.min(frameSeconds, 0.1));
+    }
+
+    this.updatePlayerLight();
 
     // Render the scene - use direct renderer for better performance
     this.renderer.render(this.scene, this.camera);
 
-    // Continue animation loop
-    requestAnimationFrame(this.animate);
+    // Reset renderer info every few frames to avoid memory growth
+    this.renderFrameCount++;
+    if (this.renderFrameCount % 30 === 0 && this.renderer.info) {
+      this.renderer.info.reset();
+    }
   }
 
   updatePhysics(timeStep) {
@@ -331,21 +521,31 @@ class Game {
       this.isRunning = true;
     }
 
-    // Calculate an optimal frame time to prevent spikes
-    const frameTime = Math.min(timeStep, 0.03);
+    // Powerup timers run in real time, even while time is slowed
+    this.updateEffects(timeStep / this.timeScale);
+
+    // Points for staying alive, in real (unslowed) time
+    this.survivalTimer += timeStep / this.timeScale;
+    while (this.survivalTimer >= this.survivalScoreInterval) {
+      this.survivalTimer -= this.survivalScoreInterval;
+      this.increaseScore(1);
+    }
 
     // Gradually increase game speed - much slower for better stability
-    if (this.gameSpeed < this.maxGameSpeed) {
-      this.gameSpeed += this.speedIncreaseRate * frameTime * 20;
+    if (this.speedBoostTimer !== null) {
+      // The boost sets gameSpeed on top of the normal progression
+      this.updateSpeedBoost(timeStep);
+    } else if (this.gameSpeed < this.maxGameSpeed) {
+      this.gameSpeed += this.speedIncreaseRate * timeStep * 20;
     }
 
     // Update distance traveled
-    const distanceThisFrame = this.gameSpeed * frameTime * 60;
+    const distanceThisFrame = this.gameSpeed * timeStep * 60;
     this.distanceTraveled += distanceThisFrame;
 
     // Update player physics - most critical
     if (this.player) {
-      this.player.update(frameTime);
+      this.player.update(timeStep);
     }
 
     // Update world with current speed - CRITICAL FIX: null check
@@ -353,7 +553,7 @@ class Game {
       const playerPos = this.player
         ? this.player.getPosition()
         : { x: 0, y: 0, z: 0 };
-      this.world.update(frameTime, this.gameSpeed, playerPos);
+      this.world.update(timeStep, this.gameSpeed, playerPos);
     }
 
     // Handle collisions - only if world and player exist
@@ -361,10 +561,12 @@ class Game {
       this.handleCollisions();
     }
 
-    // Update camera - critical
-    this.updateCamera(frameTime);
+    // Pull crystals in while the magnet is on
+    if (this.magnetActive) {
+      this.updateMagnet(timeStep);
+    }
 
-    // Less critical updates - only do these occasionally based on frame count
+    // Less critical updates - only do these every few steps
     if (this.frameCount % 3 === 0) {
       // Update score based on distance
       const scoreGain = Math.round(distanceThisFrame * this.distanceMultiplier);
@@ -379,19 +581,8 @@ class Game {
       this.updateDifficulty();
     }
 
-    // Update camera shake and player light even less frequently
-    if (this.frameCount % 5 === 0) {
-      // Update camera shake effect (if active)
-      if (this.cameraShaking) {
-        this.updateCameraShake(frameTime);
-      }
-
-      // Update player light (if any)
-      this.updatePlayerLight();
-    }
-
-    // Increment frame counter
-    this.frameCount = (this.frameCount || 0) + 1;
+    // Increment step counter
+    this.frameCount++;
     if (this.frameCount > 1000) this.frameCount = 0;
   }
 
@@ -411,37 +602,42 @@ class Game {
       // Flash the screen to indicate difficulty change
       this.flashScreen(new THREE.Color(0x8800ff), 0.5);
 
-      // Increase obstacle frequency in the world
-      if (this.gameSpeed >= this.difficultyLevels.hard.speedThreshold) {
-        this.currentDifficulty = "hard";
-      } else if (
-        this.gameSpeed >= this.difficultyLevels.medium.speedThreshold
-      ) {
-        this.currentDifficulty = "medium";
-      }
-
-      // Update world with new difficulty settings - safely check if method exists
-      if (this.world && typeof this.world.setDifficulty === "function") {
-        this.world.setDifficulty(
-          this.currentDifficulty,
-          this.difficultyLevels[this.currentDifficulty]
-        );
-      } else {
-        console.warn("World setDifficulty method not available");
-        // Apply difficulty directly if possible
-        if (this.world) {
-          this.world.currentDifficulty = this.currentDifficulty;
-          this.world.obstacleFrequency =
-            this.difficultyLevels[this.currentDifficulty].obstacleFrequency ||
-            0.2;
-        }
-      }
+      // The world builds the course at the same difficulty by distance
+      this.currentDifficulty = this.getCourseDifficulty(this.distanceTraveled);
 
       // Move to next checkpoint
       this.nextCheckpointIndex++;
     }
   }
 
+  // The speed a runner without boosts has at a distance along the course.
+  // Speed rises by speedIncreaseRate * 20 a second while the runner covers
+  // speed * 60 units, so speed squared grows by 2/3 of the rate per unit.
+  getCourseSpeed(distance) {
+    const speed = Math.sqrt(
+      this.initialGameSpeed * this.initialGameSpeed +
+        (2 / 3) * this.speedIncreaseRate * Math.max(0, distance)
+    );
+    return Math.min(this.maxGameSpeed, speed);
+  }
+
+  // The difficulty from a distance on: each checkpoint passed raises it to
+  // whatever the course speed has reached there
+  getCourseDifficulty(distance) {
+    let difficulty = "easy";
+    this.difficultyCheckpoints.forEach((checkpoint) => {
+      if (distance < checkpoint) return;
+
+      const speed = this.getCourseSpeed(checkpoint);
+      if (speed >= this.difficultyLevels.hard.speedThreshold) {
+        difficulty = "hard";
+      } else if (speed >= this.difficultyLevels.medium.speedThreshold) {
+        difficulty = "medium";
+      }
+    });
+    return difficulty;
+  }
+
   // Improved collision detection
   handleCollisions() {
     if (this.isGameOver || this.isPaused || !this.player || !this.world) return;
@@ -463,31 +659,38 @@ class Game {
         console.log(`Found ${collisions.length} collisions`);
 
         collisions.forEach((collision) => {
+          // Nothing more to do once the run is over
+          if (this.isGameOver) return;
+
           if (collision.type === "obstacle") {
             console.log(
               "Collision with obstacle:",
-              collision.object.name || "unnamed obstacle",
-              "at position:",
-              collision.object.position
+              collision.object.userData.obstacleType || "unnamed obstacle",
+              "deadly:",
+              collision.deadly
             );
 
-            // For the simplified version, all obstacles are deadly
-            this.endGame();
-
-            // Visual effects for dramatic impact
-            this.triggerCameraShake(0.7, 0.5);
-            this.flashScreen(new THREE.Color(1, 0, 0), 0.5);
-            this.showMessage("Game Over!");
+            this.handleObstacleHit(collision);
+          } else if (this.ghostActive) {
+            // Ghosts can't pick anything up
           } else if (collision.type === "crystal") {
-            // Collected a crystal
-            console.log(
-              "Collected crystal at position:",
-              collision.object.position
-            );
-            const value = this.world.collectItem(collision.object);
-            this.increaseCrystals(value);
-            this.player.createCollectionEffect(collision.object.position);
-            this.showMessage(`+${value} Crystal!`);
+            this.collectCrystal(collision.object);
+          } else if (collision.type === "powerup") {
+            // Picked up a powerup - stored in the player's inventory until used
+            if (this.player.collectPowerup(collision.powerupType)) {
+              this.world.collectItem(collision.object);
+              this.player.createCollectionEffect(
+                collision.object.getWorldPosition(new THREE.Vector3())
+              );
+              this.showMessage(
+                `${collision.powerupType.toUpperCase()} powerup! Press E to use`
+              );
+            } else if (!collision.object.userData.slotsFullShown) {
+              // No free slot - leave it on the track, and say so once rather
+              // than on every step spent running through it
+              collision.object.userData.slotsFullShown = true;
+              this.showMessage("Powerup slots full!", 1000);
+            }
           }
         });
       }
@@ -496,6 +699,435 @@ class Game {
     }
   }
 
+  collectCrystal(crystal) {
+    console.log("Collected crystal at position:", crystal.position);
+    const value = this.world.collectItem(crystal) * this.crystalMultiplier;
+    this.increaseCrystals(value);
+    this.player.createCollectionEffect(
+      crystal.getWorldPosition(new THREE.Vector3())
+    );
+    this.showMessage(`+${value} ${value === 1 ? "Crystal" : "Crystals"}!`);
+  }
+
+  // Deadly obstacles end the run, others cost a heart
+  handleObstacleHit(collision) {
+    // An active shield absorbs any hit, boosting dashes straight through and
+    // ghosts pass through
+    if (
+      this.player.shieldActive ||
+      this.speedBoostTimer !== null ||
+      this.ghostActive
+    ) {
+      return;
+    }
+
+    const obstacleType = collision.object.userData.obstacleType || "obstacle";
+
+    if (collision.deadly) {
+      this.deathCause = obstacleType;
+      this.player.die();
+      this.updateHealthUI();
+      this.endGame();
+      return;
+    }
+
+    // Player.hit ignores hits during invulnerability frames
+    const healthBefore = this.player.health;
+    const died = this.player.hit();
+    if (this.player.health === healthBefore) return;
+
+    this.updateHealthUI();
+
+    if (died) {
+      this.deathCause = obstacleType;
+      this.endGame();
+      return;
+    }
+
+    // Lighter feedback than a death
+    this.triggerCameraShake(0.4, 0.3);
+    this.flashScreen(new THREE.Color(1, 0, 0), 0.3);
+    this.showMessage(
+      `Ouch! ${this.player.health} ${this.player.health === 1 ? "heart" : "hearts"} left`
+    );
+  }
+
+  // Start a timed registry effect. Using it again while active adds time,
+  // up to the type's maxDuration.
+  startEffect(type, duration) {
+    const definition = powerupRegistry.get(type);
+    if (!definition || !definition.effect) return;
+
+    if (this.activeEffects[type] !== undefined) {
+      this.activeEffects[type] += duration;
+      if (definition.maxDuration) {
+        this.activeEffects[type] = Math.min(
+          this.activeEffects[type],
+          definition.maxDuration
+        );
+      }
+    } else {
+      this.activeEffects[type] = duration;
+      definition.effect.start(this);
+    }
+
+    this.updatePowerupHUD();
+  }
+
+  endEffect(type) {
+    if (this.activeEffects[type] === undefined) return;
+
+    delete this.activeEffects[type];
+    powerupRegistry.get(type).effect.end(this);
+    this.updatePowerupHUD();
+  }
+
+  // Count down timed effects (in real seconds)
+  updateEffects(realStep) {
+    const types = Object.keys(this.activeEffects);
+    if (types.length === 0) return;
+
+    types.forEach((type) => {
+      this.activeEffects[type] -= realStep;
+      if (this.activeEffects[type] <= 0) {
+        this.endEffect(type);
+      }
+    });
+
+    this.updatePowerupHUD();
+  }
+
+  clearEffects() {
+    Object.keys(this.activeEffects).forEach((type) => this.endEffect(type));
+    this.reviveArmed = false;
+    this.updatePowerupHUD();
+  }
+
+  // Revive powerup: the next death is undone
+  armRevive() {
+    this.reviveArmed = true;
+    this.updatePowerupHUD();
+  }
+
+  // Use an armed revive, or one still in the inventory, instead of dying.
+  // Returns true if the player was revived.
+  tryRevive() {
+    if (this.reviveArmed) {
+      this.reviveArmed = false;
+    } else if (this.player.inventory.takeType("revive")) {
+      this.player.onInventoryChanged();
+    } else {
+      return false;
+    }
+
+    this.player.revive();
+    this.updateHealthUI();
+
+    // A moment of ghost phase to get clear of whatever killed us
+    this.startEffect("ghost", 2);
+
+    this.flashScreen(new THREE.Color(1, 0.4, 0.6), 0.5);
+    this.showMessage("REVIVED!");
+    this.updatePowerupHUD();
+
+    console.log("Player revived");
+    return true;
+  }
+
+  // Magnet powerup: pulls nearby crystals in from every lane for a while.
+  // Using it again while active adds to the time left.
+  activateMagnet(duration = this.magnetDuration) {
+    this.magnetTimer = this.magnetActive ? this.magnetTimer + duration : duration;
+    this.magnetActive = true;
+
+    // Stacked pickups extend it only up to the registry's limit
+    const definition = powerupRegistry.get("magnet");
+    if (definition && definition.maxDuration) {
+      this.magnetTimer = Math.min(this.magnetTimer, definition.maxDuration);
+    }
+
+    if (!this.magnetField) {
+      this.magnetField = this.createMagnetField();
+    }
+    if (this.player.mesh && this.magnetField.parent !== this.player.mesh) {
+      this.player.mesh.add(this.magnetField);
+    }
+    this.magnetField.visible = true;
+
+    this.updatePowerupHUD();
+    console.log("Magnet activated");
+  }
+
+  deactivateMagnet() {
+    this.magnetActive = false;
+    this.magnetTimer = null;
+
+    // Drop anything still on its way in where it is. Pulled crystals left
+    // the collision index (see World.moveObjectOnTrack), so they go back in
+    // to be collected - unless their chunk is gone.
+    this.magnetCrystals.forEach((crystal) => {
+      crystal.userData.magnetized = false;
+      if (
+        this.world &&
+        !crystal.collected &&
+        this.world.activeChunks.includes(crystal.parent)
+      ) {
+        this.world.spatialIndex.insert(
+          crystal,
+          this.world.getCollisionBounds(crystal)
+        );
+      }
+    });
+    this.magnetCrystals = [];
+
+    if (this.magnetField) {
+      this.magnetField.visible = false;
+    }
+
+    this.updatePowerupHUD();
+  }
+
+  // Glowing rings and a faint bubble around the astronaut
+  createMagnetField() {
+    const field = new THREE.Group();
+
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff00ff,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const ring = new THREE.Mesh(
+        new THREE.TorusGeometry(1.4 + i * 0.4, 0.04, 8, 48),
+        ringMaterial
+      );
+      ring.rotation.x = Math.PI / 2;
+      ring.position.y = 0.3 + i * 1.0;
+      field.add(ring);
+    }
+
+    const bubble = new THREE.Mesh(
+      new THREE.SphereGeometry(1.8, 24, 16),
+      new THREE.MeshBasicMaterial({
+        color: 0xff55ff,
+        transparent: true,
+        opacity: 0.12,
+        depthWrite: false,
+      })
+    );
+    bubble.position.y = 0.9;
+    field.add(bubble);
+
+    return field;
+  }
+
+  updateMagnet(timeStep) {
+    // Counts down in real time like the other powerups; only the pull is
+    // slowed with everything else
+    this.magnetTimer -= timeStep / this.timeScale;
+    if (this.magnetTimer <= 0) {
+      this.deactivateMagnet();
+      return;
+    }
+
+    // Ghosts can't collect, so the magnet idles
+    if (this.ghostActive) {
+      this.updatePowerupHUD();
+      return;
+    }
+
+    const playerPosition = this.player.getPosition();
+
+    // Grab new crystals in range
+    const found = this.world.findCrystalsNear(
+      playerPosition,
+      this.magnetRadius,
+      this.magnetFoundCrystals || (this.magnetFoundCrystals = [])
+    );
+    found.forEach((crystal) => {
+      if (!crystal.userData.magnetized) {
+        crystal.userData.magnetized = true;
+        this.magnetCrystals.push(crystal);
+      }
+    });
+
+    // Always faster than the player so crystals can catch up from behind
+    const pullSpeed = Math.max(20, this.gameSpeed * 60 * 2);
+    const maxStep = pullSpeed * timeStep;
+    const targetY = playerPosition.y + 0.9; // Chest height
+
+    for (let i = this.magnetCrystals.length - 1; i >= 0; i--) {
+      const crystal = this.magnetCrystals[i];
+      const trackPosition = crystal.userData.trackPosition;
+
+      const dx = playerPosition.x - trackPosition.x;
+      const dy = targetY - trackPosition.y;
+      const dz = playerPosition.z - trackPosition.z;
+      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+      if (distance <= Math.max(maxStep, 0.8)) {
+        // Reached the player
+        this.magnetCrystals.splice(i, 1);
+        crystal.userData.magnetized = false;
+        this.collectCrystal(crystal);
+        continue;
+      }
+
+      const t = maxStep / distance;
+      this.world.moveObjectOnTrack(
+        crystal,
+        trackPosition.x + dx * t,
+        trackPosition.y + dy * t,
+        trackPosition.z + dz * t
+      );
+    }
+
+    this.updatePowerupHUD();
+  }
+
+  // Speed boost powerup: a fast, invincible dash that eases back to the
+  // previous speed. Using it again while active adds to the time left.
+  activateSpeedBoost(duration = this.speedBoostDuration) {
+    if (this.speedBoostTimer === null) {
+      this.speedBoostBaseSpeed = this.gameSpeed;
+      this.speedBoostElapsed = 0;
+      this.speedBoostTimer = duration;
+    } else {
+      // Already boosting - stay at full speed instead of ramping again
+      this.speedBoostElapsed = Math.max(
+        this.speedBoostElapsed,
+        this.speedBoostRampTime
+      );
+      this.speedBoostTimer += duration;
+    }
+
+    if (!this.speedStreaks) {
+      this.speedStreaks = this.createSpeedStreaks();
+    }
+    if (this.player.mesh && this.speedStreaks.parent !== this.player.mesh) {
+      this.player.mesh.add(this.speedStreaks);
+    }
+    this.speedStreaks.visible = true;
+
+    this.flashScreen(new THREE.Color(1, 0.7, 0), 0.2);
+    this.updatePowerupHUD();
+    console.log("Speed boost activated");
+  }
+
+  deactivateSpeedBoost() {
+    if (this.speedBoostTimer !== null) {
+      this.gameSpeed = this.speedBoostBaseSpeed;
+    }
+    this.speedBoostTimer = null;
+    this.speedBoostElapsed = 0;
+
+    this.setCameraStretch(0);
+    if (this.speedStreaks) {
+      this.speedStreaks.visible = false;
+    }
+
+    this.updatePowerupHUD();
+  }
+
+  updateSpeedBoost(timeStep) {
+    // Keep the normal speed progression going underneath the boost
+    if (this.speedBoostBaseSpeed < this.maxGameSpeed) {
+      this.speedBoostBaseSpeed += this.speedIncreaseRate * timeStep * 20;
+    }
+
+    // The boost and its ramp run in real time, even while time is slowed
+    const realStep = timeStep / this.timeScale;
+    this.speedBoostElapsed += realStep;
+    this.speedBoostTimer -= realStep;
+
+    if (this.speedBoostTimer <= 0) {
+      this.deactivateSpeedBoost();
+      return;
+    }
+
+    // Ramp up quickly, hold, then ease back out smoothly
+    let strength = 1;
+    if (this.speedBoostElapsed < this.speedBoostRampTime) {
+      strength = this.speedBoostElapsed / this.speedBoostRampTime;
+    } else if (this.speedBoostTimer < this.speedBoostEaseTime) {
+      const t = this.speedBoostTimer / this.speedBoostEaseTime;
+      strength = t * t * (3 - 2 * t);
+    }
+
+    this.gameSpeed =
+      this.speedBoostBaseSpeed *
+      (1 + (this.speedBoostMultiplier - 1) * strength);
+
+    this.setCameraStretch(strength);
+    this.updateSpeedStreaks(timeStep, strength);
+    this.updatePowerupHUD();
+  }
+
+  // Wider field of view and a camera pulled further back while boosting
+  setCameraStretch(amount) {
+    if (this.cameraStretch === amount) return;
+
+    this.cameraStretch = amount;
+    this.camera.fov = this.baseFov + 18 * amount;
+    this.camera.updateProjectionMatrix();
+  }
+
+  // Lines rushing past the astronaut
+  createSpeedStreaks() {
+    const streakCount = 40;
+    const positions = new Float32Array(streakCount * 6);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+
+    const streaks = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({
+        color: 0xffdd88,
+        transparent: true,
+        opacity: 0,
+        depthWrite: false,
+      })
+    );
+    streaks.frustumCulled = false;
+
+    // Spread the streaks in a tube around the player
+    streaks.userData.streaks = [];
+    for (let i = 0; i < streakCount; i++) {
+      const angle = Math.random() * Math.PI * 2;
+      const radius = 2 + Math.random() * 4;
+      streaks.userData.streaks.push({
+        x: Math.cos(angle) * radius,
+        y: 1 + Math.sin(angle) * radius * 0.6,
+        z: -10 + Math.random() * 35,
+        length: 1.5 + Math.random() * 2.5,
+      });
+    }
+
+    return streaks;
+  }
+
+  updateSpeedStreaks(timeStep, strength) {
+    if (!this.speedStreaks) return;
+
+    const positions = this.speedStreaks.geometry.attributes.position;
+    const speed = this.gameSpeed * 60 * 1.5;
+
+    this.speedStreaks.userData.streaks.forEach((streak, i) => {
+      // Move backwards past the player, wrapping round to the front
+      streak.z -= speed * timeStep;
+      if (streak.z < -10) streak.z += 35;
+
+      const length = streak.length * strength;
+      positions.setXYZ(i * 2, streak.x, streak.y, streak.z);
+      positions.setXYZ(i * 2 + 1, streak.x, streak.y, streak.z + length);
+    });
+
+    positions.needsUpdate = true;
+    this.speedStreaks.material.opacity = 0.7 * strength;
+  }
+
   // Simplified camera shake function for better performance
   triggerCameraShake(intensity = 0.2, duration = 0.3) {
     // Skip camera shake for low performance
@@ -540,36 +1172,75 @@ class Game {
     );
   }
 
-  // Completely revised camera update for more stability
-  updateCamera(delta) {
+  // Follow the player where it is drawn this frame (see render)
+  updateCamera(alpha = 1) {
     if (!this.player) return;
 
-    const playerPos = this.player.getPosition();
+    // Spectators follow the runner they watch
+    const playerPos =
+      this.isSpectating && this.spectatorPosition
+        ? this.spectatorPosition
+        : this.player.getRenderPosition(alpha);
 
-    // Simple third-person camera
-    this.camera.position.set(
-      playerPos.x, // Match player x
-      playerPos.y + 10, // Fixed height above player
-      playerPos.z - 15 // Fixed distance behind player
-    );
+    if (!this.world || typeof this.world.getTrackFrame !== "function") {
+      // Simple third-person camera on a straight track
+      this.camera.position.set(playerPos.x, playerPos.y + 10, playerPos.z - 15);
+      this.camera.lookAt(playerPos.x, playerPos.y, playerPos.z + 10);
+      return;
+    }
 
-    // Look at a point ahead of the player
-    this.camera.lookAt(
-      playerPos.x, // Match player x
-      playerPos.y, // Match player y
-      playerPos.z + 10 // Look ahead
+    // Third-person camera that follows the track through turns and ramps.
+    // A speed boost pulls it further back and lower.
+    const stretch = this.cameraStretch || 0;
+    const behind = this.world.getTrackFrame(
+      playerPos.z - 15 - 5 * stretch,
+      this.cameraFrame
     );
+    this.cameraFrame = behind;
+    this.camera.position
+      .copy(behind.position)
+      .addScaledVector(behind.lateral, playerPos.x); // Match player lane
+    this.camera.position.y += playerPos.y + 10 - 3 * stretch; // Height above player
+
+    // Look at a point ahead of the player along the track
+    const ahead = this.world.getTrackFrame(
+      playerPos.z + 10,
+      this.cameraTargetFrame
+    );
+    this.cameraTargetFrame = ahead;
+    this.cameraLookTarget = this.cameraLookTarget || new THREE.Vector3();
+    this.cameraLookTarget
+      .copy(ahead.position)
+      .addScaledVector(ahead.lateral, playerPos.x);
+    this.cameraLookTarget.y += playerPos.y;
+    this.camera.lookAt(this.cameraLookTarget);
   }
 
   // Improved end game function with proper death sequence
   endGame() {
     if (this.isGameOver) return;
 
+    // A revive cancels the death
+    if (this.tryRevive()) return;
+
     this.isGameOver = true;
     this.isRunning = false;
 
     console.log("Game over! Final score:", this.score);
 
+    // Keep the run so it can be saved from the game over screen
+    const summary = this.getRunSummary();
+    this.lastReplay = this.recorder.finish(summary);
+    if (this.replayPlayer && !this.replayPlayer.matches(summary)) {
+      console.warn("Replay played out differently than it was recorded");
+    }
+
+    // Played runs that beat the stored best become the new ghost
+    summary.personalBest =
+      !this.replayPlayer && this.ghostStore
+        ? this.ghostStore.saveRun(this.lastReplay)
+        : false;
+
     // Play death effects
     this.triggerCameraShake(1.0, 1.0);
     this.flashScreen(new THREE.Color(1, 0, 0), 1.0);
@@ -579,17 +1250,58 @@ class Game {
 
     // Create death particle effect
     if (this.player && this.player.mesh) {
-      this.createDeathEffect(this.player.getPosition());
+      this.createDeathEffect(this.player.getWorldPosition());
+    }
+
+    // Watch whoever is still running (see startSpectating)
+    if (this.race || this.getLiveRunners().length > 0) {
+      this.startSpectating();
+    }
+
+    // In a race, the results replace the game over screen
+    if (this.race) {
+      const race = this.race;
+      race.finish(race.localPeerId, summary);
+      if (this.multiplayerManager) {
+        this.multiplayerManager.sendRaceFinished(
+          summary,
+          race.verifyScores ? this.lastReplay : null
+        );
+      }
+
+      // The host's own run is taken as it is
+      if (race.verifyScores && this.isRaceHost()) {
+        this.applyRaceVerdict({
+          peerId: race.localPeerId,
+          verified: true,
+          score: summary.score,
+          distance: summary.distance,
+        });
+      }
+      this.updateRaceResults();
+      return;
     }
 
     // Show game over screen after a delay
-    setTimeout(() => {
-      this.showGameOverScreen();
-    }, 1500);
+    this.ui.showGameOver(summary, 1500);
+  }
+
+  // Final numbers for a run
+  getRunSummary() {
+    return {
+      score: this.score,
+      crystals: this.crystals,
+      distance: this.distanceTraveled,
+      seed: this.seed,
+      steps: this.loop.tick,
+      deathCause: this.deathCause,
+    };
   }
 
   // Create death effect
   createDeathEffect(position) {
+    if (this.headless) return;
+
     // Create explosion-like particle effect
     const particleCount = 50;
     const particles = new THREE.Group();
@@ -662,7 +1374,7 @@ class Game {
       });
 
       if (lifetime < 1 && !this.isGameOver) {
-        requestAnimationFrame(animateParticles);
+        requestFrame(animateParticles);
       } else {
         // Remove particles
         this.scene.remove(particles);
@@ -678,33 +1390,8 @@ class Game {
     animateParticles();
   }
 
-  // Improved flash screen function
   flashScreen(color, duration = 0.3) {
-    // Create overlay if it doesn't exist
-    if (!this.flashOverlay) {
-      this.flashOverlay = document.createElement("div");
-      this.flashOverlay.style.position = "absolute";
-      this.flashOverlay.style.top = "0";
-      this.flashOverlay.style.left = "0";
-      this.flashOverlay.style.width = "100%";
-      this.flashOverlay.style.height = "100%";
-      this.flashOverlay.style.pointerEvents = "none";
-      this.flashOverlay.style.zIndex = "1000";
-      this.flashOverlay.style.transition = "opacity 0.3s ease-out";
-      this.flashOverlay.style.opacity = "0";
-
-      document.getElementById("game-container").appendChild(this.flashOverlay);
-    }
-
-    // Set color and show the overlay
-    const hexColor = color.getHexString();
-    this.flashOverlay.style.backgroundColor = `#${hexColor}`;
-    this.flashOverlay.style.opacity = "0.6";
-
-    // Hide it after the duration
-    setTimeout(() => {
-      this.flashOverlay.style.opacity = "0";
-    }, duration * 1000);
+    this.ui.flash(color, duration);
   }
 
   setupPostProcessing() {
@@ -773,145 +1460,94 @@ class Game {
     */
   }
 
-  setupUI() {
-    // Create score display
-    this.scoreElement = document.createElement("div");
-    this.scoreElement.id = "score-value";
-    this.scoreElement.style.position = "absolute";
-    this.scoreElement.style.top = "10px";
-    this.scoreElement.style.right = "20px";
-    this.scoreElement.style.color = "white";
-    this.scoreElement.style.fontSize = "24px";
-    this.scoreElement.style.fontFamily = "Arial, sans-serif";
-    this.scoreElement.style.zIndex = "100";
-    this.scoreElement.textContent = "0";
-    document.getElementById("game-container").appendChild(this.scoreElement);
-
-    // Create crystal counter
-    this.crystalElement = document.createElement("div");
-    this.crystalElement.id = "crystal-value";
-    this.crystalElement.style.position = "absolute";
-    this.crystalElement.style.top = "40px";
-    this.crystalElement.style.right = "20px";
-    this.crystalElement.style.color = "#00ffff";
-    this.crystalElement.style.fontSize = "20px";
-    this.crystalElement.style.fontFamily = "Arial, sans-serif";
-    this.crystalElement.style.zIndex = "100";
-    this.crystalElement.textContent = "💎 0";
-    document.getElementById("game-container").appendChild(this.crystalElement);
-
-    // Create message display
-    this.messageElement = document.createElement("div");
-    this.messageElement.id = "message";
-    this.messageElement.style.position = "absolute";
-    this.messageElement.style.top = "50%";
-    this.messageElement.style.left = "50%";
-    this.messageElement.style.transform = "translate(-50%, -50%)";
-    this.messageElement.style.color = "white";
-    this.messageElement.style.fontSize = "24px";
-    this.messageElement.style.fontFamily = "Arial, sans-serif";
-    this.messageElement.style.zIndex = "100";
-    this.messageElement.style.textAlign = "center";
-    this.messageElement.style.opacity = "0";
-    this.messageElement.style.transition = "opacity 0.5s ease";
-    document.getElementById("game-container").appendChild(this.messageElement);
-
-    // Create leaderboard display
-    const leaderboardContainer = document.createElement("div");
-    leaderboardContainer.id = "leaderboard-container";
-    leaderboardContainer.style.position = "absolute";
-    leaderboardContainer.style.top = "10px";
-    leaderboardContainer.style.left = "10px";
-    leaderboardContainer.style.color = "white";
-    leaderboardContainer.style.fontSize = "16px";
-    leaderboardContainer.style.fontFamily = "Arial, sans-serif";
-    leaderboardContainer.style.zIndex = "100";
-    leaderboardContainer.style.backgroundColor = "rgba(0,0,0,0.5)";
-    leaderboardContainer.style.padding = "10px";
-    leaderboardContainer.style.borderRadius = "5px";
-    leaderboardContainer.style.maxWidth = "200px";
-
-    const leaderboardTitle = document.createElement("div");
-    leaderboardTitle.textContent = "Leaderboard";
-    leaderboardTitle.style.marginBottom = "5px";
-    leaderboardTitle.style.fontWeight = "bold";
-    leaderboardContainer.appendChild(leaderboardTitle);
-
-    this.leaderboardElement = document.createElement("ul");
-    this.leaderboardElement.id = "leaderboard-list";
-    this.leaderboardElement.style.listStyleType = "none";
-    this.leaderboardElement.style.padding = "0";
-    this.leaderboardElement.style.margin = "0";
-    leaderboardContainer.appendChild(this.leaderboardElement);
-
-    document.getElementById("game-container").appendChild(leaderboardContainer);
+  // Redraw the inventory strip from the player's slots
+  updateInventoryHUD() {
+    if (!this.ui || !this.player) return;
+
+    const inventory = this.player.inventory;
+    const slots = [];
+
+    for (let i = 0; i < inventory.slotCount; i++) {
+      const slot = inventory.slots[i];
+      if (!slot) {
+        slots.push(null);
+        continue;
+      }
+
+      const definition = powerupRegistry.get(slot.type);
+      slots.push({
+        icon: definition ? definition.icon : "❔",
+        // Instant powerups (like revive) have no duration to show
+        label: slot.duration > 0 ? `${Math.round(slot.duration)}s` : "",
+        selected: i === inventory.selectedIndex,
+      });
+    }
+
+    this.ui.updateInventory(slots);
+  }
+
+  // Show the time left on each active powerup
+  updatePowerupHUD() {
+    if (!this.ui) return;
+
+    const lines = [];
+    if (this.magnetActive) {
+      lines.push(`🧲 ${this.magnetTimer.toFixed(1)}s`);
+    }
+    if (this.speedBoostTimer !== null) {
+      lines.push(`⚡ ${this.speedBoostTimer.toFixed(1)}s`);
+    }
+    Object.keys(this.activeEffects).forEach((type) => {
+      const definition = powerupRegistry.get(type);
+      lines.push(`${definition.icon} ${this.activeEffects[type].toFixed(1)}s`);
+    });
+    if (this.reviveArmed) {
+      lines.push(`${powerupRegistry.get("revive").icon} ready`);
+    }
+
+    this.ui.updatePowerupTimers(lines);
   }
 
   // Update player light to follow the player - simplified for performance
   updatePlayerLight() {
     if (!this.player) return;
 
-    const pos = this.player.getPosition();
+    const pos = this.player.getWorldPosition();
+    const direction = this.player.getDirection();
 
     // Update only the main player spotlight for performance
     if (this.playerLight) {
-      this.playerLight.position.set(pos.x, pos.y + 6, pos.z - 3);
-      this.playerLight.target.position.set(pos.x, pos.y, pos.z + 8);
+      this.playerLight.position.copy(pos).addScaledVector(direction, -3);
+      this.playerLight.position.y += 6;
+      this.playerLight.target.position.copy(pos).addScaledVector(direction, 8);
     }
   }
 
   showMessage(text, duration = 2000) {
-    this.messageElement.textContent = text;
-    this.messageElement.style.opacity = "1";
-
-    setTimeout(() => {
-      this.messageElement.style.opacity = "0";
-    }, duration);
+    this.ui.showMessage(text, duration);
   }
 
   updateHealthUI() {
-    // Update health UI elements (hearts or health bar)
-    if (this.healthElements) {
-      for (let i = 0; i < this.healthElements.length; i++) {
-        this.healthElements[i].style.visibility =
-          i < this.player.health ? "visible" : "hidden";
-      }
+    if (this.player) {
+      this.ui.updateHealth(this.player.health);
     }
   }
 
   increaseScore(amount) {
     this.score += amount;
-    this.scoreElement.textContent = this.score;
+    this.ui.updateScore(this.score);
   }
 
   increaseCrystals(amount) {
     this.crystals += amount;
-    this.crystalElement.textContent = `💎 ${this.crystals}`;
+    this.ui.updateCrystals(this.crystals);
   }
 
   updateLeaderboard(leaderboard) {
-    // Safety check - make sure we have a leaderboard element
-    if (!this.leaderboardElement) return;
-
-    // Clear current leaderboard
-    this.leaderboardElement.innerHTML = "";
-
     // Safety check - make sure leaderboard is an array
     if (!Array.isArray(leaderboard)) return;
 
-    // Add top 5 players to leaderboard
-    leaderboard.slice(0, 5).forEach((player, index) => {
-      const li = document.createElement("li");
-      li.textContent = `${index + 1}. ${player.username}: ${player.score}`;
-
-      // Highlight current player
-      if (player.username === this.username) {
-        li.style.color = "#00ffff";
-        li.style.fontWeight = "bold";
-      }
-
-      this.leaderboardElement.appendChild(li);
-    });
+    this.ui.updateLeaderboard(leaderboard, this.username);
   }
 
   pause() {
@@ -924,36 +1560,24 @@ class Game {
     this.clock.start();
   }
 
-  showGameOverScreen() {
-    const gameOverScreen = document.getElementById("game-over");
-    if (!gameOverScreen) return;
-
-    const finalScore = document.getElementById("final-score");
-    if (finalScore) {
-      finalScore.innerHTML = `
-        FINAL SCORE: ${this.score}<br>
-        CRYSTALS COLLECTED: ${this.crystals}<br>
-        DISTANCE TRAVELED: ${Math.floor(this.distanceTraveled)}m
-      `;
-    }
-
-    // Show game over screen with fade in
-    gameOverScreen.style.opacity = "0";
-    gameOverScreen.classList.remove("hidden");
-    setTimeout(() => {
-      gameOverScreen.style.opacity = "1";
-    }, 100);
-  }
-
   restart() {
     console.log("Restarting game...");
 
+    // End powerup effects before the speed is reset
+    this.deactivateMagnet();
+    this.deactivateSpeedBoost();
+    this.clearEffects();
+
     // Reset game state
     this.score = 0;
     this.crystals = 0;
     this.gameSpeed = this.initialGameSpeed;
     this.distanceTraveled = 0;
+    this.survivalTimer = 0;
+    this.frameCount = 0;
+    this.loop.reset();
     this.isGameOver = false;
+    this.deathCause = null;
     this.isPaused = false;
     this.isRunning = false;
 
@@ -964,29 +1588,42 @@ class Game {
     // Reset player
     this.player.reset();
 
-    // Reset world
-    this.world.reset();
+    // Reset world - new course unless the seed is fixed
+    if (!this.seedLocked) {
+      this.seed = SeededRandom.generateSeed();
+    }
+    this.world.reset(this.seed);
+
+    // A restart leaves any race
+    this.race = null;
+    this.raceStartAt = null;
+    this.ui.hideRaceResults();
+    this.stopSpectating();
+
+    // Start recording the new run
+    this.pendingInputs = [];
+    this.replayPlayer = null;
+    this.recorder = new ReplayRecorder(this.seed, this.username);
+
+    // The ghost starts over with the run
+    if (this.ghost) {
+      this.ghost.start();
+      this.updateGhostIndicator();
+    }
 
     // Reset camera position
     this.camera.position.copy(this.cameraOriginalPos);
 
     // Update UI
     this.updateHealthUI();
+    this.updateInventoryHUD();
 
     // Hide game over screen
-    const gameOverScreen = document.getElementById("game-over-screen");
-    if (gameOverScreen) {
-      gameOverScreen.style.display = "none";
-    }
+    this.ui.onRestart();
 
     // Show a "Get Ready" message
     this.showMessage("Get Ready!", 2000);
 
-    // Play start sound if available
-    if (window.sound && window.sound.start) {
-      window.sound.start.play();
-    }
-
     console.log("Game restarted!");
   }
 
@@ -1005,42 +1642,419 @@ class Game {
   }
 
   moveLeft() {
-    if (!this.isGameOver && !this.isPaused) {
-      this.player.moveRight();
-    }
+    this.handleInput("left");
   }
 
   moveRight() {
-    if (!this.isGameOver && !this.isPaused) {
-      this.player.moveLeft();
-    }
+    this.handleInput("right");
   }
 
   jump() {
-    if (!this.isGameOver && !this.isPaused) {
-      this.player.jump();
-    }
+    this.handleInput("jump");
   }
 
   slide() {
-    if (!this.isGameOver && !this.isPaused) {
-      this.player.slide();
-    }
+    this.handleInput("slide");
+  }
+
+  // Pick an inventory slot (0-based)
+  selectPowerupSlot(index) {
+    this.handleInput("selectPowerup", index);
+  }
+
+  // Move the inventory selection forward (1) or back (-1)
+  cyclePowerup(direction = 1) {
+    this.handleInput("cyclePowerup", direction);
   }
 
   usePowerup() {
-    if (this.player && !this.isGameOver && !this.isPaused) {
-      // Delegate to player's usePowerup method
-      const used = this.player.usePowerup();
+    this.handleInput("usePowerup");
+  }
 
-      if (used) {
-        // Show message
-        this.showMessage("Powerup activated!");
-      } else {
-        // Show message that no powerup is available
-        this.showMessage("No powerup available");
+  // Player input is applied at the start of the next step, so each input
+  // belongs to one step and a replay can give it back on the same one.
+  // Live input is ignored while a replay is playing.
+  handleInput(action, value = null) {
+    // Spectators only pick who to watch
+    if (this.isSpectating) {
+      if (action === "left") {
+        this.cycleSpectator(-1);
+      } else if (action === "right") {
+        this.cycleSpectator(1);
       }
+      return;
     }
+
+    if (this.isGameOver || this.isPaused || this.replayPlayer) return;
+    if (this.raceStartAt !== null) return; // No head start in a race
+
+    this.queueInput(action, value);
+  }
+
+  queueInput(action, value = null) {
+    this.pendingInputs.push({ action, value });
+  }
+
+  applyInputs(tick) {
+    if (this.pendingInputs.length === 0) return;
+
+    const inputs = this.pendingInputs;
+    this.pendingInputs = [];
+
+    inputs.forEach((input) => {
+      this.recorder.record(tick, input.action, input.value);
+      this.performInput(input.action, input.value);
+    });
+  }
+
+  performInput(action, value) {
+    if (!this.player || this.isGameOver) return;
+
+    switch (action) {
+      // Left and right are swapped to match the camera
+      case "left":
+        this.player.moveRight();
+        break;
+      case "right":
+        this.player.moveLeft();
+        break;
+      case "jump":
+        this.player.jump();
+        break;
+      case "slide":
+        this.player.slide();
+        break;
+      case "selectPowerup":
+        this.player.selectPowerup(value);
+        break;
+      case "cyclePowerup":
+        this.player.cyclePowerup(value);
+        break;
+      case "usePowerup":
+        // Delegate to player's usePowerup method
+        if (this.player.usePowerup()) {
+          // Show message
+          this.showMessage("Powerup activated!");
+        } else {
+          // Show message that no powerup is available
+          this.showMessage("No powerup available");
+        }
+        break;
+    }
+  }
+
+  // Watch a recorded run (see replay.js). Restarts on the replay's seed and
+  // plays its inputs back on the steps they were given. Throws if the
+  // replay can't be played.
+  playReplay(replay) {
+    const replayPlayer = new ReplayPlayer(replay);
+    this.stopGhost();
+
+    this.seed = SeededRandom.normalizeSeed(replay.seed);
+    this.seedLocked = true;
+    this.restart();
+    this.replayPlayer = replayPlayer;
+
+    this.showMessage(`Replay: ${replay.username || "Player"}`, 3000);
+  }
+
+  // Race the other players in a room. race is the host's start message
+  // (see MultiplayerManager.startRun): the course seed, who is racing and
+  // when to go on the host's clock.
+  startRace(race, localPeerId = null) {
+    const multiplayer = this.multiplayerManager;
+    if (localPeerId === null && multiplayer) {
+      localPeerId = multiplayer.peerId;
+    }
+
+    this.stopGhost();
+    this.seed = SeededRandom.normalizeSeed(race.seed);
+    this.seedLocked = true;
+    this.restart();
+
+    this.race = new RaceSession(race.participants || [], localPeerId, {
+      verifyScores: race.verifyScores,
+      hostPeerId: multiplayer ? multiplayer.hostPeerId : null,
+    });
+    this.raceStartAt = multiplayer
+      ? multiplayer.hostTimeToLocal(race.startsAt)
+      : race.startsAt;
+    this.raceCountdownShown = null;
+  }
+
+  // Watch a race we aren't running in (we joined the room after it
+  // started). We are ready for the next round, which the runStart listener
+  // joins.
+  spectateRace(race) {
+    if (!this.multiplayerManager) return;
+
+    this.startRace(race);
+    this.raceStartAt = null; // No countdown for spectators
+    this.isGameOver = true;
+    this.isRunning = false;
+    if (this.player && this.player.mesh) {
+      this.player.mesh.visible = false;
+    }
+
+    this.multiplayerManager.setReady(true);
+    this.startSpectating();
+  }
+
+  // Host only: everyone in the room races again on a new course. False if
+  // someone isn't ready yet.
+  startNextRound() {
+    return !!this.multiplayerManager && this.multiplayerManager.startRun();
+  }
+
+  // Remote runners still going, in a fixed order to cycle through. In a
+  // race, only the ones running in it.
+  getLiveRunners(now = Date.now()) {
+    const multiplayer = this.multiplayerManager;
+    if (!multiplayer) return [];
+
+    return Object.keys(multiplayer.remotePlayers)
+      .sort()
+      .map((peerId) => multiplayer.getRemoteRunner(peerId, now))
+      .filter((runner) => {
+        if (!runner || runner.isDead) return false;
+        if (!this.race) return true;
+
+        const entry = this.race.runners.get(runner.peerId);
+        return !!entry && !entry.finished;
+      });
+  }
+
+  // Follow another runner with the camera once our own run is over. Without
+  // a peerId, the first one still running. Left and right switch runners.
+  startSpectating(peerId = null) {
+    if (!this.multiplayerManager) return false;
+
+    this.isSpectating = true;
+    this.spectatedPeerId = peerId;
+    this.updateSpectator();
+    return true;
+  }
+
+  stopSpectating() {
+    if (!this.isSpectating) return;
+
+    this.isSpectating = false;
+    this.spectatedPeerId = null;
+    this.spectatorPosition = null;
+    if (this.player && this.player.mesh) {
+      this.player.mesh.visible = true;
+    }
+    this.ui.updateSpectator(null);
+  }
+
+  // Watch the next (1) or previous (-1) runner still going
+  cycleSpectator(direction = 1) {
+    if (!this.isSpectating) return;
+
+    const runners = this.getLiveRunners();
+    if (runners.length === 0) return;
+
+    const index = runners.findIndex(
+      (runner) => runner.peerId === this.spectatedPeerId
+    );
+    const next =
+      index === -1
+        ? 0
+        : (index + direction + runners.length) % runners.length;
+    this.spectatedPeerId = runners[next].peerId;
+    this.updateSpectator();
+  }
+
+  // Once a frame while spectating: move on from runners who are out, keep
+  // the course built around the one we watch and show who it is
+  updateSpectator(frameSeconds = 0, now = Date.now()) {
+    if (!this.isSpectating) return;
+
+    const runners = this.getLiveRunners(now);
+    let runner = runners.find(
+      (candidate) => candidate.peerId === this.spectatedPeerId
+    );
+    if (!runner) {
+      runner = runners[0] || null;
+      this.spectatedPeerId = runner ? runner.peerId : null;
+    }
+
+    if (!runner) {
+      this.ui.updateSpectator({ username: null });
+      return;
+    }
+
+    this.spectatorPosition = runner.position;
+    this.followSpectatedCourse(runner, frameSeconds);
+    this.ui.updateSpectator({
+      peerId: runner.peerId,
+      username: runner.username,
+      score: runner.score,
+      distance: runner.distance,
+      runnerCount: runners.length,
+    });
+  }
+
+  // Build the course around the runner we watch. It only depends on the
+  // seed (see getCourseSpeed), so it is the one they are running.
+  followSpectatedCourse(runner, frameSeconds) {
+    if (!this.world || !this.world.activeChunks) return;
+
+    // Behind what is left of the course - build it again from the start
+    const firstChunk = this.world.activeChunks[0];
+    if (
+      firstChunk &&
+      firstChunk.segment &&
+      runner.position.z < firstChunk.segment.startDistance
+    ) {
+      this.world.reset(this.seed);
+    }
+
+    this.world.update(frameSeconds, this.gameSpeed, runner.position);
+  }
+
+  // Hold the run until the race starts, counting down. Returns true while
+  // still waiting.
+  updateRaceCountdown(now) {
+    if (this.raceStartAt === null) return false;
+
+    const remaining = this.raceStartAt - now;
+    if (remaining > 0) {
+      const seconds = Math.ceil(remaining / 1000);
+      if (seconds !== this.raceCountdownShown) {
+        this.raceCountdownShown = seconds;
+        this.showMessage(String(seconds), 900);
+      }
+      return true;
+    }
+
+    this.raceStartAt = null;
+    this.raceCountdownShown = null;
+    this.showMessage("GO!", 1000);
+    return false;
+  }
+
+  // Without a room (headless) we are the race's host
+  isRaceHost() {
+    return !this.multiplayerManager || this.multiplayerManager.isHost();
+  }
+
+  // Host only: play another runner's finished race back from their inputs
+  // to check their score (see runVerifier.js). Checks run for a few
+  // milliseconds per frame in advanceRaceChecks.
+  checkRaceRun(peerId, claim) {
+    if (!this.race || !this.race.verifyScores || !this.isRaceHost()) return;
+
+    const runner = this.race.runners.get(peerId);
+    const username = runner ? runner.username : "Player";
+    const game = this.createHeadlessCopy(this.seed, username);
+
+    this.raceChecks.push(
+      new RunVerifier(game, this.seed, { ...claim, peerId, username })
+    );
+  }
+
+  // Checks go one after another within a budget of budgetMs, so a full room
+  // doesn't slow the host down more. Checks carry on after the host leaves
+  // the race - the others are still waiting for them.
+  advanceRaceChecks(budgetMs) {
+    const deadline = performance.now() + budgetMs;
+
+    while (this.raceChecks.length > 0 && performance.now() < deadline) {
+      const check = this.raceChecks[0];
+      if (!check.advance(RACE_CHECK_STEPS_PER_SLICE)) continue;
+
+      this.raceChecks.shift();
+      this.applyRaceVerdict(check.result);
+    }
+  }
+
+  applyRaceVerdict(verdict) {
+    if (!verdict.verified) {
+      console.warn(`Rejected race score of ${verdict.peerId}: ${verdict.reason}`);
+    }
+
+    if (this.race && this.race.setVerdict(verdict.peerId, verdict)) {
+      this.updateRaceResults();
+    }
+    if (this.multiplayerManager) {
+      this.multiplayerManager.sendRaceVerdict(verdict);
+    }
+  }
+
+  // Standings once our own run is over; final when everyone is done
+  updateRaceResults() {
+    if (!this.race) return;
+
+    // Nobody joining now can watch it any more
+    if (this.race.isComplete() && this.multiplayerManager) {
+      this.multiplayerManager.finishRace();
+    }
+    // Spectators who aren't in the race have no standings to wait for
+    if (!this.isGameOver || !this.race.hasRunner(this.race.localPeerId)) return;
+
+    this.ui.showRaceResults(this.race.getPlacements(), this.race.isComplete());
+  }
+
+  // A headless game on this game's obstacle patterns, for playing
+  // recorded runs alongside it (ghosts, race checks). Its scene is never
+  // drawn, so it is built without scenery.
+  createHeadlessCopy(seed, username) {
+    const game = new Game(null, username, null, seed, {
+      ui: new HeadlessGameUI(),
+      ghostStore: null,
+      visuals: false,
+    });
+    // Same obstacle patterns, or the courses would differ
+    if (this.world.patternLibrary) {
+      game.world.setPatternLibrary(this.world.patternLibrary);
+    }
+    return game;
+  }
+
+  // Race a recorded run (usually a personal best, see ghostStore.js).
+  // Restarts on the ghost's seed so both run the same course. Throws if the
+  // replay can't be played.
+  startGhost(replay) {
+    validateReplay(replay);
+
+    const ghostGame = this.createHeadlessCopy(replay.seed, replay.username);
+
+    this.stopGhost();
+    this.ghost = new GhostRunner(this.scene, ghostGame, replay);
+
+    this.seed = SeededRandom.normalizeSeed(replay.seed);
+    this.seedLocked = true;
+    this.restart();
+
+    this.showMessage(`Racing ghost: ${replay.username || "Player"}`, 3000);
+  }
+
+  stopGhost() {
+    if (!this.ghost) return;
+
+    this.ghost.dispose();
+    this.ghost = null;
+    this.ui.updateGhostDistance(null);
+  }
+
+  // How far ahead of or behind the ghost the player is
+  updateGhostIndicator() {
+    if (!this.ghost) return;
+
+    const ghostDistance = this.ghost.getDistance();
+    const gap = Math.round(this.distanceTraveled - ghostDistance);
+
+    let text;
+    if (this.ghost.hasCrashed() && gap >= 0) {
+      text = `Ghost crashed at ${Math.floor(ghostDistance)}m`;
+    } else if (gap >= 0) {
+      text = `+${gap}m ahead of ghost`;
+    } else {
+      text = `${-gap}m behind ghost`;
+    }
+
+    this.ui.updateGhostDistance(text, gap);
   }
 }
 
@@ -0,0 +1,550 @@
+const { serializeReplay, replayToFragment } = require("./replay");
+
+// Everything the game shows outside the 3D scene: HUD, messages, screen
+// flashes and the game over screen.
+//
+// Game only talks to its UI through these methods, so the simulation can run
+// without a page (see HeadlessGameUI and simulation.js).
+class DomGameUI {
+  constructor(game) {
+    this.game = game;
+    this.container = document.getElementById("game-container");
+  }
+
+  setup() {
+    // Create score display
+    this.scoreElement = document.createElement("div");
+    this.scoreElement.id = "score-value";
+    this.scoreElement.style.position = "absolute";
+    this.scoreElement.style.top = "10px";
+    this.scoreElement.style.right = "20px";
+    this.scoreElement.style.color = "white";
+    this.scoreElement.style.fontSize = "24px";
+    this.scoreElement.style.fontFamily = "Arial, sans-serif";
+    this.scoreElement.style.zIndex = "100";
+    this.scoreElement.textContent = "0";
+    this.container.appendChild(this.scoreElement);
+
+    // Create crystal counter
+    this.crystalElement = document.createElement("div");
+    this.crystalElement.id = "crystal-value";
+    this.crystalElement.style.position = "absolute";
+    this.crystalElement.style.top = "40px";
+    this.crystalElement.style.right = "20px";
+    this.crystalElement.style.color = "#00ffff";
+    this.crystalElement.style.fontSize = "20px";
+    this.crystalElement.style.fontFamily = "Arial, sans-serif";
+    this.crystalElement.style.zIndex = "100";
+    this.crystalElement.textContent = "💎 0";
+    this.container.appendChild(this.crystalElement);
+
+    // Create message display
+    this.messageElement = document.createElement("div");
+    this.messageElement.id = "message";
+    this.messageElement.style.position = "absolute";
+    this.messageElement.style.top = "50%";
+    this.messageElement.style.left = "50%";
+    this.messageElement.style.transform = "translate(-50%, -50%)";
+    this.messageElement.style.color = "white";
+    this.messageElement.style.fontSize = "24px";
+    this.messageElement.style.fontFamily = "Arial, sans-serif";
+    this.messageElement.style.zIndex = "100";
+    this.messageElement.style.textAlign = "center";
+    this.messageElement.style.opacity = "0";
+    this.messageElement.style.transition = "opacity 0.5s ease";
+    this.container.appendChild(this.messageElement);
+
+    // Create leaderboard display
+    const leaderboardContainer = document.createElement("div");
+    leaderboardContainer.id = "leaderboard-container";
+    leaderboardContainer.style.position = "absolute";
+    leaderboardContainer.style.top = "10px";
+    leaderboardContainer.style.left = "10px";
+    leaderboardContainer.style.color = "white";
+    leaderboardContainer.style.fontSize = "16px";
+    leaderboardContainer.style.fontFamily = "Arial, sans-serif";
+    leaderboardContainer.style.zIndex = "100";
+    leaderboardContainer.style.backgroundColor = "rgba(0,0,0,0.5)";
+    leaderboardContainer.style.padding = "10px";
+    leaderboardContainer.style.borderRadius = "5px";
+    leaderboardContainer.style.maxWidth = "200px";
+
+    const leaderboardTitle = document.createElement("div");
+    leaderboardTitle.textContent = "Leaderboard";
+    leaderboardTitle.style.marginBottom = "5px";
+    leaderboardTitle.style.fontWeight = "bold";
+    leaderboardContainer.appendChild(leaderboardTitle);
+
+    this.leaderboardElement = document.createElement("ul");
+    this.leaderboardElement.id = "leaderboard-list";
+    this.leaderboardElement.style.listStyleType = "none";
+    this.leaderboardElement.style.padding = "0";
+    this.leaderboardElement.style.margin = "0";
+    leaderboardContainer.appendChild(this.leaderboardElement);
+
+    this.container.appendChild(leaderboardContainer);
+
+    // Active powerup timers
+    this.powerupTimerElement = document.createElement("div");
+    this.powerupTimerElement.id = "powerup-timers";
+    this.powerupTimerElement.style.position = "absolute";
+    this.powerupTimerElement.style.top = "70px";
+    this.powerupTimerElement.style.right = "20px";
+    this.powerupTimerElement.style.color = "#ff88ff";
+    this.powerupTimerElement.style.fontSize = "18px";
+    this.powerupTimerElement.style.fontFamily = "Arial, sans-serif";
+    this.powerupTimerElement.style.textAlign = "right";
+    this.powerupTimerElement.style.zIndex = "100";
+    this.container.appendChild(this.powerupTimerElement);
+
+    // Powerup inventory strip - tap or click a slot to select it
+    this.inventoryElement = document.createElement("div");
+    this.inventoryElement.id = "powerup-inventory";
+    this.inventoryElement.style.position = "absolute";
+    this.inventoryElement.style.bottom = "20px";
+    this.inventoryElement.style.left = "50%";
+    this.inventoryElement.style.transform = "translateX(-50%)";
+    this.inventoryElement.style.display = "flex";
+    this.inventoryElement.style.gap = "8px";
+    this.inventoryElement.style.zIndex = "100";
+
+    this.inventorySlotElements = [];
+    for (let i = 0; i < this.game.player.inventory.slotCount; i++) {
+      const slotElement = document.createElement("div");
+      slotElement.className = "powerup-slot";
+      slotElement.style.width = "48px";
+      slotElement.style.height = "48px";
+      slotElement.style.borderRadius = "8px";
+      slotElement.style.backgroundColor = "rgba(0,0,0,0.5)";
+      slotElement.style.color = "white";
+      slotElement.style.fontFamily = "Arial, sans-serif";
+      slotElement.style.fontSize = "11px";
+      slotElement.style.textAlign = "center";
+      slotElement.style.lineHeight = "1.2";
+      slotElement.style.paddingTop = "4px";
+      slotElement.style.boxSizing = "border-box";
+      slotElement.style.cursor = "pointer";
+
+      const select = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.game.selectPowerupSlot(i);
+      };
+      slotElement.addEventListener("click", select);
+      slotElement.addEventListener("touchend", select);
+
+      this.inventoryElement.appendChild(slotElement);
+      this.inventorySlotElements.push(slotElement);
+    }
+
+    this.container.appendChild(this.inventoryElement);
+
+    // Set up health UI elements
+    this.healthElements = [];
+    for (let i = 0; i < 3; i++) {
+      const heartElement = document.createElement("div");
+      heartElement.className = "health-heart";
+      heartElement.innerHTML = "❤️";
+      heartElement.style.position = "absolute";
+      heartElement.style.top = "10px";
+      heartElement.style.left = 10 + i * 30 + "px";
+      heartElement.style.fontSize = "24px";
+      heartElement.style.color = "#ff0000";
+      heartElement.style.zIndex = "100";
+      this.container.appendChild(heartElement);
+      this.healthElements.push(heartElement);
+    }
+
+    // Replay buttons on the game over screen
+    const saveReplayButton = document.getElementById("save-replay-button");
+    if (saveReplayButton) {
+      saveReplayButton.addEventListener("click", () => {
+        this.saveReplayFile(this.game.lastReplay);
+      });
+    }
+
+    const copyReplayLinkButton = document.getElementById(
+      "copy-replay-link-button"
+    );
+    if (copyReplayLinkButton) {
+      copyReplayLinkButton.addEventListener("click", () => {
+        this.copyReplayLink(this.game.lastReplay);
+      });
+    }
+  }
+
+  // Download the last run as a .json file
+  saveReplayFile(replay) {
+    if (!replay) return;
+
+    const blob = new Blob([serializeReplay(replay)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `cosmic-runner-${replay.seed}-${replay.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Copy a link that plays the last run when opened
+  copyReplayLink(replay) {
+    if (!replay) return;
+
+    const url =
+      window.location.href.split("#")[0] + "#" + replayToFragment(replay);
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(url)
+        .then(() => this.showMessage("Replay link copied!"))
+        .catch(() => window.prompt("Copy this replay link:", url));
+    } else {
+      window.prompt("Copy this replay link:", url);
+    }
+  }
+
+  updateScore(score) {
+    this.scoreElement.textContent = score;
+  }
+
+  updateCrystals(crystals) {
+    this.crystalElement.textContent = `💎 ${crystals}`;
+  }
+
+  updateHealth(health) {
+    for (let i = 0; i < this.healthElements.length; i++) {
+      this.healthElements[i].style.visibility =
+        i < health ? "visible" : "hidden";
+    }
+  }
+
+  // slots: [{ icon, label, selected }] with null for empty slots
+  updateInventory(slots) {
+    this.inventorySlotElements.forEach((slotElement, i) => {
+      const slot = slots[i];
+
+      slotElement.innerHTML = slot
+        ? `<div style="font-size:22px">${slot.icon}</div>${slot.label}`
+        : `<div style="font-size:22px;opacity:0.3">${i + 1}</div>`;
+      slotElement.style.border =
+        slot && slot.selected
+          ? "2px solid #ffff00"
+          : "2px solid rgba(255,255,255,0.3)";
+    });
+  }
+
+  // One line per active powerup timer
+  updatePowerupTimers(lines) {
+    const text = lines.join("<br>");
+    if (this.powerupTimerElement.innerHTML !== text) {
+      this.powerupTimerElement.innerHTML = text;
+    }
+  }
+
+  updateMultiplayerStatus(status) {
+    const statusElement = document.getElementById("multiplayer-status");
+    if (statusElement) {
+      statusElement.textContent = status;
+    }
+  }
+
+  // Gap to the ghost runner, or null to hide it. gap > 0 is ahead.
+  updateGhostDistance(text, gap = 0) {
+    if (!this.ghostDistanceElement) {
+      if (text === null) return;
+
+      this.ghostDistanceElement = document.createElement("div");
+      this.ghostDistanceElement.id = "ghost-distance";
+      this.ghostDistanceElement.style.position = "absolute";
+      this.ghostDistanceElement.style.top = "10px";
+      this.ghostDistanceElement.style.left = "50%";
+      this.ghostDistanceElement.style.transform = "translateX(-50%)";
+      this.ghostDistanceElement.style.fontSize = "20px";
+      this.ghostDistanceElement.style.fontFamily = "Arial, sans-serif";
+      this.ghostDistanceElement.style.zIndex = "100";
+      this.ghostDistanceElement.style.backgroundColor = "rgba(0,0,0,0.5)";
+      this.ghostDistanceElement.style.padding = "4px 12px";
+      this.ghostDistanceElement.style.borderRadius = "5px";
+      this.container.appendChild(this.ghostDistanceElement);
+    }
+
+    this.ghostDistanceElement.style.display = text === null ? "none" : "block";
+    if (text !== null && this.ghostDistanceElement.textContent !== text) {
+      this.ghostDistanceElement.textContent = text;
+      this.ghostDistanceElement.style.color = gap >= 0 ? "#66ff99" : "#ff8866";
+    }
+  }
+
+  // Who a spectator is watching: { username, score, distance }, with a
+  // null username while nobody is running. null hides the bar.
+  updateSpectator(info) {
+    if (!this.spectatorBar) {
+      if (info === null) return;
+
+      this.spectatorBar = document.createElement("div");
+      this.spectatorBar.id = "spectator-bar";
+      this.spectatorBar.style.position = "absolute";
+      this.spectatorBar.style.bottom = "20px";
+      this.spectatorBar.style.left = "50%";
+      this.spectatorBar.style.transform = "translateX(-50%)";
+      this.spectatorBar.style.fontSize = "20px";
+      this.spectatorBar.style.fontFamily = "Arial, sans-serif";
+      this.spectatorBar.style.color = "#ffffff";
+      this.spectatorBar.style.zIndex = "600";
+      this.spectatorBar.style.backgroundColor = "rgba(0,0,0,0.6)";
+      this.spectatorBar.style.padding = "6px 12px";
+      this.spectatorBar.style.borderRadius = "5px";
+      this.spectatorBar.style.whiteSpace = "nowrap";
+
+      // Previous and next runner, for touch screens
+      const previousButton = document.createElement("button");
+      previousButton.className = "replay-button";
+      previousButton.textContent = "◀";
+      previousButton.onclick = () => this.game.cycleSpectator(-1);
+
+      this.spectatorText = document.createElement("span");
+      this.spectatorText.style.margin = "0 12px";
+
+      const nextButton = document.createElement("button");
+      nextButton.className = "replay-button";
+      nextButton.textContent = "▶";
+      nextButton.onclick = () => this.game.cycleSpectator(1);
+
+      this.spectatorBar.appendChild(previousButton);
+      this.spectatorBar.appendChild(this.spectatorText);
+      this.spectatorBar.appendChild(nextButton);
+      this.container.appendChild(this.spectatorBar);
+    }
+
+    this.spectatorBar.style.display = info === null ? "none" : "block";
+    if (info === null) return;
+
+    const text =
+      info.username === null
+        ? "Waiting for the next round..."
+        : `SPECTATING ${info.username} - ${info.score} pts, ${Math.floor(
+            info.distance
+          )}m`;
+    if (this.spectatorText.textContent !== text) {
+      this.spectatorText.textContent = text;
+    }
+  }
+
+  showMessage(text, duration = 2000) {
+    this.messageElement.textContent = text;
+    this.messageElement.style.opacity = "1";
+
+    setTimeout(() => {
+      this.messageElement.style.opacity = "0";
+    }, duration);
+  }
+
+  // Improved flash screen function
+  flash(color, duration = 0.3) {
+    // Create overlay if it doesn't exist
+    if (!this.flashOverlay) {
+      this.flashOverlay = document.createElement("div");
+      this.flashOverlay.style.position = "absolute";
+      this.flashOverlay.style.top = "0";
+      this.flashOverlay.style.left = "0";
+      this.flashOverlay.style.width = "100%";
+      this.flashOverlay.style.height = "100%";
+      this.flashOverlay.style.pointerEvents = "none";
+      this.flashOverlay.style.zIndex = "1000";
+      this.flashOverlay.style.transition = "opacity 0.3s ease-out";
+      this.flashOverlay.style.opacity = "0";
+
+      this.container.appendChild(this.flashOverlay);
+    }
+
+    // Set color and show the overlay
+    const hexColor = color.getHexString();
+    this.flashOverlay.style.backgroundColor = `#${hexColor}`;
+    this.flashOverlay.style.opacity = "0.6";
+
+    // Hide it after the duration
+    setTimeout(() => {
+      this.flashOverlay.style.opacity = "0";
+    }, duration * 1000);
+  }
+
+  updateLeaderboard(leaderboard, username) {
+    // Clear current leaderboard
+    this.leaderboardElement.innerHTML = "";
+
+    // Add top 5 players to leaderboard
+    leaderboard.slice(0, 5).forEach((player, index) => {
+      const li = document.createElement("li");
+      li.textContent = `${index + 1}. ${player.username}: ${player.score}`;
+
+      // Highlight current player
+      if (player.username === username) {
+        li.style.color = "#00ffff";
+        li.style.fontWeight = "bold";
+      }
+
+      this.leaderboardElement.appendChild(li);
+    });
+  }
+
+  // summary: see Game.getRunSummary
+  showGameOver(summary, delay = 0) {
+    setTimeout(() => {
+      const gameOverScreen = document.getElementById("game-over");
+      if (!gameOverScreen) return;
+
+      const finalScore = document.getElementById("final-score");
+      if (finalScore) {
+        finalScore.innerHTML = `
+        FINAL SCORE: ${summary.score}<br>
+        CRYSTALS COLLECTED: ${summary.crystals}<br>
+        DISTANCE TRAVELED: ${Math.floor(summary.distance)}m<br>
+        RUN SEED: ${summary.seed}
+        ${summary.personalBest ? "<br>NEW PERSONAL BEST - SAVED AS GHOST" : ""}
+      `;
+      }
+
+      // Show game over screen with fade in
+      gameOverScreen.style.opacity = "0";
+      gameOverScreen.classList.remove("hidden");
+      setTimeout(() => {
+        gameOverScreen.style.opacity = "1";
+      }, 100);
+    }, delay);
+  }
+
+  // placements: see RaceSession.getPlacements. Until complete, some runners
+  // are still going.
+  showRaceResults(placements, complete) {
+    const resultsScreen = document.getElementById("race-results");
+    if (!resultsScreen) return;
+
+    document.getElementById("race-results-title").textContent = complete
+      ? "RACE RESULTS"
+      : "WAITING FOR OTHER RUNNERS...";
+
+    const list = document.getElementById("race-results-list");
+    list.innerHTML = "";
+    placements.forEach((runner) => {
+      const li = document.createElement("li");
+
+      let status = `${Math.floor(runner.distance)}m - ${runner.score} pts`;
+      if (runner.left) {
+        status += " (left)";
+      } else if (!runner.finished) {
+        status += " (running)";
+      }
+      if (runner.verdict === "pending") {
+        status += " - checking...";
+      } else if (runner.verdict === "verified") {
+        status += " ✔";
+      } else if (runner.verdict === "rejected") {
+        status += " - score rejected";
+      }
+      li.textContent = `${runner.place}. ${runner.username}: ${status}`;
+      if (runner.isLocal) {
+        li.style.color = "#00ffff";
+        li.style.fontWeight = "bold";
+      }
+
+      list.appendChild(li);
+    });
+
+    const closeButton = document.getElementById("race-results-close");
+    if (closeButton) {
+      closeButton.onclick = () => this.hideRaceResults();
+    }
+
+    // The host starts the next round once everyone is done
+    const nextButton = document.getElementById("race-results-next");
+    if (nextButton) {
+      nextButton.classList.toggle("hidden", !complete || !this.game.isRaceHost());
+      nextButton.onclick = () => {
+        if (!this.game.startNextRound()) {
+          this.showMessage("Waiting for everyone to be ready", 2000);
+        }
+      };
+    }
+
+    resultsScreen.classList.remove("hidden");
+  }
+
+  hideRaceResults() {
+    const resultsScreen = document.getElementById("race-results");
+    if (resultsScreen) {
+      resultsScreen.classList.add("hidden");
+    }
+  }
+
+  // Back to a fresh run
+  onRestart() {
+    // Hide game over screen
+    const gameOverScreen = document.getElementById("game-over-screen");
+    if (gameOverScreen) {
+      gameOverScreen.style.display = "none";
+    }
+
+    // Play start sound if available
+    if (window.sound && window.sound.start) {
+      window.sound.start.play();
+    }
+  }
+}
+
+// UI for runs without a page, e.g. simulations in Node. Keeps the last
+// message so tests can check what the player would have seen.
+class HeadlessGameUI {
+  constructor() {
+    this.lastMessage = null;
+    this.raceResults = null;
+    this.spectator = null;
+  }
+
+  setup() {}
+
+  updateScore() {}
+
+  updateCrystals() {}
+
+  updateHealth() {}
+
+  updateInventory() {}
+
+  updatePowerupTimers() {}
+
+  updateGhostDistance() {}
+
+  updateMultiplayerStatus() {}
+
+  updateSpectator(info) {
+    this.spectator = info;
+  }
+
+  showMessage(text) {
+    this.lastMessage = text;
+  }
+
+  flash() {}
+
+  updateLeaderboard() {}
+
+  showGameOver() {}
+
+  showRaceResults(placements, complete) {
+    this.raceResults = { placements, complete };
+  }
+
+  hideRaceResults() {
+    this.raceResults = null;
+  }
+
+  onRestart() {}
+}
+
+module.exports = { DomGameUI, HeadlessGameUI };
@@ -0,0 +1,83 @@
+const {
+  createAstronautFigure,
+  poseAstronautFigure,
+  disposeAstronautFigure,
+} = require("./astronautFigure");
+
+// A recorded run raced alongside the live one.
+//
+// The ghost is its own headless Game playing the replay, stepped once for
+// every step of the live game. Both use the same seed, so the ghost runs on
+// exactly the course the player sees and is drawn at its true lane and
+// distance on it.
+class GhostRunner {
+  // scene: the live game's scene. ghostGame: a headless Game to play the
+  // replay in.
+  constructor(scene, ghostGame, replay) {
+    this.scene = scene;
+    this.game = ghostGame;
+    this.replay = replay;
+
+    this.trackFrame = null;
+
+    this.mesh = createAstronautFigure({
+      color: 0x88ccff,
+      opacity: 0.35,
+      label: `${replay.username || "Ghost"} (best)`,
+    });
+    this.mesh.visible = false;
+    if (this.scene) {
+      this.scene.add(this.mesh);
+    }
+  }
+
+  // Back to the start of the recorded run
+  start() {
+    this.game.playReplay(this.replay);
+    this.mesh.visible = false;
+  }
+
+  step() {
+    if (!this.game.isGameOver) {
+      this.game.runSteps(1);
+    }
+  }
+
+  getDistance() {
+    return this.game.distanceTraveled;
+  }
+
+  hasCrashed() {
+    return this.game.isGameOver;
+  }
+
+  // Place the ghost on the live game's track
+  updateMesh(world, alpha = 1) {
+    const player = this.game.player;
+    if (!player || !world) return;
+
+    const position = player.getRenderPosition(alpha);
+    this.trackFrame = world.getTrackFrame(position.z, this.trackFrame);
+
+    this.mesh.position
+      .copy(this.trackFrame.position)
+      .addScaledVector(this.trackFrame.lateral, position.x);
+    this.mesh.position.y += position.y;
+    this.mesh.rotation.y = this.trackFrame.heading;
+
+    // Strides keep time with the ghost's run
+    const loop = this.game.loop;
+    const time = (loop.tick + alpha) * loop.stepSeconds * 1000;
+    poseAstronautFigure(this.mesh, player.getState(), time);
+    this.mesh.visible = true;
+  }
+
+  dispose() {
+    if (this.scene) {
+      this.scene.remove(this.mesh);
+    }
+    disposeAstronautFigure(this.mesh);
+  }
+}
+
+module.exports = { GhostRunner };
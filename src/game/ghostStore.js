@@ -0,0 +1,64 @@
+// Personal best runs kept as replays in local storage, next to the local
+// leaderboard, so they can be raced as ghosts. One ghost per username - a
+// better run replaces the old one.
+const GHOST_STORAGE_KEY = "cosmic_runner_ghosts";
+
+class GhostStore {
+  constructor(storage = null, maxGhosts = 10) {
+    this.storage =
+      storage || (typeof localStorage !== "undefined" ? localStorage : null);
+    this.maxGhosts = maxGhosts;
+  }
+
+  // All stored ghosts, best score first
+  load() {
+    if (!this.storage) return [];
+
+    try {
+      const savedGhosts = this.storage.getItem(GHOST_STORAGE_KEY);
+      if (savedGhosts) {
+        const ghosts = JSON.parse(savedGhosts);
+        return Array.isArray(ghosts) ? ghosts : [];
+      }
+    } catch (e) {
+      console.error("Failed to load ghosts:", e);
+    }
+    return [];
+  }
+
+  getBest(username) {
+    return this.load().find((ghost) => ghost.username === username) || null;
+  }
+
+  // Keep a finished run if it beats the runner's stored best.
+  // Returns true for a new personal best.
+  saveRun(replay) {
+    if (!this.storage || !replay || typeof replay.score !== "number") {
+      return false;
+    }
+
+    try {
+      let ghosts = this.load();
+
+      const previous = ghosts.find(
+        (ghost) => ghost.username === replay.username
+      );
+      if (previous && previous.score >= replay.score) return false;
+
+      ghosts = ghosts.filter((ghost) => ghost.username !== replay.username);
+      ghosts.push(replay);
+
+      // Sort by score (descending) and keep the best few
+      ghosts.sort((a, b) => b.score - a.score);
+      ghosts = ghosts.slice(0, this.maxGhosts);
+
+      this.storage.setItem(GHOST_STORAGE_KEY, JSON.stringify(ghosts));
+      return ghosts.includes(replay);
+    } catch (e) {
+      console.error("Failed to save ghost:", e);
+      return false;
+    }
+  }
+}
+
+module.exports = { GhostStore, GHOST_STORAGE_KEY };
@@ -7,9 +7,11 @@ class InputHandler {
     this.swipeThreshold = 50;
     this.tapTimeThreshold = 200;
     this.touchStartTime = 0;
+    this.longPressThreshold = 400; // ms held on the powerup button to cycle
 
     // Initialize input handlers
     this.initKeyboardEvents();
+    this.initPowerupButton();
 
     // Initialize touch events if device has a touch screen
     if (game.deviceCapabilities && game.deviceCapabilities.touchScreen) {
@@ -48,6 +50,14 @@ class InputHandler {
           case "KeyE":
             this.game.usePowerup();
             break;
+          case "KeyQ":
+            this.game.cyclePowerup(1);
+            break;
+          case "Digit1":
+          case "Digit2":
+          case "Digit3":
+            this.game.selectPowerupSlot(Number(e.code.slice(-1)) - 1);
+            break;
         }
       }
 
@@ -138,6 +148,40 @@ class InputHandler {
     });
   }
 
+  // Powerup button: tap to use the selected powerup, hold to cycle slots
+  initPowerupButton() {
+    const button = document.getElementById("powerup-button");
+    if (!button) return;
+
+    let pressStart = 0;
+
+    const press = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      pressStart = Date.now();
+    };
+
+    const release = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!pressStart) return;
+
+      const held = Date.now() - pressStart;
+      pressStart = 0;
+
+      if (held >= this.longPressThreshold) {
+        this.game.cyclePowerup(1);
+      } else {
+        this.game.usePowerup();
+      }
+    };
+
+    button.addEventListener("touchstart", press);
+    button.addEventListener("touchend", release);
+    button.addEventListener("mousedown", press);
+    button.addEventListener("mouseup", release);
+  }
+
   togglePause() {
     if (this.game.isGameOver) return;
 
@@ -0,0 +1,217 @@
+// Checks that obstacle rows can actually be passed by the player.
+//
+// Rows are checked one after another along the track. For every lane the
+// validator remembers whether the player can be there when the row arrives
+// and from which distance they are free to jump or slide again. Lane changes,
+// jumps and slides take time, so how much the player can do between two rows
+// depends on the game speed.
+//
+// Distances are in track units (z along the track). Row cells are null for
+// an open lane, or { type, heightClass } where heightClass is:
+//   "low"      - can be jumped over
+//   "overhead" - can be slid under
+//   "full"     - blocks the lane completely
+class LayoutValidator {
+  constructor(profile = {}) {
+    this.laneCount = 4;
+    this.startLane = 2; // Player starts in lane 0.5 (third of four)
+
+    // Obstacle depth plus player depth - the stretch of track a row occupies
+    this.rowDepth = 2;
+
+    // Height the player must clear when jumping over a "low" obstacle
+    this.lowObstacleHeight = 1.2;
+
+    this.configure(profile);
+    this.reset();
+  }
+
+  // Update the player movement model (see Player.getMovementProfile)
+  configure(profile = {}) {
+    this.laneChangeTime =
+      profile.laneChangeTime !== undefined ? profile.laneChangeTime : 0.19;
+    this.jumpForce = profile.jumpForce !== undefined ? profile.jumpForce : 0.3;
+    this.gravity = profile.gravity !== undefined ? profile.gravity : 0.015;
+    this.stepsPerSecond = profile.stepsPerSecond || 60;
+    this.slideDuration =
+      profile.slideDuration !== undefined ? profile.slideDuration : 1;
+
+    this.jumpTiming = this.computeJumpTiming(this.lowObstacleHeight);
+  }
+
+  // Airtime and the part of the jump spent above a given height, in seconds.
+  // Mirrors Player.update: velocity drops by gravity each step, then moves.
+  computeJumpTiming(height) {
+    let y = 0;
+    let velocity = this.jumpForce;
+    let step = 0;
+    let clearStart = null;
+    let clearEnd = null;
+
+    // Safety limit in case of odd physics values
+    while (step < this.stepsPerSecond * 10) {
+      step++;
+      velocity -= this.gravity;
+      y += velocity;
+
+      if (y <= 0) break;
+
+      if (y > height) {
+        if (clearStart === null) clearStart = step;
+        clearEnd = step;
+      }
+    }
+
+    const seconds = (steps) => steps / this.stepsPerSecond;
+
+    return {
+      airtime: seconds(step),
+      clearStart: clearStart === null ? null : seconds(clearStart),
+      clearEnd: clearEnd === null ? null : seconds(clearEnd),
+    };
+  }
+
+  // Forget all rows and start again at a distance along the track
+  reset(distance = 0) {
+    this.states = [{ lane: this.startLane, freeAt: -Infinity }];
+    this.lastRowZ = distance;
+  }
+
+  // Forward speed in track units per second for a game speed value
+  unitsPerSecond(gameSpeed) {
+    return gameSpeed * this.stepsPerSecond;
+  }
+
+  // Lanes the player can reach by the time a row at rowZ arrives
+  advance(states, rowZ, gameSpeed) {
+    const laneChangeDistance =
+      this.laneChangeTime * this.unitsPerSecond(gameSpeed);
+
+    // Lane changes have to finish before the row's obstacles begin
+    const gap = Math.max(0, rowZ - this.lastRowZ - this.rowDepth);
+    const laneSteps =
+      laneChangeDistance > 0
+        ? Math.floor(gap / laneChangeDistance)
+        : this.laneCount;
+
+    const best = new Array(this.laneCount).fill(null);
+
+    states.forEach((state) => {
+      const from = Math.max(0, state.lane - laneSteps);
+      const to = Math.min(this.laneCount - 1, state.lane + laneSteps);
+
+      for (let lane = from; lane <= to; lane++) {
+        if (best[lane] === null || state.freeAt < best[lane].freeAt) {
+          best[lane] = { lane, freeAt: state.freeAt };
+        }
+      }
+    });
+
+    return best.filter((state) => state !== null);
+  }
+
+  // State after passing a cell, or null if the player can't get through
+  passCell(state, cell, rowZ, gameSpeed) {
+    if (!cell || cell.type !== "obstacle") {
+      return state;
+    }
+
+    const speed = this.unitsPerSecond(gameSpeed);
+    const half = this.rowDepth / 2;
+
+    switch (cell.heightClass) {
+      case "low": {
+        const timing = this.jumpTiming;
+        if (timing.clearStart === null) return null;
+
+        // The player must stay above the obstacle for the whole row depth
+        const latestStart = rowZ - half - timing.clearStart * speed;
+        const earliestStart = rowZ + half - timing.clearEnd * speed;
+        const start = Math.max(state.freeAt, earliestStart);
+
+        if (start > latestStart) return null;
+        return { lane: state.lane, freeAt: start + timing.airtime * speed };
+      }
+
+      case "overhead": {
+        const slideDistance = this.slideDuration * speed;
+        const latestStart = rowZ - half;
+        const earliestStart = rowZ + half - slideDistance;
+        const start = Math.max(state.freeAt, earliestStart);
+
+        if (start > latestStart) return null;
+        return { lane: state.lane, freeAt: start + slideDistance };
+      }
+
+      default:
+        // Full blocks (and unknown classes) can't be passed
+        return null;
+    }
+  }
+
+  // Work out where the player can be after a row, without committing it
+  evaluateRow(row, gameSpeed) {
+    const reachable = this.advance(this.states, row.z, gameSpeed);
+    const passed = [];
+
+    reachable.forEach((state) => {
+      const next = this.passCell(
+        state,
+        row.cells[state.lane],
+        row.z,
+        gameSpeed
+      );
+      if (next) passed.push(next);
+    });
+
+    return { reachable, passed };
+  }
+
+  // Add a row if it is passable. Returns false (and keeps the previous
+  // state) when the player could not get through it.
+  addRow(row, gameSpeed) {
+    const { passed } = this.evaluateRow(row, gameSpeed);
+    if (passed.length === 0) return false;
+
+    this.states = passed;
+    this.lastRowZ = row.z;
+    return true;
+  }
+
+  // Clear one reachable lane of an impossible row, then add it.
+  // Returns the index of the lane that was opened.
+  repairRow(row, gameSpeed, random) {
+    const { reachable } = this.evaluateRow(row, gameSpeed);
+    const lanes = reachable.map((state) => state.lane);
+    const lane = random ? random.pick(lanes) : lanes[0];
+
+    row.cells[lane] = null;
+    this.addRow(row, gameSpeed);
+
+    return lane;
+  }
+
+  // Check a whole list of rows from a fresh start. Returns the index of the
+  // first impossible row, or -1 when the layout can be completed.
+  findImpossibleRow(rows, gameSpeed, startDistance = 0) {
+    const savedStates = this.states;
+    const savedLastRowZ = this.lastRowZ;
+
+    this.reset(startDistance);
+
+    let impossible = -1;
+    for (let i = 0; i < rows.length; i++) {
+      if (!this.addRow(rows[i], gameSpeed)) {
+        impossible = i;
+        break;
+      }
+    }
+
+    this.states = savedStates;
+    this.lastRowZ = savedLastRowZ;
+
+    return impossible;
+  }
+}
+
+module.exports = { LayoutValidator };
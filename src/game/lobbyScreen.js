@@ -0,0 +1,138 @@
+// The lobby of a private room: the room code and invite link, everyone in
+// the room with their ready state, and the host's button to start the run.
+// All the room state lives in the MultiplayerManager; this only shows it.
+class LobbyScreen {
+  // options.onLeave is called when the player leaves the room, and
+  // options.onSpectate with the race when they watch one already on
+  constructor(multiplayerManager, options = {}) {
+    this.multiplayer = multiplayerManager;
+    this.onLeave = options.onLeave || null;
+    this.onSpectate = options.onSpectate || null;
+    this.visible = false;
+
+    this.screen = document.getElementById("lobby-screen");
+    this.codeElement = document.getElementById("lobby-code");
+    this.statusElement = document.getElementById("lobby-status");
+    this.playerList = document.getElementById("lobby-players");
+    this.readyButton = document.getElementById("lobby-ready-button");
+    this.startButton = document.getElementById("lobby-start-button");
+    this.verifyLabel = document.getElementById("lobby-verify-label");
+    this.verifyCheckbox = document.getElementById("lobby-verify-scores");
+    this.inviteButton = document.getElementById("lobby-invite-button");
+    this.leaveButton = document.getElementById("lobby-leave-button");
+    this.spectateButton = document.getElementById("lobby-spectate-button");
+
+    // The buttons are shared by every lobby, so only the shown one reacts
+    this.readyButton.onclick = () => {
+      this.multiplayer.setReady(!this.multiplayer.ready);
+    };
+    this.startButton.onclick = () => {
+      this.multiplayer.startRun();
+    };
+    this.verifyCheckbox.onchange = () => {
+      this.multiplayer.setVerifyScores(this.verifyCheckbox.checked);
+    };
+    this.spectateButton.onclick = () => {
+      if (this.onSpectate && this.multiplayer.currentRace) {
+        this.onSpectate(this.multiplayer.currentRace);
+      }
+    };
+    this.inviteButton.onclick = () => this.copyInviteLink();
+    this.leaveButton.onclick = () => this.leave();
+
+    this.multiplayer.on("lobbyUpdate", () => this.render());
+    this.multiplayer.on("statusUpdate", (status) => this.setStatus(status));
+    this.multiplayer.on("roomError", (error) => this.setStatus(error));
+  }
+
+  show() {
+    this.visible = true;
+    this.screen.classList.remove("hidden");
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.screen.classList.add("hidden");
+  }
+
+  setStatus(status) {
+    if (this.visible) {
+      this.statusElement.textContent = status;
+    }
+  }
+
+  render() {
+    if (!this.visible) return;
+
+    const multiplayer = this.multiplayer;
+    this.codeElement.textContent = multiplayer.roomCode || "";
+
+    // One line per player: host star, name and ready state
+    this.playerList.innerHTML = "";
+    multiplayer.getLobbyPlayers().forEach((player) => {
+      const li = document.createElement("li");
+
+      let state = player.ready ? "READY" : "NOT READY";
+      if (player.incompatible) {
+        state = "DIFFERENT GAME VERSION";
+      } else if (!player.connected) {
+        state = "CONNECTING...";
+      }
+      li.textContent = `${player.isHost ? "★ " : ""}${player.username} - ${state}`;
+      li.style.color = player.ready && player.connected ? "#55cc77" : "#ffffff";
+      if (player.isLocal) {
+        li.style.fontWeight = "bold";
+      }
+
+      this.playerList.appendChild(li);
+    });
+
+    this.readyButton.textContent = multiplayer.ready ? "NOT READY" : "READY";
+
+    // Only the host sees the start button, enabled once everyone is ready,
+    // and chooses whether scores are checked
+    this.startButton.classList.toggle("hidden", !multiplayer.isHost());
+    this.startButton.disabled = !multiplayer.canStartRun();
+    this.verifyLabel.classList.toggle("hidden", !multiplayer.isHost());
+    this.verifyCheckbox.checked = multiplayer.verifyScores;
+
+    // Players who join mid-race can watch until the next round
+    this.spectateButton.classList.toggle(
+      "hidden",
+      !multiplayer.currentRace || multiplayer.isHost()
+    );
+  }
+
+  // A link to this page that fills in the room code
+  getInviteLink() {
+    const url = new URL(window.location.href);
+    url.searchParams.set("room", this.multiplayer.roomCode);
+    url.hash = "";
+    return url.toString();
+  }
+
+  copyInviteLink() {
+    const link = this.getInviteLink();
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(link)
+        .then(() => this.setStatus("Invite link copied!"))
+        .catch(() => window.prompt("Copy this invite link:", link));
+    } else {
+      window.prompt("Copy this invite link:", link);
+    }
+  }
+
+  leave() {
+    this.hide();
+    this.multiplayer.disconnect();
+
+    if (this.onLeave) {
+      this.onLeave();
+    }
+  }
+}
+
+module.exports = { LobbyScreen };
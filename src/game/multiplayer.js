@@ -1,8 +1,78 @@
 const THREE = require("three");
-const Peer = require("peerjs");
+const { Peer } = require("peerjs");
+const {
+  createAstronautFigure,
+  poseAstronautFigure,
+} = require("./astronautFigure");
+const { SeededRandom } = require("./random");
+const { SnapshotBuffer } = require("./snapshotBuffer");
+const {
+  PROTOCOL_VERSION,
+  isKnownMessageType,
+  validatePeerMessage,
+} = require("./peerProtocol");
+const {
+  PlayerUpdateEncoder,
+  PlayerUpdateDecoder,
+  isBinaryMessage,
+} = require("./playerUpdateCodec");
+
+// Default port of the room server (see src/server/roomServer.js)
+const DEFAULT_SERVER_PORT = 9000;
+
+// "host", "host:port" or a full http(s) URL -> { host, port, secure }
+function parseServerUrl(serverUrl) {
+  if (!serverUrl) return null;
+
+  try {
+    const url = new URL(
+      /^[a-z]+:\/\//i.test(serverUrl) ? serverUrl : `http://${serverUrl}`
+    );
+    const secure = url.protocol === "https:" || url.protocol === "wss:";
+
+    return {
+      host: url.hostname,
+      port: url.port ? Number(url.port) : DEFAULT_SERVER_PORT,
+      secure,
+    };
+  } catch (e) {
+    console.error("Invalid multiplayer server:", serverUrl);
+    return null;
+  }
+}
+
+// Room codes leave out letters and digits that are easy to mix up
+const ROOM_CODE_CHARACTERS = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const ROOM_CODE_LENGTH = 5;
+
+function generateRoomCode(random = Math.random) {
+  let code = "";
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_CHARACTERS[Math.floor(random() * ROOM_CODE_CHARACTERS.length)];
+  }
+  return code;
+}
+
+// A typed or linked room code in its usual form, or null if it isn't one
+function normalizeRoomCode(code) {
+  const normalized = String(code || "")
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+
+  if (normalized.length !== ROOM_CODE_LENGTH) return null;
+  for (const char of normalized) {
+    if (!ROOM_CODE_CHARACTERS.includes(char)) return null;
+  }
+  return normalized;
+}
 
 class MultiplayerManager {
-  constructor(username, scene) {
+  // options.serverUrl: the room server to use, e.g. "192.168.1.10:9000".
+  // Without one there is no multiplayer.
+  // options.roomCode: a private room (see generateRoomCode) instead of the
+  // open default room; options.roomAction "create" or "join" says whether
+  // it must be new or must already exist.
+  constructor(username, scene, options = {}) {
     this.username = username;
     this.scene = scene;
 
@@ -10,14 +80,51 @@ class MultiplayerManager {
     this.peer = null;
     this.peerId = null;
     this.connections = [];
-    this.roomId = "cosmic-runner-default-room";
-
-    // Room server for discovery (using a mock server for simplicity)
-    this.roomServer = null;
+    this.roomId = options.roomCode || "cosmic-runner-default-room";
+    this.roomCode = options.roomCode || null;
+    this.roomAction = options.roomAction || null;
+
+    // Room server for discovery and PeerJS signaling
+    this.roomServer = parseServerUrl(options.serverUrl);
+    this.roomSocket = null;
+    this.roomError = null;
+
+    // Lobby: who is in the room, who hosts it and who is ready
+    this.roomMembers = {}; // peerId -> username, from the room server
+    this.hostPeerId = null;
+    this.ready = false;
+    this.verifyScores = false; // Host: check every race run (runVerifier.js)
+    this.currentRace = null; // The race start message while a race is on
+    this.scoreVerdicts = {}; // peerId -> the host's verdict on their race
+
+    // Host clock minus ours, so everyone starts a race at the same moment.
+    // Taken from the ping with the quickest round trip.
+    this.hostClockOffset = 0;
+    this.bestClockRoundTrip = Infinity;
+    this.raceCountdown = 4000; // ms from the host pressing start
 
     // Players in the game
     this.remotePlayers = {};
     this.playerMeshes = {};
+    this.remoteSample = {}; // Reused by updateRemotePlayerMesh
+
+    // Message protocol (see peerProtocol.js): the version each peer said
+    // hello with, peers turned away for another version, and counts of the
+    // messages that were dropped
+    this.peerProtocols = {};
+    this.incompatiblePeers = {};
+
+    // Our position updates go out packed (see playerUpdateCodec.js), and
+    // each peer's are unpacked by its own decoder
+    this.updateEncoder = new PlayerUpdateEncoder();
+    this.updateDecoders = {};
+
+    this.protocolStats = {
+      invalid: 0, // Failed validation
+      unverified: 0, // Sent before the peer's hello
+      unknown: 0, // Of a type we don't know
+      unknownTypes: {}, // type -> count
+    };
 
     // Leaderboard data
     this.leaderboard = [];
@@ -36,12 +143,24 @@ class MultiplayerManager {
   }
 
   init() {
+    if (!this.roomServer) {
+      this.trigger("statusUpdate", "Playing in single player mode.");
+      return;
+    }
+
     try {
-      // Create a new peer with a random ID
+      // Create a new peer with an ID from the room server. Signaling goes
+      // through our own server and there are no STUN servers - players on
+      // the same network reach each other directly.
       this.peer = new Peer({
+        host: this.roomServer.host,
+        port: this.roomServer.port,
+        path: "/",
+        key: "peerjs",
+        secure: this.roomServer.secure,
         debug: 1,
         config: {
-          iceServers: [{ urls: "stun:stun.l.google.com:19302" }],
+          iceServers: [],
         },
       });
 
@@ -59,6 +178,13 @@ class MultiplayerManager {
     }
   }
 
+  // The lobby runs before there is a game scene to draw other players in.
+  // With the world, other runners are placed on the track path.
+  setScene(scene, world = null) {
+    this.scene = scene;
+    this.world = world;
+  }
+
   setupPeerEvents() {
     // When peer is created successfully
     this.peer.on("open", (id) => {
@@ -118,11 +244,20 @@ class MultiplayerManager {
     conn.on("open", () => {
       console.log(`Connected to peer: ${conn.peer}`);
 
-      // Send our current state
+      // Handshake first, then our current state. The new peer needs a full
+      // position update before the packed changes make sense.
+      conn.send({ type: "hello", protocol: PROTOCOL_VERSION });
+      this.updateEncoder.requestKeyframe();
+
+      // Someone joining mid-race can watch it
+      if (this.isHost() && this.currentRace) {
+        conn.send({ ...this.currentRace, type: "race_in_progress" });
+      }
       conn.send({
         type: "player_info",
         username: this.username,
         peerId: this.peerId,
+        ready: this.ready,
       });
     });
 
@@ -134,44 +269,143 @@ class MultiplayerManager {
     // When connection is closed
     conn.on("close", () => {
       console.log(`Disconnected from peer: ${conn.peer}`);
+      this.removeRemotePlayer(conn.peer);
+    });
+  }
 
-      // Remove player mesh if exists
-      if (this.playerMeshes[conn.peer]) {
-        this.scene.remove(this.playerMeshes[conn.peer]);
-        delete this.playerMeshes[conn.peer];
-      }
+  removeRemotePlayer(peerId) {
+    // Remove player mesh if exists
+    if (this.playerMeshes[peerId]) {
+      this.scene.remove(this.playerMeshes[peerId]);
+      delete this.playerMeshes[peerId];
+    }
 
-      // Remove from remote players
-      delete this.remotePlayers[conn.peer];
+    // Remove from remote players
+    delete this.remotePlayers[peerId];
+    delete this.peerProtocols[peerId];
+    delete this.updateDecoders[peerId];
 
-      // Remove from connections
-      this.connections = this.connections.filter((c) => c.peer !== conn.peer);
+    // Close and remove from connections
+    this.connections
+      .filter((c) => c.peer === peerId && c.open)
+      .forEach((c) => c.close());
+    this.connections = this.connections.filter((c) => c.peer !== peerId);
 
-      // Update leaderboard
-      this.updateLeaderboard();
-    });
+    // Update leaderboard
+    this.updateLeaderboard();
+    this.trigger("lobbyUpdate");
+    this.trigger("peerLeft", peerId);
   }
 
+  // Register with the room server. It sends the peers already in the room,
+  // which we connect to; peers joining later connect to us.
   joinRoom(playerData) {
-    // In a real implementation, this would connect to a signaling server
-    // For simplicity, we'll simulate direct connections with known peers
+    if (!this.roomServer || typeof WebSocket === "undefined") return;
 
-    // This would normally be fetched from a server
-    const mockRoom = {
-      id: this.roomId,
-      peers: [], // Would be populated by a real server
-    };
+    const protocol = this.roomServer.secure ? "wss" : "ws";
+    const params = new URLSearchParams({
+      room: this.roomId,
+      peer: playerData.peerId,
+      username: playerData.username,
+    });
+    if (this.roomAction) {
+      params.set("action", this.roomAction);
+    }
+    const socket = new WebSocket(
+      `${protocol}://${this.roomServer.host}:${this.roomServer.port}/rooms?${params}`
+    );
+    this.roomSocket = socket;
 
-    // Connect to each peer in the room
-    mockRoom.peers.forEach((peerId) => {
-      if (peerId !== this.peerId) {
-        this.connectToPeer(peerId);
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        console.warn("Invalid room server message:", event.data);
+        return;
       }
-    });
 
-    // In a real implementation, the room service would notify other peers about us
-    // For now, we'll just update our status
-    this.trigger("statusUpdate", `Connected to room: ${this.roomId}`);
+      this.handleRoomMessage(message);
+    };
+
+    socket.onclose = () => {
+      if (this.roomSocket !== socket) return;
+      this.roomSocket = null;
+
+      // Turned away - trying again won't help
+      if (this.roomError) return;
+
+      // Rejoin if we lost the room server but are still online
+      setTimeout(() => {
+        if (!this.roomSocket && this.isConnected()) {
+          this.joinRoom(playerData);
+        }
+      }, 3000);
+    };
+  }
+
+  handleRoomMessage(message) {
+    switch (message.type) {
+      case "room_peers":
+        // In the room now - if we lose the server later, just rejoin
+        this.roomAction = null;
+        this.hostPeerId = message.hostPeerId || null;
+        this.roomMembers = {};
+
+        // Connect to everyone already in the room
+        message.peers.forEach((peer) => {
+          this.roomMembers[peer.peerId] = peer.username;
+
+          const known = this.connections.some((c) => c.peer === peer.peerId);
+          if (peer.peerId !== this.peerId && !known) {
+            this.connectToPeer(peer.peerId);
+          }
+        });
+        this.trigger("statusUpdate", `Connected to room: ${this.roomId}`);
+        this.trigger("lobbyUpdate");
+        break;
+
+      case "peer_joined":
+        // They connect to us
+        this.roomMembers[message.peerId] = message.username;
+        this.trigger("statusUpdate", `${message.username} joined the room`);
+        this.trigger("lobbyUpdate");
+        break;
+
+      case "peer_left":
+        delete this.roomMembers[message.peerId];
+        delete this.incompatiblePeers[message.peerId];
+        this.removeRemotePlayer(message.peerId);
+        break;
+
+      case "host_changed":
+        this.hostPeerId = message.hostPeerId;
+        this.syncClockWithHost();
+        this.trigger("lobbyUpdate");
+        break;
+
+      case "room_full":
+        this.roomError = `Room ${this.roomId} is full`;
+        this.trigger("roomError", this.roomError);
+        break;
+
+      case "room_not_found":
+        this.roomError = `There is no room ${this.roomId}`;
+        this.trigger("roomError", this.roomError);
+        break;
+
+      case "room_exists":
+        // Someone already has this code - make up another one
+        this.roomId = generateRoomCode();
+        this.roomCode = this.roomId;
+        this.roomSocket = null;
+        this.joinRoom({ peerId: this.peerId, username: this.username });
+        this.trigger("lobbyUpdate");
+        break;
+
+      default:
+        console.warn(`Unknown room server message: ${message.type}`);
+    }
   }
 
   connectToPeer(peerId) {
@@ -195,31 +429,143 @@ class MultiplayerManager {
   }
 
   handlePeerData(peerId, data) {
+    // Position updates arrive packed
+    if (isBinaryMessage(data)) {
+      if (!this.updateDecoders[peerId]) {
+        this.updateDecoders[peerId] = new PlayerUpdateDecoder();
+      }
+      try {
+        data = this.updateDecoders[peerId].decode(data);
+      } catch (error) {
+        this.protocolStats.invalid++;
+        console.warn(`Dropped a bad packed update from ${peerId}: ${error.message}`);
+        return;
+      }
+    }
+
+    const type = data && typeof data === "object" ? data.type : undefined;
+    if (!isKnownMessageType(type)) {
+      this.countUnknownMessage(peerId, type);
+      return;
+    }
+
+    // Only the checked copy of the message is used from here on
+    try {
+      data = validatePeerMessage(data);
+    } catch (error) {
+      this.protocolStats.invalid++;
+      console.warn(`Dropped a bad ${type} message from ${peerId}: ${error.message}`);
+      return;
+    }
+
+    if (data.type === "hello") {
+      this.handleHello(peerId, data);
+      return;
+    }
+    if (!this.peerProtocols[peerId]) {
+      this.protocolStats.unverified++;
+      return;
+    }
+
     switch (data.type) {
       case "player_info":
         // Add or update player in our list
         this.remotePlayers[peerId] = {
+          ...this.remotePlayers[peerId],
           username: data.username,
           peerId: peerId,
-          score: data.score || 0,
-          crystals: data.crystals || 0,
+          score: data.score,
+          crystals: data.crystals,
+          ready: data.ready,
           lastUpdate: Date.now(),
         };
+        if (peerId === this.hostPeerId) {
+          this.syncClockWithHost();
+        }
+        this.trigger("lobbyUpdate");
+        break;
+
+      case "lobby_ready":
+        if (this.remotePlayers[peerId]) {
+          this.remotePlayers[peerId].ready = data.ready;
+          this.trigger("lobbyUpdate");
+        }
+        break;
+
+      case "lobby_start":
+        // Only the host starts runs
+        if (peerId === this.hostPeerId) {
+          this.scoreVerdicts = {};
+          this.currentRace = data;
+          this.trigger("runStart", data);
+        }
+        break;
+
+      case "race_in_progress":
+        if (peerId === this.hostPeerId) {
+          this.currentRace = data;
+          this.trigger("lobbyUpdate");
+        }
+        break;
+
+      case "clock_ping": {
+        const pingConn = this.connections.find((c) => c.peer === peerId);
+        if (pingConn && pingConn.open) {
+          pingConn.send({ type: "clock_pong", sent: data.sent, time: Date.now() });
+        }
+        break;
+      }
+
+      case "clock_pong":
+        if (peerId === this.hostPeerId) {
+          this.handleClockPong(data, Date.now());
+        }
+        break;
+
+      case "race_finished":
+        // Someone's race run ended: { score, distance, inputs, steps }
+        this.trigger("raceFinished", peerId, data);
+        break;
+
+      case "race_verdict":
+        // Only the host checks runs
+        if (peerId === this.hostPeerId) {
+          this.scoreVerdicts[data.peerId] = data;
+          this.trigger("raceVerdict", data);
+          this.updateLeaderboard();
+        }
         break;
 
       case "player_update":
         // Update player position and state
         if (this.remotePlayers[peerId]) {
+          const remote = this.remotePlayers[peerId];
+          const now = Date.now();
+
           // Update player data
-          this.remotePlayers[peerId].position = data.position;
-          this.remotePlayers[peerId].rotation = data.rotation;
-          this.remotePlayers[peerId].state = data.state;
-          this.remotePlayers[peerId].score = data.score || 0;
-          this.remotePlayers[peerId].crystals = data.crystals || 0;
-          this.remotePlayers[peerId].lastUpdate = Date.now();
+          remote.position = data.position;
+          remote.rotation = data.rotation;
+          remote.state = data.state;
+          remote.score = data.score;
+          remote.crystals = data.crystals;
+          remote.distance = data.distance;
+          remote.lastUpdate = now;
+
+          // Keep the snapshot for smooth drawing. Updates without a time
+          // are taken as sent when they arrived.
+          if (!remote.snapshots) {
+            remote.snapshots = new SnapshotBuffer();
+          }
+          remote.snapshots.push(
+            data.time !== undefined ? data.time : now,
+            data.position,
+            data.state,
+            now
+          );
 
           // Create or update player mesh
-          this.updateRemotePlayerMesh(peerId);
+          this.updateRemotePlayerMesh(peerId, now);
+          this.trigger("playerUpdate", peerId, this.remotePlayers[peerId]);
         } else {
           // If we don't know this player yet, request their info
           const conn = this.connections.find((c) => c.peer === peerId);
@@ -244,71 +590,253 @@ class MultiplayerManager {
             peerId: this.peerId,
             score: 0,
             crystals: 0,
+            ready: this.ready,
           });
         }
         break;
+    }
+  }
 
-      default:
-        console.warn(`Unknown data type received: ${data.type}`);
+  // The handshake: a peer on another protocol version is turned away
+  handleHello(peerId, data) {
+    if (data.protocol !== PROTOCOL_VERSION) {
+      const name = this.roomMembers[peerId] || peerId;
+      console.warn(
+        `${name} uses protocol ${data.protocol}, we use ${PROTOCOL_VERSION}`
+      );
+
+      this.incompatiblePeers[peerId] = data.protocol;
+      this.removeRemotePlayer(peerId);
+      this.trigger(
+        "statusUpdate",
+        `${name} is on a different version of the game and can't join`
+      );
+      return;
     }
+
+    this.peerProtocols[peerId] = data.protocol;
+    delete this.incompatiblePeers[peerId];
   }
 
-  updateRemotePlayerMesh(peerId) {
-    const player = this.remotePlayers[peerId];
+  // Messages of types we don't know are dropped, but counted so newer
+  // peers or garbage on a connection can be spotted
+  countUnknownMessage(peerId, type) {
+    const key = String(type).slice(0, 32);
+    const stats = this.protocolStats;
 
-    if (!player || !player.position) return;
+    stats.unknown++;
+    stats.unknownTypes[key] = (stats.unknownTypes[key] || 0) + 1;
+    if (stats.unknownTypes[key] === 1) {
+      console.warn(`Unknown message type from ${peerId}: ${key}`);
+    }
+  }
 
-    // Create player mesh if it doesn't exist
-    if (!this.playerMeshes[peerId]) {
-      const playerGroup = new THREE.Group();
+  // Send a message to every open connection
+  broadcast(message) {
+    this.connections.forEach((conn) => {
+      try {
+        if (conn.open) {
+          conn.send(message);
+        }
+      } catch (error) {
+        console.error(`Failed to send to peer ${conn.peer}:`, error);
+      }
+    });
+  }
 
-      // Create a simplified astronaut
-      // Body
-      const bodyGeometry = new THREE.CapsuleGeometry(0.5, 1, 4, 8);
-      const bodyMaterial = new THREE.MeshPhongMaterial({
-        color: this.getPlayerColor(peerId),
-        specular: 0x111111,
-        shininess: 30,
-      });
+  isHost() {
+    return !!this.peerId && this.peerId === this.hostPeerId;
+  }
 
-      const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-      body.position.y = 1;
-      playerGroup.add(body);
-
-      // Helmet
-      const helmetGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-      const helmetMaterial = new THREE.MeshPhongMaterial({
-        color: 0xffffff,
-        transparent: true,
-        opacity: 0.8,
-        specular: 0x444444,
-        shininess: 100,
-      });
+  // Host only: whether race runs are played back to check their scores
+  setVerifyScores(verifyScores) {
+    if (!this.isHost()) return;
+
+    this.verifyScores = !!verifyScores;
+    this.trigger("lobbyUpdate");
+  }
+
+  setReady(ready) {
+    this.ready = !!ready;
+    this.broadcast({ type: "lobby_ready", ready: this.ready });
+    this.trigger("lobbyUpdate");
+  }
+
+  // Everyone in the room, in the order they joined, for the lobby screen
+  getLobbyPlayers() {
+    const players = [
+      {
+        peerId: this.peerId,
+        username: this.username,
+        ready: this.ready,
+        connected: true,
+        isLocal: true,
+      },
+    ];
 
-      const helmet = new THREE.Mesh(helmetGeometry, helmetMaterial);
-      helmet.position.y = 1.75;
-      playerGroup.add(helmet);
-
-      // Add username label
-      const canvas = document.createElement("canvas");
-      const context = canvas.getContext("2d");
-      canvas.width = 256;
-      canvas.height = 64;
-      context.font = "24px Arial";
-      context.fillStyle = "#FFFFFF";
-      context.textAlign = "center";
-      context.fillText(player.username, 128, 24);
-
-      const texture = new THREE.CanvasTexture(canvas);
-      const labelMaterial = new THREE.SpriteMaterial({
-        map: texture,
-        transparent: true,
+    Object.keys(this.roomMembers).forEach((peerId) => {
+      const remote = this.remotePlayers[peerId];
+      const conn = this.connections.find((c) => c.peer === peerId);
+
+      players.push({
+        peerId,
+        username: remote ? remote.username : this.roomMembers[peerId],
+        ready: remote ? !!remote.ready : false,
+        // Connected once we have heard from them directly
+        connected: !!remote && !!conn && conn.open,
+        incompatible: this.incompatiblePeers[peerId] !== undefined,
+        isLocal: false,
       });
+    });
 
-      const label = new THREE.Sprite(labelMaterial);
-      label.position.y = 2.5;
-      label.scale.set(2, 0.5, 1);
-      playerGroup.add(label);
+    players.forEach((player) => {
+      player.isHost = !!player.peerId && player.peerId === this.hostPeerId;
+    });
+
+    return players;
+  }
+
+  // The host can start once everyone is connected and ready
+  canStartRun() {
+    if (!this.isHost()) return false;
+
+    return this.getLobbyPlayers().every(
+      (player) => player.ready && player.connected
+    );
+  }
+
+  // Host only: start a race for everyone in the room. Everyone gets the
+  // course seed, who is racing and when to go (on the host's clock).
+  startRun() {
+    if (!this.canStartRun()) return false;
+
+    const message = {
+      type: "lobby_start",
+      seed: SeededRandom.generateSeed(),
+      startsAt: Date.now() + this.raceCountdown,
+      participants: this.getLobbyPlayers().map((player) => ({
+        peerId: player.peerId,
+        username: player.username,
+      })),
+      verifyScores: this.verifyScores,
+    };
+    this.scoreVerdicts = {};
+    this.currentRace = message;
+    this.broadcast(message);
+    this.trigger("runStart", message);
+    return true;
+  }
+
+  // Measure our clock against the host's with a few pings
+  syncClockWithHost() {
+    if (this.isHost()) {
+      this.hostClockOffset = 0;
+      return;
+    }
+
+    this.bestClockRoundTrip = Infinity;
+    for (let i = 0; i < 5; i++) {
+      setTimeout(() => {
+        const conn = this.connections.find((c) => c.peer === this.hostPeerId);
+        if (conn && conn.open) {
+          conn.send({ type: "clock_ping", sent: Date.now() });
+        }
+      }, i * 200);
+    }
+  }
+
+  handleClockPong(data, now) {
+    const roundTrip = now - data.sent;
+    if (!(roundTrip >= 0) || roundTrip >= this.bestClockRoundTrip) return;
+
+    // The host read its clock about halfway through the round trip
+    this.bestClockRoundTrip = roundTrip;
+    this.hostClockOffset = data.time - (data.sent + roundTrip / 2);
+  }
+
+  // A time on the host's clock (e.g. a race start) on ours
+  hostTimeToLocal(hostTime) {
+    return hostTime - this.hostClockOffset;
+  }
+
+  // Our race run ended. With the replay, the host can check it.
+  sendRaceFinished(result, replay = null) {
+    const message = {
+      type: "race_finished",
+      score: result.score,
+      distance: result.distance,
+    };
+    if (replay) {
+      message.inputs = replay.inputs;
+      message.steps = replay.steps;
+    }
+    this.broadcast(message);
+  }
+
+  // Every runner is done
+  finishRace() {
+    this.currentRace = null;
+    this.trigger("lobbyUpdate");
+  }
+
+  // Host only: tell everyone how checking a runner's race went
+  sendRaceVerdict(verdict) {
+    const message = {
+      type: "race_verdict",
+      peerId: verdict.peerId,
+      verified: verdict.verified,
+      score: verdict.score,
+      distance: verdict.distance,
+    };
+    this.scoreVerdicts[verdict.peerId] = message;
+    this.broadcast(message);
+    this.updateLeaderboard();
+  }
+
+  // A remote runner as drawn at our time now: { peerId, username, score,
+  // distance, position (track space), isDead }, or null if they haven't
+  // sent a position yet
+  getRemoteRunner(peerId, now = Date.now()) {
+    const player = this.remotePlayers[peerId];
+    if (!player || !player.snapshots) return null;
+
+    const sample = player.snapshots.sample(now);
+    if (!sample) return null;
+
+    return {
+      peerId,
+      username: player.username,
+      score: player.score || 0,
+      distance: player.distance || 0,
+      position: sample.position,
+      isDead: !!sample.state.isDead,
+    };
+  }
+
+  // Draw every remote runner for this frame (now: Date.now())
+  updateRemotePlayers(now) {
+    Object.keys(this.playerMeshes).forEach((peerId) => {
+      this.updateRemotePlayerMesh(peerId, now);
+    });
+  }
+
+  // Place a remote runner where their snapshots say they were a moment ago
+  // (see snapshotBuffer.js) and pose them for what they were doing
+  updateRemotePlayerMesh(peerId, now = Date.now()) {
+    const player = this.remotePlayers[peerId];
+
+    if (!player || !player.snapshots || !this.scene) return;
+
+    const sample = player.snapshots.sample(now, this.remoteSample);
+    if (!sample) return;
+    const position = sample.position;
+
+    // Create player mesh if it doesn't exist
+    if (!this.playerMeshes[peerId]) {
+      const playerGroup = createAstronautFigure({
+        color: this.getPlayerColor(peerId),
+        label: player.username,
+      });
 
       // Add player mesh to scene
       this.scene.add(playerGroup);
@@ -317,35 +845,47 @@ class MultiplayerManager {
 
     // Update position and rotation
     const mesh = this.playerMeshes[peerId];
+    poseAstronautFigure(mesh, sample.state, now);
+
+    // Everyone in a race runs the same course, so draw them where they
+    // really are: their lane and distance on our track
+    if (this.world) {
+      this.trackFrame = this.world.getTrackFrame(position.z, this.trackFrame);
+      mesh.position
+        .copy(this.trackFrame.position)
+        .addScaledVector(this.trackFrame.lateral, position.x);
+      mesh.position.y += position.y;
+      mesh.rotation.set(0, this.trackFrame.heading, 0);
+      return;
+    }
 
     // Position the remote player alongside the track
     // Offset to the side so they don't overlap with the main player
     mesh.position.set(
-      player.position.x + 4, // Offset to the right
-      player.position.y,
-      player.position.z - 10 // Offset behind
+      position.x + 4, // Offset to the right
+      position.y,
+      position.z - 10 // Offset behind
     );
 
-    mesh.rotation.set(player.rotation.x, player.rotation.y, player.rotation.z);
+    if (player.rotation) {
+      mesh.rotation.set(player.rotation.x, player.rotation.y, player.rotation.z);
+    }
   }
 
-  updatePlayerPosition(position, rotation, state, score, crystals) {
+  // Called from update(), which also keeps the rate down
+  updatePlayerPosition(position, rotation, state, score, crystals, distance) {
     if (!this.connected || this.connections.length === 0) return;
 
-    // Rate limit updates to reduce network traffic
-    const now = Date.now();
-    if (now - this.lastUpdateTime < this.updateInterval) return;
-    this.lastUpdateTime = now;
-
-    // Send update to all connections
-    const updateData = {
-      type: "player_update",
+    // Send update to all connections, packed small
+    const updateData = this.updateEncoder.encode({
+      time: Date.now(), // For smoothing on the other end
       position,
       rotation,
       state,
       score,
       crystals,
-    };
+      distance,
+    });
 
     this.connections.forEach((conn) => {
       try {
@@ -384,8 +924,17 @@ class MultiplayerManager {
   }
 
   updateLeaderboard() {
-    // Combine remote and local player data
-    let allPlayers = Object.values(this.remotePlayers).slice();
+    // Combine remote and local player data. Scores the host has checked
+    // replace what the players said, and rejected ones are left out.
+    let allPlayers = [];
+    Object.values(this.remotePlayers).forEach((player) => {
+      const verdict = this.scoreVerdicts[player.peerId];
+      if (!verdict) {
+        allPlayers.push(player);
+      } else if (verdict.verified) {
+        allPlayers.push({ ...player, score: verdict.score, verified: true });
+      }
+    });
 
     // Add local player
     allPlayers.push({
@@ -509,6 +1058,13 @@ class MultiplayerManager {
   }
 
   disconnect() {
+    // Leave the room
+    if (this.roomSocket) {
+      const socket = this.roomSocket;
+      this.roomSocket = null;
+      socket.close();
+    }
+
     if (this.peer) {
       // Close all connections
       this.connections.forEach((conn) => {
@@ -529,6 +1085,9 @@ class MultiplayerManager {
 
     this.playerMeshes = {};
     this.remotePlayers = {};
+    this.peerProtocols = {};
+    this.incompatiblePeers = {};
+    this.updateDecoders = {};
     this.connections = [];
 
     this.trigger("statusUpdate", "Disconnected from multiplayer");
@@ -568,7 +1127,7 @@ class MultiplayerManager {
   }
 
   // New update method that takes player object, score and crystals
-  update(player, score, crystals) {
+  update(player, score, crystals, distance = 0) {
     const now = Date.now();
 
     // Rate limit updates to reduce network traffic
@@ -585,7 +1144,8 @@ class MultiplayerManager {
         player.getRotation(),
         player.getState(),
         score,
-        crystals
+        crystals,
+        distance
       );
     }
 
@@ -625,4 +1185,9 @@ class MultiplayerManager {
   }
 }
 
-module.exports = { MultiplayerManager };
+module.exports = {
+  MultiplayerManager,
+  parseServerUrl,
+  generateRoomCode,
+  normalizeRoomCode,
+};
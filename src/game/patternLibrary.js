@@ -0,0 +1,210 @@
+// Obstacle patterns loaded from JSON.
+//
+// A library looks like:
+//   {
+//     "version": 1,
+//     "rowSpacing": 10,
+//     "legend": { ".": null, "A": { "type": "obstacle", "obstacle": "asteroid" } },
+//     "patterns": [
+//       {
+//         "id": "single-block",
+//         "difficulty": ["easy", "medium"],
+//         "weight": 3,
+//         "rows": [{ "z": 0, "cells": "..A." }]
+//       }
+//     ]
+//   }
+//
+// Row cells are either a string of legend keys (one character per lane) or an
+// array with one entry per lane (legend key, cell object or null). Cells are:
+//   { "type": "obstacle", "obstacle": "asteroid", "heightClass": "full", "deadly": true }
+//   { "type": "crystal" }
+//   { "type": "powerup", "powerup": "shield" }
+// heightClass is "low" (jump over), "overhead" (slide under) or "full" (block).
+// "deadly" is optional: deadly obstacles end the run, others cost one heart.
+// Row "z" is the distance from the start of the pattern, and "length" is how
+// much track the pattern uses (defaults to the last row plus rowSpacing).
+const LANE_COUNT = 4;
+const HEIGHT_CLASSES = ["low", "overhead", "full"];
+const CELL_TYPES = ["obstacle", "crystal", "powerup"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+class PatternLibrary {
+  constructor(data = null) {
+    this.patterns = [];
+    this.rowSpacing = 10;
+
+    if (data) {
+      this.load(data);
+    }
+  }
+
+  // Replace the library contents. Throws if the data is malformed so a bad
+  // file never silently produces an empty course.
+  load(data) {
+    if (!data || !Array.isArray(data.patterns)) {
+      throw new Error("Pattern library needs a patterns array");
+    }
+
+    const rowSpacing =
+      data.rowSpacing !== undefined ? Number(data.rowSpacing) : 10;
+    if (!(rowSpacing > 0)) {
+      throw new Error(`Invalid rowSpacing: ${data.rowSpacing}`);
+    }
+
+    // "." is always an open lane
+    const legend = Object.assign({ ".": null }, data.legend);
+    const patterns = data.patterns.map((pattern, index) =>
+      this.normalizePattern(pattern, index, legend, rowSpacing)
+    );
+
+    if (patterns.length === 0) {
+      throw new Error("Pattern library is empty");
+    }
+
+    this.rowSpacing = rowSpacing;
+    this.patterns = patterns;
+
+    console.log(`Loaded ${patterns.length} obstacle patterns`);
+    return this;
+  }
+
+  // Parse a JSON string
+  loadJSON(text) {
+    return this.load(JSON.parse(text));
+  }
+
+  // Fetch a library file, e.g. one a designer is working on
+  loadFromUrl(url) {
+    return fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load patterns from ${url}: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((data) => this.load(data));
+  }
+
+  normalizePattern(pattern, index, legend, rowSpacing) {
+    const id = pattern.id || `pattern-${index}`;
+
+    if (!Array.isArray(pattern.rows) || pattern.rows.length === 0) {
+      throw new Error(`Pattern "${id}" has no rows`);
+    }
+
+    const difficulty = pattern.difficulty || DIFFICULTIES;
+    difficulty.forEach((level) => {
+      if (!DIFFICULTIES.includes(level)) {
+        throw new Error(`Pattern "${id}" has unknown difficulty "${level}"`);
+      }
+    });
+
+    const weight = pattern.weight !== undefined ? Number(pattern.weight) : 1;
+    if (!(weight >= 0)) {
+      throw new Error(`Pattern "${id}" has invalid weight ${pattern.weight}`);
+    }
+
+    const rows = pattern.rows.map((row, rowIndex) => {
+      const z = row.z !== undefined ? Number(row.z) : rowIndex * rowSpacing;
+      if (!Number.isFinite(z) || z < 0) {
+        throw new Error(`Pattern "${id}" row ${rowIndex} has invalid z`);
+      }
+
+      const cells =
+        typeof row.cells === "string" ? row.cells.split("") : row.cells;
+      if (!Array.isArray(cells) || cells.length !== LANE_COUNT) {
+        throw new Error(
+          `Pattern "${id}" row ${rowIndex} needs ${LANE_COUNT} lane cells`
+        );
+      }
+
+      return {
+        z,
+        cells: cells.map((cell) => this.normalizeCell(cell, legend, id)),
+      };
+    });
+
+    // Rows are placed in order along the track
+    rows.sort((a, b) => a.z - b.z);
+
+    const lastZ = rows[rows.length - 1].z;
+    const length =
+      pattern.length !== undefined ? Number(pattern.length) : lastZ + rowSpacing;
+    if (!(length > lastZ)) {
+      throw new Error(`Pattern "${id}" is shorter than its rows`);
+    }
+
+    return { id, name: pattern.name || id, difficulty, weight, rows, length };
+  }
+
+  normalizeCell(cell, legend, patternId) {
+    if (typeof cell === "string") {
+      if (!(cell in legend)) {
+        throw new Error(`Pattern "${patternId}" uses unknown legend key "${cell}"`);
+      }
+      cell = legend[cell];
+    }
+
+    if (cell === null || cell === undefined) {
+      return null;
+    }
+
+    if (!CELL_TYPES.includes(cell.type)) {
+      throw new Error(`Pattern "${patternId}" has unknown cell type "${cell.type}"`);
+    }
+
+    if (cell.type === "obstacle") {
+      const heightClass = cell.heightClass || "full";
+      if (!HEIGHT_CLASSES.includes(heightClass)) {
+        throw new Error(
+          `Pattern "${patternId}" has unknown height class "${heightClass}"`
+        );
+      }
+
+      return {
+        type: "obstacle",
+        obstacle: cell.obstacle || null, // null = any obstacle of that height
+        heightClass: heightClass,
+        // null = whatever the obstacle type normally is
+        deadly: cell.deadly !== undefined ? Boolean(cell.deadly) : null,
+      };
+    }
+
+    if (cell.type === "powerup") {
+      return { type: "powerup", powerup: cell.powerup || null };
+    }
+
+    return { type: "crystal" };
+  }
+
+  // Patterns usable at a difficulty level
+  getPatterns(difficulty) {
+    return this.patterns.filter(
+      (pattern) => pattern.weight > 0 && pattern.difficulty.includes(difficulty)
+    );
+  }
+
+  // Weighted random pick for a difficulty level
+  pick(difficulty, random) {
+    let candidates = this.getPatterns(difficulty);
+
+    // Fall back to everything rather than leaving the track empty
+    if (candidates.length === 0) {
+      candidates = this.patterns.filter((pattern) => pattern.weight > 0);
+    }
+    if (candidates.length === 0) return null;
+
+    const totalWeight = candidates.reduce((sum, p) => sum + p.weight, 0);
+    let roll = random.next() * totalWeight;
+
+    for (const pattern of candidates) {
+      roll -= pattern.weight;
+      if (roll < 0) return pattern;
+    }
+
+    return candidates[candidates.length - 1];
+  }
+}
+
+module.exports = { PatternLibrary };
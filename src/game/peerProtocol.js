@@ -0,0 +1,211 @@
+// Messages players send each other over their PeerJS connections.
+//
+// Anything can arrive on a connection, so every message is checked against
+// the fields its type allows before the game uses it. validatePeerMessage
+// returns a clean copy with only those fields, or throws if a field is
+// missing, of the wrong kind or out of range - a bad message is dropped
+// rather than putting NaN or a runner a mile off the track into the game.
+//
+// The first message on a connection is a handshake, { type: "hello",
+// protocol }. Players on another PROTOCOL_VERSION are turned away, and
+// nothing else is accepted from a peer before its hello. Bump the version
+// whenever a message changes in a way older games would misread.
+//
+// player_update is sent packed (see playerUpdateCodec.js) and checked here
+// once it is unpacked, like any other message.
+
+const { MAX_VERIFIED_STEPS } = require("./runVerifier");
+
+const PROTOCOL_VERSION = 4;
+
+// Limits for numbers in messages. Generous - they are there to catch
+// garbage, not to second-guess the game.
+const MAX_SCORE = 1e9;
+const MAX_DISTANCE = 1e8;
+const MAX_TIME = 1e14; // Date.now() for a few thousand years yet
+const MAX_NAME_LENGTH = 32;
+const MAX_PEER_ID_LENGTH = 64;
+const MAX_PARTICIPANTS = 16;
+const MAX_INPUTS_LENGTH = 200000; // A replay's inputs, see replay.js
+
+// Field checkers: each returns the clean value or throws
+
+function number(min, max) {
+  return (value, name) => {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new Error(`${name} is not a number`);
+    }
+    if (value < min || value > max) {
+      throw new Error(`${name} is out of range: ${value}`);
+    }
+    return value;
+  };
+}
+
+function integer(min, max) {
+  const check = number(min, max);
+  return (value, name) => {
+    if (!Number.isInteger(check(value, name))) {
+      throw new Error(`${name} is not a whole number: ${value}`);
+    }
+    return value;
+  };
+}
+
+function text(maxLength) {
+  return (value, name) => {
+    if (typeof value !== "string") {
+      throw new Error(`${name} is not text`);
+    }
+    // No control characters in names shown to other players
+    return value.replace(/[\u0000-\u001f\u007f]/g, "").slice(0, maxLength);
+  };
+}
+
+function flag(value) {
+  return !!value;
+}
+
+// A missing field gets the fallback instead
+function optional(check, fallback) {
+  return (value, name) =>
+    value === undefined || value === null ? fallback : check(value, name);
+}
+
+function object(fields) {
+  return (value, name) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`${name} is not an object`);
+    }
+
+    const clean = {};
+    Object.keys(fields).forEach((field) => {
+      const result = fields[field](value[field], `${name}.${field}`);
+      if (result !== undefined) {
+        clean[field] = result;
+      }
+    });
+    return clean;
+  };
+}
+
+function list(check, maxLength) {
+  return (value, name) => {
+    if (!Array.isArray(value) || value.length > maxLength) {
+      throw new Error(`${name} is not a list of up to ${maxLength}`);
+    }
+    return value.map((item, index) => check(item, `${name}[${index}]`));
+  };
+}
+
+const time = number(0, MAX_TIME);
+const score = optional(number(0, MAX_SCORE), 0);
+const distance = optional(number(0, MAX_DISTANCE), 0);
+const username = optional(text(MAX_NAME_LENGTH), "Player");
+
+// Track space: x across the lanes, y up, z along the track
+const position = object({
+  x: number(-20, 20),
+  y: number(-10, 100),
+  z: number(-1000, MAX_DISTANCE),
+});
+const rotation = object({
+  x: number(-4 * Math.PI, 4 * Math.PI),
+  y: number(-4 * Math.PI, 4 * Math.PI),
+  z: number(-4 * Math.PI, 4 * Math.PI),
+});
+
+// A race as the host starts it (see MultiplayerManager.startRun)
+const RACE_FIELDS = {
+  seed: number(0, 4294967295), // See SeededRandom.generateSeed
+  startsAt: time,
+  participants: list(
+    object({
+      peerId: text(MAX_PEER_ID_LENGTH),
+      username,
+    }),
+    MAX_PARTICIPANTS
+  ),
+  verifyScores: flag,
+};
+
+// The fields of each message type
+const MESSAGE_FIELDS = {
+  hello: {
+    protocol: number(0, 1e6),
+  },
+  player_info: {
+    username,
+    score,
+    crystals: score,
+    ready: flag,
+  },
+  request_player_info: {},
+  lobby_ready: {
+    ready: flag,
+  },
+  lobby_start: RACE_FIELDS,
+  // Sent by the host to players who join while a race is on
+  race_in_progress: RACE_FIELDS,
+  clock_ping: {
+    sent: time,
+  },
+  clock_pong: {
+    sent: time,
+    time,
+  },
+  race_finished: {
+    score,
+    distance,
+    // The run's inputs, when the host checks scores (see runVerifier.js)
+    inputs: optional(text(MAX_INPUTS_LENGTH), undefined),
+    steps: optional(integer(0, MAX_VERIFIED_STEPS), undefined),
+  },
+  race_verdict: {
+    peerId: text(MAX_PEER_ID_LENGTH),
+    verified: flag,
+    score,
+    distance,
+  },
+  player_update: {
+    time: optional(time, undefined),
+    position,
+    rotation: optional(rotation, { x: 0, y: 0, z: 0 }),
+    state: optional(
+      object({
+        lane: optional(number(-2, 2), 0),
+        isJumping: flag,
+        isSliding: flag,
+        isDead: flag,
+      }),
+      {}
+    ),
+    score,
+    crystals: score,
+    distance,
+  },
+};
+
+function isKnownMessageType(type) {
+  return (
+    typeof type === "string" &&
+    Object.prototype.hasOwnProperty.call(MESSAGE_FIELDS, type)
+  );
+}
+
+// A clean copy of a message of a known type. Throws if it isn't valid.
+function validatePeerMessage(data) {
+  if (!data || typeof data !== "object" || !isKnownMessageType(data.type)) {
+    throw new Error("Not a known message");
+  }
+
+  const message = object(MESSAGE_FIELDS[data.type])(data, data.type);
+  message.type = data.type;
+  return message;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  isKnownMessageType,
+  validatePeerMessage,
+};
@@ -1,27 +1,46 @@
 const THREE = require("three");
+const { PowerupInventory } = require("./powerupInventory");
+const { powerupRegistry } = require("./powerupRegistry");
+const { requestFrame } = require("./animationFrame");
 
 class Player {
-  constructor(scene) {
+  // options.effects: false skips purely visual effects (particles, damage
+  // flash), e.g. for headless simulations
+  constructor(scene, options = {}) {
     this.scene = scene;
+    this.effectsEnabled = options.effects !== false;
     this.mesh = null;
     this.speed = 0.15;
     this.jumpForce = 0.3; // Increased for better jump feel
     this.gravity = 0.015; // Increased for more responsive physics
+    // Track space: x across the lanes, y above the surface, z along the track
     this.position = { x: 0, y: 0, z: 0 };
     this.velocity = { x: 0, y: 0, z: 0 };
+    // Position before the last simulation step, for drawing in between steps
+    this.previousPosition = { x: 0, y: 0, z: 0 };
+    this.renderPosition = { x: 0, y: 0, z: 0 };
     this.targetLane = 0.5; // Updated for 4 lanes: -1.5, -0.5, 0.5, 1.5
     this.currentLane = 0.5;
     this.laneWidth = 3; // Width between lanes
+    this.laneChangeLerp = 0.2; // Fraction of the remaining lane offset covered per step
+    this.slideDuration = 1000; // Slide duration in ms
     this.isJumping = false;
     this.isSliding = false;
     this.isDead = false;
     this.forwardDirection = new THREE.Vector3(0, 0, 1); // Running in positive Z direction
     this.shieldActive = false;
     this.health = 3; // Player starts with 3 health points
-    this.activePowerup = null; // Currently active powerup
+    this.activePowerup = null; // Type of the selected powerup in the inventory
+    this.inventory = new PowerupInventory(3); // Collected, unused powerups
     this.canBeHit = true; // Invulnerability flag
     this.invulnerabilityTime = 1000; // 1 second of invulnerability after hit
 
+    // Timers counted down in update(), in ms of simulation time
+    this.slideTimer = 0;
+    this.invulnerabilityTimer = 0;
+    this.stumbleTimer = 0;
+    this.stumbleDuration = 1000;
+
     // Collision detection variables
     this.hitbox = {
       standing: { width: 0.8, height: 1.8, depth: 0.8 },
@@ -397,7 +416,7 @@ class Player {
         this.shieldPattern.rotation.y += 0.02;
       }
 
-      requestAnimationFrame(animateShield);
+      requestFrame(animateShield);
     };
 
     animateShield();
@@ -411,6 +430,49 @@ class Player {
     };
   }
 
+  // World-space position of the astronaut mesh on the (possibly curved) track
+  getWorldPosition() {
+    if (this.mesh) {
+      return this.mesh.position.clone();
+    }
+    return new THREE.Vector3(this.position.x, this.position.y, this.position.z);
+  }
+
+  // Track position to draw at, alpha of the way from the previous
+  // simulation step to the current one
+  getRenderPosition(alpha = 1) {
+    const previous = this.previousPosition;
+    const current = this.position;
+
+    this.renderPosition.x = previous.x + (current.x - previous.x) * alpha;
+    this.renderPosition.y = previous.y + (current.y - previous.y) * alpha;
+    this.renderPosition.z = previous.z + (current.z - previous.z) * alpha;
+
+    return this.renderPosition;
+  }
+
+  // Place the mesh on the track path and face it along the track
+  updateMeshTransform(alpha = 1) {
+    if (!this.mesh) return;
+
+    const world = this.gameRef ? this.gameRef.world : null;
+    const position = this.getRenderPosition(alpha);
+
+    if (world && typeof world.getTrackFrame === "function") {
+      this.trackFrame = world.getTrackFrame(position.z, this.trackFrame);
+
+      this.mesh.position
+        .copy(this.trackFrame.position)
+        .addScaledVector(this.trackFrame.lateral, position.x);
+      this.mesh.position.y += position.y;
+      this.mesh.rotation.y = this.trackFrame.heading;
+
+      this.forwardDirection.copy(this.trackFrame.direction);
+    } else {
+      this.mesh.position.set(position.x, position.y, position.z);
+    }
+  }
+
   getSize() {
     return { width: 0.7, height: 1.5, depth: 0.7 };
   }
@@ -428,6 +490,16 @@ class Player {
     };
   }
 
+  // What the player is doing, for other players' view of this runner
+  getState() {
+    return {
+      lane: this.targetLane,
+      isJumping: this.isJumping,
+      isSliding: this.isSliding,
+      isDead: this.isDead,
+    };
+  }
+
   moveLeft() {
     if (
       this.targetLane > -1.5 &&
@@ -440,7 +512,7 @@ class Player {
       this.targetLane -= 1;
 
       // Optional: add a small visual tilt when changing lanes
-      if (this.body) {
+      if (this.body && this.effectsEnabled) {
         this.body.rotation.z = 0.1; // Slight tilt to the right when moving left
         setTimeout(() => {
           this.body.rotation.z = 0; // Reset after a short delay
@@ -461,7 +533,7 @@ class Player {
       this.targetLane += 1;
 
       // Optional: add a small visual tilt when changing lanes
-      if (this.body) {
+      if (this.body && this.effectsEnabled) {
         this.body.rotation.z = -0.1; // Slight tilt to the left when moving right
         setTimeout(() => {
           this.body.rotation.z = 0; // Reset after a short delay
@@ -508,21 +580,24 @@ class Player {
     // Play slide sound effect if we had audio
     // this.playSound('slide');
 
-    // Set a timeout to end sliding
-    setTimeout(() => {
-      if (this.isDead) return;
+    // Sliding ends once the timer runs out in update()
+    this.slideTimer = this.slideDuration;
+  }
 
-      this.isSliding = false;
+  endSlide() {
+    this.slideTimer = 0;
+    if (this.isDead) return;
+
+    this.isSliding = false;
 
-      // Transition back to running state
-      this.animationState.current = "running";
-      this.animationState.running = true;
-      this.animationState.sliding = false;
-      this.animationState.transitionTime = 0;
+    // Transition back to running state
+    this.animationState.current = "running";
+    this.animationState.running = true;
+    this.animationState.sliding = false;
+    this.animationState.transitionTime = 0;
 
-      // Resume running animation
-      this.playRunAnimation();
-    }, 1000); // Slide duration: 1 second
+    // Resume running animation
+    this.playRunAnimation();
   }
 
   hit() {
@@ -534,11 +609,9 @@ class Player {
     // Flash the player to indicate damage
     this.flashDamage();
 
-    // Set invulnerability for a short time
+    // Set invulnerability for a short time (counted down in update())
     this.canBeHit = false;
-    setTimeout(() => {
-      this.canBeHit = true;
-    }, this.invulnerabilityTime);
+    this.invulnerabilityTimer = this.invulnerabilityTime;
 
     if (this.health <= 0) {
       // Player dies
@@ -552,7 +625,7 @@ class Player {
   }
 
   flashDamage() {
-    if (!this.mesh) return;
+    if (!this.mesh || !this.effectsEnabled) return;
 
     // Flash red to indicate damage
     const originalMaterials = [];
@@ -627,7 +700,7 @@ class Player {
         this.helmet.scale.y = 1 + Math.sin(this.runCycle * 2) * 0.01;
       }
 
-      requestAnimationFrame(animateRun);
+      requestFrame(animateRun);
     };
 
     animateRun();
@@ -682,7 +755,7 @@ class Player {
       }
 
       if (this.isJumping) {
-        requestAnimationFrame(animateJump);
+        requestFrame(animateJump);
       } else {
         // Transition back to running animation
         this.playRunAnimation();
@@ -729,7 +802,7 @@ class Player {
 
       // Continue animation if still sliding
       if (this.isSliding) {
-        requestAnimationFrame(animateSlide);
+        requestFrame(animateSlide);
       } else {
         // Reset positions when done sliding
         if (this.limbs.torso) {
@@ -784,26 +857,29 @@ class Player {
       }
 
       if (this.animationState.stumbling) {
-        requestAnimationFrame(animateStumble);
+        requestFrame(animateStumble);
       }
     };
 
     animateStumble();
 
-    // Recover after a short time
-    setTimeout(() => {
-      this.animationState.stumbling = false;
-      this.animationState.running = true;
+    // Recover after a short time (counted down in update())
+    this.stumbleTimer = this.stumbleDuration;
+  }
 
-      // Reset rotations
-      if (this.limbs.torso) {
-        this.limbs.torso.rotation.z = 0;
-        this.limbs.torso.rotation.x = 0;
-      }
+  recoverFromStumble() {
+    this.stumbleTimer = 0;
+    this.animationState.stumbling = false;
+    this.animationState.running = true;
+
+    // Reset rotations
+    if (this.limbs.torso) {
+      this.limbs.torso.rotation.z = 0;
+      this.limbs.torso.rotation.x = 0;
+    }
 
-      // Transition back to running
-      this.playRunAnimation();
-    }, 1000);
+    // Transition back to running
+    this.playRunAnimation();
   }
 
   playDeathAnimation() {
@@ -841,7 +917,7 @@ class Player {
 
       // Continue animation if still in death animation
       if (this.isDead && this.deathCycle < 30) {
-        requestAnimationFrame(animateDeath);
+        requestFrame(animateDeath);
       }
     };
 
@@ -853,12 +929,21 @@ class Player {
   update(delta, controls, gameSpeed) {
     if (!this.mesh) return;
 
+    // Remember where this step started, for drawing in between steps
+    this.previousPosition.x = this.position.x;
+    this.previousPosition.y = this.position.y;
+    this.previousPosition.z = this.position.z;
+
     // Apply physics
     if (!this.isDead) {
       // Lane movement
+      // Movement constants are tuned per 1/60 s step; scale them by the
+      // actual step so slowed-down time slows everything down
+      const steps = delta * 60;
+
       const laneX = this.targetLane * this.laneWidth;
-      const lerpFactor = 0.2; // Smoother lane transitions
-      this.position.x += (laneX - this.position.x) * lerpFactor;
+      const laneBlend = 1 - Math.pow(1 - this.laneChangeLerp, steps);
+      this.position.x += (laneX - this.position.x) * laneBlend; // Smoother lane transitions
 
       // Move forward based on game speed
       if (this.gameRef) {
@@ -867,8 +952,8 @@ class Player {
 
       // Apply gravity if jumping
       if (this.isJumping) {
-        this.velocity.y -= this.gravity;
-        this.position.y += this.velocity.y;
+        this.velocity.y -= this.gravity * steps;
+        this.position.y += this.velocity.y * steps;
 
         // Check if landed
         if (this.position.y <= 0) {
@@ -889,8 +974,8 @@ class Player {
       }
     } else {
       // Death physics - fall down
-      this.velocity.y -= this.gravity * 0.5;
-      this.position.y += this.velocity.y;
+      this.velocity.y -= this.gravity * 0.5 * delta * 60;
+      this.position.y += this.velocity.y * delta * 60;
 
       // Stop at ground level
       if (this.position.y < -2) {
@@ -912,10 +997,8 @@ class Player {
       this.position.y = 0;
     }
 
-    // Update mesh position
-    if (this.mesh) {
-      this.mesh.position.set(this.position.x, this.position.y, this.position.z);
-    }
+    // Count down slide, stumble and invulnerability
+    this.updateTimers(delta * 1000);
 
     // Update hitbox position for collision detection
     this.updateHitboxPosition();
@@ -927,10 +1010,38 @@ class Player {
         this.deactivateShield();
       }
     }
+
+    // Pulse the ring while a powerup is ready
+    if (this.powerupRing && this.activePowerup) {
+      const pulse = 1 + Math.sin(Date.now() * 0.005) * 0.1;
+      this.powerupRing.scale.set(pulse, pulse, 1);
+    }
+  }
+
+  // Timers run on simulation time so they last the same number of steps
+  // whatever the frame rate
+  updateTimers(ms) {
+    if (this.slideTimer > 0) {
+      this.slideTimer -= ms;
+      if (this.slideTimer <= 0) this.endSlide();
+    }
+
+    if (this.stumbleTimer > 0) {
+      this.stumbleTimer -= ms;
+      if (this.stumbleTimer <= 0) this.recoverFromStumble();
+    }
+
+    if (this.invulnerabilityTimer > 0) {
+      this.invulnerabilityTimer -= ms;
+      if (this.invulnerabilityTimer <= 0) {
+        this.invulnerabilityTimer = 0;
+        this.canBeHit = true;
+      }
+    }
   }
 
   createLandingEffect() {
-    if (!this.mesh) return;
+    if (!this.mesh || !this.effectsEnabled) return;
 
     // Create dust particles around feet
     const particleCount = 15;
@@ -990,7 +1101,7 @@ class Player {
       });
 
       if (lifetime < 1) {
-        requestAnimationFrame(animateParticles);
+        requestFrame(animateParticles);
       } else {
         // Remove particles
         this.scene.remove(particles);
@@ -1000,6 +1111,24 @@ class Player {
     animateParticles();
   }
 
+  // Movement timings used to check that obstacle layouts are passable
+  getMovementProfile() {
+    const stepsPerSecond = 60; // Physics steps per second
+
+    // Steps until a lane change is within 10% of the lane width
+    const laneChangeSteps = Math.ceil(
+      Math.log(0.1) / Math.log(1 - this.laneChangeLerp)
+    );
+
+    return {
+      laneChangeTime: laneChangeSteps / stepsPerSecond,
+      jumpForce: this.jumpForce,
+      gravity: this.gravity,
+      stepsPerSecond: stepsPerSecond,
+      slideDuration: this.slideDuration / 1000,
+    };
+  }
+
   // Get the current hitbox for collision detection
   getHitbox() {
     // Ensure hitbox exists
@@ -1088,114 +1217,162 @@ class Player {
     );
   }
 
-  // Use currently active powerup
+  // Use the selected powerup from the inventory
   usePowerup() {
-    // Check if we have an active power-up
-    if (this.activePowerup) {
-      console.log(`Using powerup: ${this.activePowerup}`);
-
-      // Apply power-up effect based on type
-      switch (this.activePowerup) {
-        case "shield":
-          this.activateShield();
-          break;
-        case "magnet":
-          // Crystal magnet effect is handled in the game class
-          if (
-            this.gameRef &&
-            typeof this.gameRef.activateMagnet === "function"
-          ) {
-            this.gameRef.activateMagnet();
-          }
-          break;
-        case "speed":
-          // Speed boost effect is handled in the game class
-          if (
-            this.gameRef &&
-            typeof this.gameRef.activateSpeedBoost === "function"
-          ) {
-            this.gameRef.activateSpeedBoost();
-          } else {
-            // Fallback if game reference is not available
-            const originalSpeed = this.speed;
-            this.speed *= 1.5;
-
-            // Reset after 5 seconds
-            setTimeout(() => {
-              this.speed = originalSpeed;
-            }, 5000);
-          }
-          break;
-        default:
-          console.log("Unknown powerup type");
-      }
-
-      // Hide powerup indicator
-      if (this.powerupRing && this.powerupLight) {
-        this.powerupRing.material.opacity = 0;
-        this.powerupLight.intensity = 0;
-      }
+    const slot = this.inventory.takeSelected();
+    if (!slot) {
+      return false; // No power-up available
+    }
 
-      // Clear the active powerup after use
-      this.activePowerup = null;
+    console.log(`Using powerup: ${slot.type} (${slot.duration}s)`);
 
-      return true; // Power-up was used
+    // The registry knows what each type does
+    if (!powerupRegistry.activate(slot.type, this.gameRef, slot.duration)) {
+      console.log("Unknown powerup type");
     }
 
-    return false; // No power-up available
+    this.onInventoryChanged();
+
+    return true; // Power-up was used
   }
 
-  // Collect a powerup
+  // Collect a powerup into the inventory. Returns false if there was no room.
   collectPowerup(powerupType) {
-    // Store the powerup for later use
-    this.activePowerup = powerupType;
-    console.log(`Collected powerup: ${powerupType}`);
+    const result = this.inventory.add(powerupType);
+    console.log(`Collected powerup: ${powerupType} (${result})`);
 
-    // Show visual indicator that powerup is available
-    if (this.powerupRing && this.powerupLight) {
-      // Set color based on powerup type
-      let color;
-      switch (powerupType) {
-        case "shield":
-          color = 0x00aaff; // Blue
-          break;
-        case "magnet":
-          color = 0xff00ff; // Magenta
-          break;
-        case "speed":
-          color = 0xffaa00; // Orange
-          break;
-        default:
-          color = 0xffff00; // Yellow (default)
-      }
+    this.onInventoryChanged();
 
-      // Apply color to indicator
-      this.powerupRing.material.color.set(color);
-      this.powerupLight.color.set(color);
+    return result !== "full";
+  }
 
-      // Show indicator
-      this.powerupRing.material.opacity = 0.7;
-      this.powerupLight.intensity = 1.0;
+  selectPowerup(index) {
+    if (!this.inventory.select(index)) return false;
 
-      // Create collection effect animation
-      const animatePowerupCollection = () => {
-        this.powerupRing.scale.set(
-          1 + Math.sin(Date.now() * 0.005) * 0.1,
-          1 + Math.sin(Date.now() * 0.005) * 0.1,
-          1
-        );
+    this.onInventoryChanged();
+    return true;
+  }
 
-        requestAnimationFrame(animatePowerupCollection);
-      };
+  cyclePowerup(direction = 1) {
+    if (!this.inventory.cycle(direction)) return false;
+
+    this.onInventoryChanged();
+    return true;
+  }
+
+  // Keep the indicator ring and the game's HUD in step with the inventory
+  onInventoryChanged() {
+    const selected = this.inventory.getSelected();
+    this.activePowerup = selected ? selected.type : null;
+
+    this.updatePowerupIndicator();
 
-      animatePowerupCollection();
+    if (
+      this.gameRef &&
+      typeof this.gameRef.updateInventoryHUD === "function"
+    ) {
+      this.gameRef.updateInventoryHUD();
     }
+  }
 
-    // Return true to confirm collection
-    return true;
+  // Show the selected powerup as a coloured ring at the astronaut's feet
+  updatePowerupIndicator() {
+    if (!this.powerupRing || !this.powerupLight) return;
+
+    if (!this.activePowerup) {
+      this.powerupRing.material.opacity = 0;
+      this.powerupLight.intensity = 0;
+      return;
+    }
+
+    // Set color based on powerup type
+    const definition = powerupRegistry.get(this.activePowerup);
+    const color = definition ? definition.color : 0xffff00; // Yellow (default)
+
+    // Apply color to indicator
+    this.powerupRing.material.color.set(color);
+    this.powerupLight.color.set(color);
+
+    // Show indicator
+    this.powerupRing.material.opacity = 0.7;
+    this.powerupLight.intensity = 1.0;
+  }
+
+  activateShield(duration = 5) {
+    this.shieldActive = true;
+    this.shieldTimer = duration * 1000; // Counted down in update()
+
+    if (this.shield) this.shield.visible = true;
+    if (this.shieldPattern) this.shieldPattern.visible = true;
+  }
+
+  // See-through astronaut while ghost phase is active
+  setGhostVisual(enabled) {
+    if (!this.mesh) return;
+
+    this.mesh.traverse((child) => {
+      if (!child.isMesh || !child.material || child === this.shield) return;
+
+      if (enabled) {
+        if (child.userData.ghostOriginal === undefined) {
+          child.userData.ghostOriginal = {
+            transparent: child.material.transparent,
+            opacity: child.material.opacity,
+          };
+        }
+        child.material.transparent = true;
+        child.material.opacity = child.userData.ghostOriginal.opacity * 0.35;
+      } else if (child.userData.ghostOriginal !== undefined) {
+        child.material.transparent = child.userData.ghostOriginal.transparent;
+        child.material.opacity = child.userData.ghostOriginal.opacity;
+        delete child.userData.ghostOriginal;
+      }
+    });
+  }
+
+  // Back on your feet after a revive
+  revive() {
+    this.isDead = false;
+    this.health = 3;
+    this.velocity.y = 0;
+    this.position.y = 0;
+
+    this.animationState.current = "running";
+    this.animationState.running = true;
+    this.animationState.jumping = false;
+    this.animationState.sliding = false;
+    this.isJumping = false;
+    this.isSliding = false;
+    this.slideTimer = 0;
+
+    // Undo the death pose
+    if (this.mesh) {
+      this.mesh.rotation.x = 0;
+      this.mesh.rotation.z = 0;
+    }
+    if (this.limbs.leftArm && this.limbs.rightArm) {
+      this.limbs.leftArm.rotation.z = -Math.PI / 8;
+      this.limbs.rightArm.rotation.z = Math.PI / 8;
+    }
+    if (this.limbs.leftLeg && this.limbs.rightLeg) {
+      this.limbs.leftLeg.rotation.z = 0;
+      this.limbs.rightLeg.rotation.z = 0;
+    }
+
+    this.playRunAnimation();
+  }
+
+  deactivateShield() {
+    this.shieldActive = false;
+    this.shieldTimer = 0;
+
+    if (this.shield) this.shield.visible = false;
+    if (this.shieldPattern) this.shieldPattern.visible = false;
   }
 
   createCollectionEffect(position) {
+    if (!this.effectsEnabled) return;
+
     // Create particle system for crystal collection effect
     const particleCount = 20;
     const geometry = new THREE.BufferGeometry();
@@ -1301,7 +1478,7 @@ class Player {
 
       // Continue animation for 30 frames
       if (frameCount < 30) {
-        requestAnimationFrame(animateParticles);
+        requestFrame(animateParticles);
       } else {
         // Clean up
         this.scene.remove(particles);
@@ -1312,7 +1489,7 @@ class Player {
     };
 
     // Start animation
-    requestAnimationFrame(animateParticles);
+    requestFrame(animateParticles);
   }
 
   // Create particle texture for better-looking particles
@@ -1348,6 +1525,8 @@ class Player {
     // Reset position
     this.position = { x: 0, y: 0, z: 0 };
     this.velocity = { x: 0, y: 0, z: 0 };
+    this.previousPosition = { x: 0, y: 0, z: 0 };
+    this.forwardDirection.set(0, 0, 1);
     this.targetLane = 0.5; // Updated for 4 lanes
     this.currentLane = 0.5;
 
@@ -1357,6 +1536,9 @@ class Player {
     this.isSliding = false;
     this.health = 3; // Reset health to maximum
     this.canBeHit = true;
+    this.slideTimer = 0;
+    this.invulnerabilityTimer = 0;
+    this.stumbleTimer = 0;
 
     // Reset animation states
     this.animationState = {
@@ -1421,6 +1603,7 @@ class Player {
     this.shieldTimer = 0;
 
     // Reset powerup status
+    this.inventory.clear();
     this.activePowerup = null;
 
     // Reset powerup indicator if exists
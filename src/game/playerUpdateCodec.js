@@ -0,0 +1,227 @@
+// Packs player_update messages into a few bytes.
+//
+// Every player sends one of these to every other player 20 times a second,
+// so the JSON version (around 250 bytes) adds up quickly in a full room on
+// a phone. Packed, an update is 23 bytes, with a 36 byte keyframe now and
+// then:
+//
+//   byte 0     TAG
+//   byte 1     flags: bit 0 jumping, 1 sliding, 2 dead, 3 keyframe,
+//              bits 4-6 lane (half lanes from -1.5, see Player.targetLane)
+//   keyframe   f64 time (ms), i16 x, i16 y (mm), i32 z (cm),
+//              i16 rotation x, y, z (1/2000 rad), u32 score, u32 crystals,
+//              u32 distance (cm)
+//   otherwise  u16 ms since the last update, positions and rotation as in
+//              a keyframe, u16 score gained, u8 crystals gained,
+//              u16 distance gained (cm)
+//
+// Time, score, crystals and distance only count up between keyframes,
+// relative to the last update sent. That relies on the connection
+// delivering every update in order (they are opened reliable), and on the
+// receiver having seen a keyframe: one goes out every keyframeInterval
+// updates, whenever a change is too big for the small fields, and after
+// requestKeyframe() - e.g. when a new player connects.
+
+const TAG = 0xb1;
+
+const FLAG_JUMPING = 1;
+const FLAG_SLIDING = 2;
+const FLAG_DEAD = 4;
+const FLAG_KEYFRAME = 8;
+
+const KEYFRAME_SIZE = 36;
+const DELTA_SIZE = 23;
+
+const POSITION_SCALE = 1000; // x and y in mm
+const Z_SCALE = 100; // z and distance in cm
+const ROTATION_SCALE = 2000;
+
+const MAX_U16 = 0xffff;
+const MAX_U32 = 0xffffffff;
+
+// Round to a whole number within [min, max]. NaN becomes 0.
+function quantize(value, scale, min, max) {
+  const scaled = Math.round(value * scale);
+  if (!Number.isFinite(scaled)) return 0;
+  return Math.min(max, Math.max(min, scaled));
+}
+
+// Anything that can hold packed bytes: an ArrayBuffer from a data channel,
+// or a typed array or Node Buffer
+function isBinaryMessage(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  }
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+function writeTransform(view, offset, update) {
+  const position = update.position || {};
+  const rotation = update.rotation || {};
+
+  view.setInt16(offset, quantize(position.x, POSITION_SCALE, -32768, 32767), true);
+  view.setInt16(offset + 2, quantize(position.y, POSITION_SCALE, -32768, 32767), true);
+  view.setInt32(offset + 4, quantize(position.z, Z_SCALE, -2147483648, 2147483647), true);
+  view.setInt16(offset + 8, quantize(rotation.x || 0, ROTATION_SCALE, -32768, 32767), true);
+  view.setInt16(offset + 10, quantize(rotation.y || 0, ROTATION_SCALE, -32768, 32767), true);
+  view.setInt16(offset + 12, quantize(rotation.z || 0, ROTATION_SCALE, -32768, 32767), true);
+}
+
+function readTransform(view, offset, message) {
+  message.position = {
+    x: view.getInt16(offset, true) / POSITION_SCALE,
+    y: view.getInt16(offset + 2, true) / POSITION_SCALE,
+    z: view.getInt32(offset + 4, true) / Z_SCALE,
+  };
+  message.rotation = {
+    x: view.getInt16(offset + 8, true) / ROTATION_SCALE,
+    y: view.getInt16(offset + 10, true) / ROTATION_SCALE,
+    z: view.getInt16(offset + 12, true) / ROTATION_SCALE,
+  };
+}
+
+// Whether an update can be sent as what changed since the last one
+function fitsDelta(current, last) {
+  const gained = (field, max) => {
+    const delta = current[field] - last[field];
+    return delta >= 0 && delta <= max;
+  };
+
+  return (
+    gained("time", MAX_U16) &&
+    gained("score", MAX_U16) &&
+    gained("crystals", 0xff) &&
+    gained("distance", MAX_U16)
+  );
+}
+
+class PlayerUpdateEncoder {
+  constructor(keyframeInterval = 20) {
+    this.keyframeInterval = keyframeInterval;
+    this.sinceKeyframe = 0;
+    this.last = null; // What the receivers have: { time, score, crystals, distance }
+  }
+
+  // The next update is sent in full
+  requestKeyframe() {
+    this.last = null;
+  }
+
+  // { time, position, rotation, state, score, crystals, distance } -> ArrayBuffer
+  encode(update) {
+    const state = update.state || {};
+    const current = {
+      time: Math.round(update.time || 0),
+      score: quantize(update.score || 0, 1, 0, MAX_U32),
+      crystals: quantize(update.crystals || 0, 1, 0, MAX_U32),
+      distance: quantize(update.distance || 0, Z_SCALE, 0, MAX_U32),
+    };
+
+    const last = this.last;
+    const keyframe =
+      !last ||
+      this.sinceKeyframe >= this.keyframeInterval ||
+      !fitsDelta(current, last);
+
+    let flags = (quantize(state.lane || 0, 2, -3, 3) + 3) << 4;
+    if (state.isJumping) flags |= FLAG_JUMPING;
+    if (state.isSliding) flags |= FLAG_SLIDING;
+    if (state.isDead) flags |= FLAG_DEAD;
+    if (keyframe) flags |= FLAG_KEYFRAME;
+
+    const buffer = new ArrayBuffer(keyframe ? KEYFRAME_SIZE : DELTA_SIZE);
+    const view = new DataView(buffer);
+    view.setUint8(0, TAG);
+    view.setUint8(1, flags);
+
+    if (keyframe) {
+      view.setFloat64(2, current.time, true);
+      writeTransform(view, 10, update);
+      view.setUint32(24, current.score, true);
+      view.setUint32(28, current.crystals, true);
+      view.setUint32(32, current.distance, true);
+      this.sinceKeyframe = 0;
+    } else {
+      view.setUint16(2, current.time - last.time, true);
+      writeTransform(view, 4, update);
+      view.setUint16(18, current.score - last.score, true);
+      view.setUint8(20, current.crystals - last.crystals);
+      view.setUint16(21, current.distance - last.distance, true);
+      this.sinceKeyframe++;
+    }
+
+    this.last = current;
+    return buffer;
+  }
+}
+
+// One per sender: deltas build on that sender's earlier updates
+class PlayerUpdateDecoder {
+  constructor() {
+    this.last = null;
+  }
+
+  // Packed bytes -> a player_update message. Throws on anything that isn't
+  // a packed update, or a delta before the first keyframe.
+  decode(data) {
+    const view = toDataView(data);
+    if (view.byteLength < 2 || view.getUint8(0) !== TAG) {
+      throw new Error("Not a packed player update");
+    }
+
+    const flags = view.getUint8(1);
+    const keyframe = (flags & FLAG_KEYFRAME) !== 0;
+    if (view.byteLength !== (keyframe ? KEYFRAME_SIZE : DELTA_SIZE)) {
+      throw new Error(`Packed player update has ${view.byteLength} bytes`);
+    }
+    if (!keyframe && !this.last) {
+      throw new Error("Packed player update before any keyframe");
+    }
+
+    const message = {
+      type: "player_update",
+      state: {
+        lane: (((flags >> 4) & 7) - 3) / 2,
+        isJumping: (flags & FLAG_JUMPING) !== 0,
+        isSliding: (flags & FLAG_SLIDING) !== 0,
+        isDead: (flags & FLAG_DEAD) !== 0,
+      },
+    };
+
+    let current;
+    if (keyframe) {
+      readTransform(view, 10, message);
+      current = {
+        time: view.getFloat64(2, true),
+        score: view.getUint32(24, true),
+        crystals: view.getUint32(28, true),
+        distance: view.getUint32(32, true),
+      };
+    } else {
+      readTransform(view, 4, message);
+      current = {
+        time: this.last.time + view.getUint16(2, true),
+        score: this.last.score + view.getUint16(18, true),
+        crystals: this.last.crystals + view.getUint8(20),
+        distance: this.last.distance + view.getUint16(21, true),
+      };
+    }
+    this.last = current;
+
+    message.time = current.time;
+    message.score = current.score;
+    message.crystals = current.crystals;
+    message.distance = current.distance / Z_SCALE;
+    return message;
+  }
+}
+
+module.exports = {
+  PlayerUpdateEncoder,
+  PlayerUpdateDecoder,
+  isBinaryMessage,
+};
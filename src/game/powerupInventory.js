@@ -0,0 +1,110 @@
+const { powerupRegistry } = require("./powerupRegistry");
+
+// Powerups the player has picked up but not used yet.
+//
+// Each slot holds one powerup type and how long it will last once used.
+// What happens when the same type is picked up again depends on the
+// stacking rule in its registry definition:
+//   "extend" - add its duration to the slot already holding that type
+//   "queue"  - take a new slot, so each one is used separately
+class PowerupInventory {
+  constructor(slotCount = 3, registry = powerupRegistry) {
+    this.slotCount = slotCount;
+    this.registry = registry;
+    this.slots = []; // { type, duration } in pickup order
+    this.selectedIndex = 0;
+  }
+
+  getRule(type) {
+    return this.registry.get(type) || { stacking: "queue", duration: 5 };
+  }
+
+  // Add a pickup. Returns "extended", "added" or "full".
+  add(type) {
+    const rule = this.getRule(type);
+
+    if (rule.stacking === "extend") {
+      const slot = this.slots.find((item) => item.type === type);
+      if (slot) {
+        slot.duration += rule.duration;
+        if (rule.maxDuration) {
+          slot.duration = Math.min(slot.duration, rule.maxDuration);
+        }
+        return "extended";
+      }
+    }
+
+    if (this.slots.length >= this.slotCount) {
+      return "full";
+    }
+
+    this.slots.push({ type: type, duration: rule.duration });
+
+    // Select the first pickup automatically
+    if (this.slots.length === 1) {
+      this.selectedIndex = 0;
+    }
+
+    return "added";
+  }
+
+  getSelected() {
+    return this.slots[this.selectedIndex] || null;
+  }
+
+  // Remove and return the selected powerup
+  takeSelected() {
+    if (this.slots.length === 0) return null;
+
+    const [slot] = this.slots.splice(this.selectedIndex, 1);
+
+    // Stay on the same position, which now holds the next powerup
+    if (this.selectedIndex >= this.slots.length) {
+      this.selectedIndex = Math.max(0, this.slots.length - 1);
+    }
+
+    return slot;
+  }
+
+  // Remove the first slot holding a type, e.g. a revive used on death
+  takeType(type) {
+    const index = this.slots.findIndex((slot) => slot.type === type);
+    if (index === -1) return null;
+
+    const [slot] = this.slots.splice(index, 1);
+    if (index < this.selectedIndex) {
+      this.selectedIndex--;
+    } else if (this.selectedIndex >= this.slots.length) {
+      this.selectedIndex = Math.max(0, this.slots.length - 1);
+    }
+
+    return slot;
+  }
+
+  select(index) {
+    if (index < 0 || index >= this.slots.length) return false;
+
+    this.selectedIndex = index;
+    return true;
+  }
+
+  // Move the selection forward (1) or back (-1), wrapping around
+  cycle(direction = 1) {
+    if (this.slots.length === 0) return false;
+
+    const count = this.slots.length;
+    this.selectedIndex = (this.selectedIndex + direction + count) % count;
+    return true;
+  }
+
+  isEmpty() {
+    return this.slots.length === 0;
+  }
+
+  clear() {
+    this.slots = [];
+    this.selectedIndex = 0;
+  }
+}
+
+module.exports = { PowerupInventory };
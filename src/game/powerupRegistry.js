@@ -0,0 +1,180 @@
+// Every powerup type is defined here, in one place.
+//
+// A definition says how the powerup looks (name, icon, colour), how often it
+// spawns at each difficulty, how it stacks in the inventory (see
+// PowerupInventory) and what happens when it is used:
+//   activate(game, duration) - start the effect
+// Timed effects that only need switching on and off can use `effect`
+// instead, and Game runs the timer and shows it in the HUD:
+//   effect: { start(game), end(game) }
+class PowerupRegistry {
+  constructor() {
+    this.definitions = new Map();
+  }
+
+  register(definition) {
+    if (!definition || !definition.type) {
+      throw new Error("Powerup definition needs a type");
+    }
+    if (
+      typeof definition.activate !== "function" &&
+      !(definition.effect && typeof definition.effect.start === "function")
+    ) {
+      throw new Error(`Powerup "${definition.type}" needs activate or effect`);
+    }
+
+    this.definitions.set(definition.type, {
+      name: definition.type,
+      icon: "❔",
+      color: 0xffff00,
+      stacking: "queue",
+      duration: 5,
+      spawnWeights: {},
+      ...definition,
+    });
+
+    return this;
+  }
+
+  get(type) {
+    return this.definitions.get(type) || null;
+  }
+
+  has(type) {
+    return this.definitions.has(type);
+  }
+
+  getTypes() {
+    return Array.from(this.definitions.keys());
+  }
+
+  // Types and weights that can spawn at a difficulty level
+  getSpawnWeights(difficulty) {
+    const weights = {};
+    this.definitions.forEach((definition, type) => {
+      const weight = definition.spawnWeights[difficulty] || 0;
+      if (weight > 0) weights[type] = weight;
+    });
+    return weights;
+  }
+
+  // Use a powerup on the game. Returns false for unknown types.
+  activate(type, game, duration) {
+    const definition = this.get(type);
+    if (!definition || !game) return false;
+
+    if (definition.effect) {
+      game.startEffect(type, duration);
+    } else {
+      definition.activate(game, duration);
+    }
+
+    return true;
+  }
+}
+
+// Built-in powerups
+const powerupRegistry = new PowerupRegistry()
+  .register({
+    type: "shield",
+    name: "Shield",
+    icon: "🛡️",
+    color: 0x00aaff, // Blue
+    stacking: "queue",
+    duration: 5,
+    spawnWeights: { easy: 0.3, medium: 0.25, hard: 0.2 },
+    activate: (game, duration) => game.player.activateShield(duration),
+  })
+  .register({
+    type: "magnet",
+    name: "Magnet",
+    icon: "🧲",
+    color: 0xff00ff, // Magenta
+    stacking: "extend",
+    duration: 8,
+    maxDuration: 24,
+    spawnWeights: { easy: 0.25, medium: 0.2, hard: 0.2 },
+    activate: (game, duration) => game.activateMagnet(duration),
+  })
+  .register({
+    type: "speed",
+    name: "Speed Boost",
+    icon: "⚡",
+    color: 0xffaa00, // Orange
+    stacking: "extend",
+    duration: 5,
+    maxDuration: 10,
+    spawnWeights: { easy: 0.15, medium: 0.15, hard: 0.2 },
+    activate: (game, duration) => game.activateSpeedBoost(duration),
+  })
+  .register({
+    type: "slowmo",
+    name: "Time Slow",
+    icon: "⏳",
+    color: 0x66ffcc, // Mint
+    stacking: "extend",
+    duration: 5,
+    maxDuration: 10,
+    spawnWeights: { easy: 0.1, medium: 0.12, hard: 0.14 },
+    effect: {
+      // Halves the physics step, so everything moves at half speed
+      start: (game) => {
+        game.timeScale = 0.5;
+      },
+      end: (game) => {
+        game.timeScale = 1;
+      },
+    },
+  })
+  .register({
+    type: "ghost",
+    name: "Ghost Phase",
+    icon: "👻",
+    color: 0xccccff, // Pale violet
+    stacking: "extend",
+    duration: 4,
+    maxDuration: 8,
+    spawnWeights: { easy: 0.08, medium: 0.1, hard: 0.12 },
+    effect: {
+      // Pass through obstacles, but nothing can be collected
+      start: (game) => {
+        game.ghostActive = true;
+        game.player.setGhostVisual(true);
+      },
+      end: (game) => {
+        game.ghostActive = false;
+        game.player.setGhostVisual(false);
+      },
+    },
+  })
+  .register({
+    type: "multiplier",
+    name: "Crystal x2",
+    icon: "💎",
+    color: 0x00ffff, // Cyan
+    stacking: "extend",
+    duration: 10,
+    maxDuration: 30,
+    spawnWeights: { easy: 0.1, medium: 0.1, hard: 0.1 },
+    effect: {
+      start: (game) => {
+        game.crystalMultiplier = 2;
+      },
+      end: (game) => {
+        game.crystalMultiplier = 1;
+      },
+    },
+  })
+  .register({
+    type: "revive",
+    name: "Revive",
+    icon: "💖",
+    color: 0xff3366, // Pink
+    stacking: "queue",
+    duration: 0,
+    spawnWeights: { easy: 0.02, medium: 0.03, hard: 0.04 },
+    // Also triggers straight from the inventory if the player dies holding one
+    activate: (game) => game.armRevive(),
+  });
+
+module.exports = { PowerupRegistry, powerupRegistry };
@@ -0,0 +1,122 @@
+// Standings of a multiplayer race.
+//
+// Everyone in the race runs the same seeded course from the same moment, so
+// whoever gets farthest wins, with score breaking ties. A runner is done
+// when their run ends or they leave the room; the race is over once every
+// runner is done.
+//
+// With verifyScores the host plays every finished run back from its inputs
+// (see runVerifier.js) and each runner gets a verdict: "pending" until the
+// host has checked them, then "verified" or "rejected". Rejected runners
+// are placed after everyone else, and the race isn't over until no verdict
+// is pending. Runs that can't be checked - the runner left, or the host did -
+// end up "unchecked".
+class RaceSession {
+  // participants: [{ peerId, username }], everyone the host started with.
+  // options: { verifyScores, hostPeerId }
+  constructor(participants, localPeerId, options = {}) {
+    this.localPeerId = localPeerId;
+    this.verifyScores = !!options.verifyScores;
+    this.hostPeerId = options.hostPeerId || null;
+    this.runners = new Map();
+
+    participants.forEach((participant) => {
+      this.runners.set(participant.peerId, {
+        peerId: participant.peerId,
+        username: participant.username || "Player",
+        distance: 0,
+        score: 0,
+        finished: false,
+        left: false,
+        isLocal: participant.peerId === localPeerId,
+        verdict: this.verifyScores ? "pending" : null,
+      });
+    });
+  }
+
+  hasRunner(peerId) {
+    return this.runners.has(peerId);
+  }
+
+  // Latest numbers of a runner who is still going
+  updateProgress(peerId, distance, score) {
+    const runner = this.runners.get(peerId);
+    if (!runner || runner.finished) return;
+
+    runner.distance = Math.max(runner.distance, distance || 0);
+    runner.score = score || 0;
+  }
+
+  // A runner's run ended. result: { distance, score }
+  finish(peerId, result = {}) {
+    const runner = this.runners.get(peerId);
+    if (!runner || runner.finished) return false;
+
+    if (result.distance !== undefined) {
+      runner.distance = result.distance;
+    }
+    if (result.score !== undefined) {
+      runner.score = result.score;
+    }
+    runner.finished = true;
+    return true;
+  }
+
+  // A runner left the room mid-race - they keep how far they got
+  drop(peerId) {
+    const runner = this.runners.get(peerId);
+    if (!runner || runner.finished) return false;
+
+    runner.finished = true;
+    runner.left = true;
+    if (runner.verdict === "pending") {
+      runner.verdict = "unchecked";
+    }
+    return true;
+  }
+
+  // The host's verdict on a finished run. A verified run takes the numbers
+  // the host got playing it back.
+  setVerdict(peerId, verdict) {
+    const runner = this.runners.get(peerId);
+    if (!runner || runner.verdict !== "pending") return false;
+
+    runner.verdict = verdict.verified ? "verified" : "rejected";
+    if (verdict.verified) {
+      runner.distance = verdict.distance;
+      runner.score = verdict.score;
+    }
+    return true;
+  }
+
+  // Nobody is left to check the runs still waiting (the host left)
+  stopVerifying() {
+    this.runners.forEach((runner) => {
+      if (runner.verdict === "pending") {
+        runner.verdict = "unchecked";
+      }
+    });
+  }
+
+  isComplete() {
+    return Array.from(this.runners.values()).every(
+      (runner) => runner.finished && runner.verdict !== "pending"
+    );
+  }
+
+  // Runners in finishing order: [{ place, username, distance, score, ... }]
+  getPlacements() {
+    const rejected = (runner) => (runner.verdict === "rejected" ? 1 : 0);
+
+    return Array.from(this.runners.values())
+      .sort(
+        (a, b) =>
+          rejected(a) - rejected(b) ||
+          b.distance - a.distance ||
+          b.score - a.score
+      )
+      .map((runner, index) => ({ ...runner, place: index + 1 }));
+  }
+}
+
+module.exports = { RaceSession };
@@ -0,0 +1,82 @@
+// Small seedable pseudo-random number generator (mulberry32).
+// The same seed always produces the same sequence, so anything generated
+// from it (track, obstacles, scenery) can be reproduced exactly.
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  // Random float in [0, 1), drop-in replacement for Math.random()
+  next() {
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Random float in [min, max)
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  // Random integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  // Random element of an array
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+
+  // Independent generator for a named purpose. Streams derived from the same
+  // seed never affect each other, so e.g. adding scenery doesn't change the track.
+  derive(label) {
+    return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+  }
+
+  // Save and restore the position in the sequence
+  getState() {
+    return this.state;
+  }
+
+  setState(state) {
+    this.state = state | 0;
+  }
+
+  // Accept numbers or strings (e.g. from a URL) and turn them into a uint32
+  static normalizeSeed(seed) {
+    if (typeof seed === "number" && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    if (typeof seed === "string" && seed.trim() !== "") {
+      const trimmed = seed.trim();
+      if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) >>> 0;
+      }
+      return SeededRandom.hashString(trimmed);
+    }
+
+    return SeededRandom.generateSeed();
+  }
+
+  // FNV-1a string hash
+  static hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  // Fresh seed for a new run
+  static generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+}
+
+module.exports = { SeededRandom };
@@ -0,0 +1,228 @@
+// Recording and playing back runs.
+//
+// A run is fully decided by its seed and the inputs given on each
+// simulation step, so that is all a replay stores:
+//   {
+//     "version": 1,
+//     "seed": 12345,
+//     "username": "Player",
+//     "stepRate": 60,
+//     "inputs": "2s.J.1eL",
+//     "score": 4003, "crystals": 37, "distance": 1872, "steps": 7200
+//   }
+// "inputs" is a compact list of events separated by ".". Each event is the
+// number of steps since the previous event in base 36 followed by one action
+// character (see ACTION_CODES), so "2s.J.1eL" is a slide on step 100, a jump
+// on the same step and a move left 50 steps later. The final numbers are only
+// there to check that playback came out the same.
+const REPLAY_VERSION = 1;
+
+// Game input -> action character
+const ACTION_CODES = {
+  left: "L",
+  right: "R",
+  jump: "J",
+  slide: "S",
+  usePowerup: "U",
+  cyclePowerup: "C", // Forward; "c" cycles back
+  selectPowerup: "1", // "1"-"9" select that slot
+};
+
+function encodeAction(action, value) {
+  if (action === "cyclePowerup") {
+    return value < 0 ? "c" : "C";
+  }
+  if (action === "selectPowerup") {
+    return String(value + 1);
+  }
+  return ACTION_CODES[action];
+}
+
+function decodeAction(code) {
+  if (code === "c") return { action: "cyclePowerup", value: -1 };
+  if (code === "C") return { action: "cyclePowerup", value: 1 };
+  if (code >= "1" && code <= "9") {
+    return { action: "selectPowerup", value: Number(code) - 1 };
+  }
+
+  const action = Object.keys(ACTION_CODES).find(
+    (name) => ACTION_CODES[name] === code
+  );
+  return action ? { action, value: null } : null;
+}
+
+// [{ tick, action, value }] -> compact string
+function encodeInputs(events) {
+  let lastTick = 0;
+
+  return events
+    .map((event) => {
+      const delta = event.tick - lastTick;
+      lastTick = event.tick;
+      return (delta > 0 ? delta.toString(36) : "") + encodeAction(event.action, event.value);
+    })
+    .join(".");
+}
+
+// Compact string -> [{ tick, action, value }]. Throws on malformed input.
+function decodeInputs(text) {
+  const events = [];
+  if (!text) return events;
+
+  let tick = 0;
+  text.split(".").forEach((part, index) => {
+    // The action is always the last character, the step delta the rest
+    const delta = part.slice(0, -1);
+    const decoded = part ? decodeAction(part.slice(-1)) : null;
+
+    if (!decoded || !/^[0-9a-z]*$/.test(delta)) {
+      throw new Error(`Invalid replay input "${part}" at position ${index}`);
+    }
+
+    tick += delta ? parseInt(delta, 36) : 0;
+    events.push({ tick, action: decoded.action, value: decoded.value });
+  });
+
+  return events;
+}
+
+// Collects the inputs of a run as they are applied
+class ReplayRecorder {
+  constructor(seed, username = "Player") {
+    this.seed = seed;
+    this.username = username;
+    this.events = [];
+  }
+
+  record(tick, action, value = null) {
+    if (!ACTION_CODES[action]) return;
+    this.events.push({ tick, action, value });
+  }
+
+  // The replay for the run so far. summary: see Game.getRunSummary
+  finish(summary = {}) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      username: this.username,
+      stepRate: 60,
+      inputs: encodeInputs(this.events),
+      score: summary.score,
+      crystals: summary.crystals,
+      distance: summary.distance !== undefined ? Math.floor(summary.distance) : undefined,
+      steps: summary.steps,
+    };
+  }
+}
+
+// Check a replay object and decode its inputs. Throws if it can't be played.
+function validateReplay(replay) {
+  if (!replay || typeof replay !== "object") {
+    throw new Error("Replay is empty");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (typeof replay.seed !== "number" || !Number.isFinite(replay.seed)) {
+    throw new Error("Replay has no valid seed");
+  }
+  if (replay.stepRate !== undefined && replay.stepRate !== 60) {
+    throw new Error(`Replay was recorded at ${replay.stepRate} steps per second`);
+  }
+
+  return decodeInputs(replay.inputs || "");
+}
+
+function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (e) {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  validateReplay(replay);
+  return replay;
+}
+
+// URL-safe base64 of the replay JSON, for "#replay=..." links
+function replayToFragment(replay) {
+  const bytes = new TextEncoder().encode(serializeReplay(replay));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+
+  const base64 = btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+  return `replay=${base64}`;
+}
+
+// Replay from a location hash like "#replay=...", or null if there is none
+function replayFromFragment(hash) {
+  const match = /(?:^#?|&)replay=([A-Za-z0-9_-]+)/.exec(hash || "");
+  if (!match) return null;
+
+  const base64 = match[1].replace(/-/g, "+").replace(/_/g, "/");
+  let binary;
+  try {
+    binary = atob(base64);
+  } catch (e) {
+    throw new Error("Replay link is damaged");
+  }
+
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  return parseReplay(new TextDecoder().decode(bytes));
+}
+
+// Feeds a replay's inputs back into a game on the steps they happened
+class ReplayPlayer {
+  constructor(replay) {
+    this.replay = replay;
+    this.events = validateReplay(replay);
+    this.nextIndex = 0;
+  }
+
+  // Queue the inputs for a step (called by Game before it runs the step)
+  queueInputs(game, tick) {
+    while (
+      this.nextIndex < this.events.length &&
+      this.events[this.nextIndex].tick <= tick
+    ) {
+      const event = this.events[this.nextIndex++];
+      game.queueInput(event.action, event.value);
+    }
+  }
+
+  isFinished() {
+    return this.nextIndex >= this.events.length;
+  }
+
+  // Whether a finished run came out the same as when it was recorded
+  matches(summary) {
+    const replay = this.replay;
+    return (
+      (replay.score === undefined || replay.score === summary.score) &&
+      (replay.steps === undefined || replay.steps === summary.steps)
+    );
+  }
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  ReplayRecorder,
+  ReplayPlayer,
+  encodeInputs,
+  decodeInputs,
+  validateReplay,
+  serializeReplay,
+  parseReplay,
+  replayToFragment,
+  replayFromFragment,
+};
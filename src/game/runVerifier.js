@@ -0,0 +1,96 @@
+const { REPLAY_VERSION } = require("./replay");
+
+// Checks a race runner's result by running their race again.
+//
+// A run is decided by its seed and inputs (see replay.js), so the host can
+// play a runner's inputs back on the race seed and see whether the run ends
+// the way they say: on the same step, with the same score and distance. A
+// made-up score won't have inputs that lead to it.
+//
+// Playing a run back takes a moment, and the host is usually still racing,
+// so it is done a few steps at a time with advance().
+
+// Runs longer than this aren't played back (an hour at 60 steps a second)
+const MAX_VERIFIED_STEPS = 60 * 60 * 60;
+
+class RunVerifier {
+  // game: a headless Game to play the run in, with the race's patterns.
+  // claim: { peerId, username, score, distance, inputs, steps } from the
+  // runner's race_finished message.
+  constructor(game, seed, claim) {
+    this.game = game;
+    this.claim = claim;
+    this.result = null; // { peerId, verified, score, distance, reason }
+
+    if (typeof claim.inputs !== "string" || typeof claim.steps !== "number") {
+      this.reject("No inputs sent");
+      return;
+    }
+    if (claim.steps > MAX_VERIFIED_STEPS) {
+      this.reject("Run is too long to check");
+      return;
+    }
+
+    try {
+      game.playReplay({
+        version: REPLAY_VERSION,
+        seed,
+        username: claim.username,
+        stepRate: 60,
+        inputs: claim.inputs,
+      });
+    } catch (error) {
+      this.reject(error.message);
+    }
+  }
+
+  // Play up to stepCount more steps. Returns true once there is a result.
+  advance(stepCount) {
+    if (this.result) return true;
+
+    const game = this.game;
+    for (let i = 0; i < stepCount; i++) {
+      // The run should be over by the step the runner says it ended
+      if (game.isGameOver || game.loop.tick > this.claim.steps) break;
+      game.runSteps(1);
+    }
+
+    if (game.isGameOver || game.loop.tick > this.claim.steps) {
+      this.compare(game.getRunSummary());
+    }
+    return !!this.result;
+  }
+
+  compare(summary) {
+    const claim = this.claim;
+    let reason = null;
+
+    if (!this.game.isGameOver || summary.steps !== claim.steps) {
+      reason = `Run ended on step ${summary.steps}, not ${claim.steps}`;
+    } else if (summary.score !== claim.score) {
+      reason = `Score was ${summary.score}, not ${claim.score}`;
+    } else if (Math.abs(summary.distance - claim.distance) > 0.01) {
+      reason = `Distance was ${summary.distance}, not ${claim.distance}`;
+    }
+
+    this.result = {
+      peerId: claim.peerId,
+      verified: !reason,
+      score: summary.score,
+      distance: summary.distance,
+      reason,
+    };
+  }
+
+  reject(reason) {
+    this.result = {
+      peerId: this.claim.peerId,
+      verified: false,
+      score: 0,
+      distance: 0,
+      reason,
+    };
+  }
+}
+
+module.exports = { RunVerifier, MAX_VERIFIED_STEPS };
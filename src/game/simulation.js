@@ -0,0 +1,82 @@
+const { Game } = require("./game");
+const { AutoPilot } = require("./autoPilot");
+const { HeadlessGameUI } = require("./gameUI");
+
+// Headless runs of the real game logic - player physics, track generation,
+// collisions, scoring and difficulty - without a page or WebGL. Used for
+// balancing checks and regression runs in Node:
+//
+//   const { runSimulation } = require("./src/game/simulation");
+//   const result = runSimulation({ seed: 42, maxSeconds: 120 });
+
+// A game with no renderer runs headless and only moves when stepped
+function createHeadlessGame(options = {}) {
+  const seed = options.seed !== undefined ? options.seed : null;
+
+  return new Game(null, options.username || "Simulator", null, seed, {
+    ui: options.ui || new HeadlessGameUI(),
+  });
+}
+
+// Play one run until game over or maxSeconds of game time.
+// controller.update(game) is called before every step to give input; pass
+// null to run with no input at all. options.replay plays a recorded run
+// instead (see replay.js).
+function runSimulation(options = {}) {
+  const game =
+    options.game ||
+    createHeadlessGame(
+      options.replay ? { ...options, seed: options.replay.seed } : options
+    );
+  if (options.replay) {
+    game.playReplay(options.replay);
+  }
+
+  let controller = options.replay ? null : new AutoPilot();
+  if (options.controller !== undefined) {
+    controller = options.controller;
+  }
+  const maxSeconds = options.maxSeconds || 300;
+  const maxSteps = Math.round(maxSeconds / game.fixedTimeStep);
+
+  while (!game.isGameOver && game.loop.tick < maxSteps) {
+    if (controller) {
+      controller.update(game);
+    }
+    game.runSteps(1);
+  }
+
+  const summary = game.getRunSummary();
+  summary.replay = game.isGameOver ? game.lastReplay : game.recorder.finish(summary);
+  summary.survived = !game.isGameOver;
+  summary.seconds = game.loop.tick * game.fixedTimeStep;
+  summary.difficulty = game.currentDifficulty;
+
+  return summary;
+}
+
+// Run many seeds and collect the results
+function runSimulations(options = {}) {
+  const runs = options.runs || 100;
+  const firstSeed = options.firstSeed || 1;
+  const results = [];
+
+  for (let i = 0; i < runs; i++) {
+    const result = runSimulation({
+      seed: firstSeed + i,
+      maxSeconds: options.maxSeconds,
+      controller: options.createController
+        ? options.createController()
+        : new AutoPilot(),
+    });
+    results.push(result);
+
+    if (options.onResult) {
+      options.onResult(result, i);
+    }
+  }
+
+  return results;
+}
+
+module.exports = { createHeadlessGame, runSimulation, runSimulations };
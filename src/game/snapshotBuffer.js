@@ -0,0 +1,112 @@
+// Recent positions of a remote runner, for drawing them smoothly.
+//
+// Updates arrive every 50 ms or so and not evenly spaced, so snapping to
+// the newest one makes runners stutter. Instead they are drawn a little in
+// the past (interpolationDelay), between the two snapshots either side of
+// that moment. When updates stop coming, the runner carries on at its last
+// speed for up to maxExtrapolation ms and is then held where it is.
+//
+// Snapshot times are on the sender's clock. The gap to our clock is taken
+// from the quickest snapshot to arrive, so it takes in the network delay
+// and the clocks don't need to agree.
+class SnapshotBuffer {
+  constructor(options = {}) {
+    this.interpolationDelay =
+      options.interpolationDelay !== undefined ? options.interpolationDelay : 100;
+    this.maxExtrapolation =
+      options.maxExtrapolation !== undefined ? options.maxExtrapolation : 250;
+    this.maxSnapshots = options.maxSnapshots || 20;
+
+    this.snapshots = []; // { time, position, state }, oldest first
+    this.clockOffset = null; // Our clock minus the sender's, smallest seen
+  }
+
+  // time: when the sender took the snapshot (their clock). receivedAt: when
+  // it arrived (our clock). Returns false for snapshots that are out of
+  // order or repeated.
+  push(time, position, state, receivedAt) {
+    if (typeof time !== "number" || !position) return false;
+
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && time <= last.time) return false;
+
+    const offset = receivedAt - time;
+    if (this.clockOffset === null || offset < this.clockOffset) {
+      this.clockOffset = offset;
+    }
+
+    this.snapshots.push({
+      time,
+      position: { x: position.x, y: position.y, z: position.z },
+      state: state || {},
+    });
+    if (this.snapshots.length > this.maxSnapshots) {
+      this.snapshots.shift();
+    }
+    return true;
+  }
+
+  // Where to draw the runner at our time now, written into out:
+  // { position, state, extrapolated }. Returns null before any snapshot.
+  sample(now, out = {}) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    if (!out.position) {
+      out.position = { x: 0, y: 0, z: 0 };
+    }
+    out.extrapolated = false;
+
+    const renderTime = now - this.clockOffset - this.interpolationDelay;
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+
+    // Not far enough along for two snapshots yet
+    if (renderTime <= first.time || snapshots.length === 1) {
+      copyPosition(out.position, first);
+      out.state = first.state;
+      return out;
+    }
+
+    // Between two snapshots
+    if (renderTime <= last.time) {
+      let index = snapshots.length - 2;
+      while (snapshots[index].time > renderTime) {
+        index--;
+      }
+      const from = snapshots[index];
+      const to = snapshots[index + 1];
+      const t = (renderTime - from.time) / (to.time - from.time);
+
+      out.position.x = from.position.x + (to.position.x - from.position.x) * t;
+      out.position.y = from.position.y + (to.position.y - from.position.y) * t;
+      out.position.z = from.position.z + (to.position.z - from.position.z) * t;
+      out.state = from.state;
+      return out;
+    }
+
+    // Past the newest snapshot: keep running forward at the last speed.
+    // Only along the track - guessing lane changes and jumps looks worse
+    // than holding them.
+    copyPosition(out.position, last);
+    out.state = last.state;
+    out.extrapolated = true;
+
+    if (!last.state.isDead) {
+      const previous = snapshots[snapshots.length - 2];
+      const speed =
+        (last.position.z - previous.position.z) / (last.time - previous.time);
+      const ahead = Math.min(renderTime - last.time, this.maxExtrapolation);
+      out.position.z += speed * ahead;
+    }
+    return out;
+  }
+}
+
+function copyPosition(target, snapshot) {
+  target.x = snapshot.position.x;
+  target.y = snapshot.position.y;
+  target.z = snapshot.position.z;
+}
+
+module.exports = { SnapshotBuffer };
@@ -0,0 +1,122 @@
+// Lane/distance buckets for finding track objects near the player.
+//
+// Objects are filed under every (lane, z bucket) cell their collision bounds
+// touch, so a query only has to look at the few cells around a hitbox no
+// matter how much track is loaded. Everything is in track space: x across
+// the lanes, z along the track.
+class SpatialIndex {
+  constructor(trackWidth = 12, laneCount = 4, bucketDepth = 4) {
+    this.trackWidth = trackWidth;
+    this.laneCount = laneCount;
+    this.laneWidth = trackWidth / laneCount;
+    this.bucketDepth = bucketDepth;
+
+    // Cell key -> array of objects
+    this.buckets = new Map();
+    this.size = 0;
+
+    // Stamp used to skip objects already found during a query
+    this.queryId = 0;
+  }
+
+  laneIndex(x) {
+    const index = Math.floor((x + this.trackWidth / 2) / this.laneWidth);
+    return Math.max(0, Math.min(this.laneCount - 1, index));
+  }
+
+  bucketIndex(z) {
+    return Math.floor(z / this.bucketDepth);
+  }
+
+  cellKey(lane, bucket) {
+    return bucket * this.laneCount + lane;
+  }
+
+  // Add an object covering bounds { min: {x, z}, max: {x, z} }
+  insert(object, bounds) {
+    if (object.userData.spatialKeys) {
+      this.remove(object);
+    }
+
+    const keys = [];
+    const firstLane = this.laneIndex(bounds.min.x);
+    const lastLane = this.laneIndex(bounds.max.x);
+    const firstBucket = this.bucketIndex(bounds.min.z);
+    const lastBucket = this.bucketIndex(bounds.max.z);
+
+    for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+      for (let lane = firstLane; lane <= lastLane; lane++) {
+        const key = this.cellKey(lane, bucket);
+        let cell = this.buckets.get(key);
+        if (!cell) {
+          cell = [];
+          this.buckets.set(key, cell);
+        }
+        cell.push(object);
+        keys.push(key);
+      }
+    }
+
+    object.userData.spatialKeys = keys;
+    object.userData.spatialQueryId = 0;
+    this.size++;
+  }
+
+  remove(object) {
+    const keys = object.userData.spatialKeys;
+    if (!keys) return;
+
+    keys.forEach((key) => {
+      const cell = this.buckets.get(key);
+      if (!cell) return;
+
+      const index = cell.indexOf(object);
+      if (index !== -1) cell.splice(index, 1);
+      if (cell.length === 0) this.buckets.delete(key);
+    });
+
+    object.userData.spatialKeys = null;
+    this.size--;
+  }
+
+  // Collect every object whose cells touch the bounds into results (cleared
+  // first). Callers still do the exact shape test.
+  query(bounds, results) {
+    results.length = 0;
+    this.queryId++;
+
+    const firstLane = this.laneIndex(bounds.min.x);
+    const lastLane = this.laneIndex(bounds.max.x);
+    const firstBucket = this.bucketIndex(bounds.min.z);
+    const lastBucket = this.bucketIndex(bounds.max.z);
+
+    for (let bucket = firstBucket; bucket <= lastBucket; bucket++) {
+      for (let lane = firstLane; lane <= lastLane; lane++) {
+        const cell = this.buckets.get(this.cellKey(lane, bucket));
+        if (!cell) continue;
+
+        for (let i = 0; i < cell.length; i++) {
+          const object = cell[i];
+          if (object.userData.spatialQueryId === this.queryId) continue;
+
+          object.userData.spatialQueryId = this.queryId;
+          results.push(object);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  clear() {
+    this.buckets.forEach((cell) =>
+      cell.forEach((object) => {
+        object.userData.spatialKeys = null;
+      })
+    );
+    this.buckets.clear();
+    this.size = 0;
+  }
+}
+
+module.exports = { SpatialIndex };
@@ -1,4 +1,11 @@
 const THREE = require("three");
+const { SeededRandom } = require("./random");
+const { LayoutValidator } = require("./layoutValidator");
+const { PatternLibrary } = require("./patternLibrary");
+const defaultPatterns = require("./patterns/default.json");
+const { SpatialIndex } = require("./spatialIndex");
+const { powerupRegistry } = require("./powerupRegistry");
+const { requestFrame } = require("./animationFrame");
 
 class AssetManager {
   constructor() {
@@ -110,15 +117,25 @@ class AssetManager {
 }
 
 class World {
-  constructor(scene) {
+  // options.courseProfile: the speed and difficulty at a distance along the
+  // track, { speedAt(distance), difficultyAt(distance) }. Layouts are built
+  // from these rather than the runner's live speed, so the course only
+  // depends on the seed - a speed boost doesn't change what comes after it.
+  // options.visuals: false leaves out everything that is only ever drawn
+  // (scenery, lights, debug helpers), for worlds nobody looks at.
+  constructor(scene, seed, options = {}) {
     this.scene = scene;
 
+    // Seeded random streams for all world generation
+    this.setSeed(seed);
+
     // Debug mode for visualizing track issues
     this.debug = true; // Enable debug markers
 
     // World properties
     this.trackLength = 100;
-    this.trackWidth = 6;
+    this.trackWidth = 12; // 4 lanes
+    this.laneWidth = this.trackWidth / 4;
     this.chunkSize = 20;
 
     // Temple Run style track properties
@@ -160,9 +177,56 @@ class World {
       advanced: 5000,
     };
 
+    // Turn and ramp shape
+    this.turnAngle = Math.PI / 6; // Heading change across one turn segment
+    this.maxTrackHeading = Math.PI / 3; // Keep the course running roughly forward
+    this.rampHeight = 3; // Height change across one ramp segment
+    this.maxTrackHeight = 9;
+    this.straightStartSegments = 3; // Straight warm-up before the first bend
+
+    // Speed and difficulty along the course (see the constructor)
+    this.courseProfile = options.courseProfile || null;
+    this.visuals = options.visuals !== false;
+    this.gameSpeed = 0.2; // Rows are checked at this speed without a profile
+    this.layoutValidator = new LayoutValidator();
+
+    // Obstacle patterns and the rows still to be placed from the current one
+    this.patternLibrary = new PatternLibrary(defaultPatterns);
+    this.pendingPatternRows = [];
+    this.nextPatternDistance = 0;
+
+    // Collision shape for objects that don't declare their own
+    this.defaultCollisionVolumes = [this.createCollisionBox(1.5, 0, 1.8, 1.5)];
+
+    // Obstacles and pickups of all active chunks, bucketed by lane and distance
+    this.spatialIndex = new SpatialIndex(this.trackWidth, 4, 4);
+    this.nearbyObjects = []; // Reused for query results
+
+    // Obstacles addSpaceObstacle picks from when a pattern doesn't name one
+    this.obstacleTypesByHeight = {
+      low: ["lowBarrier"],
+      overhead: ["overheadBeam"],
+      full: ["asteroid", "energyBarrier", "alienStructure"],
+    };
+
+    // Chance of a powerup in each chunk. Powerups get rarer as the
+    // difficulty goes up; which type spawns comes from powerupRegistry.
+    this.powerupSpawnChance = { easy: 0.2, medium: 0.15, hard: 0.1 };
+
+    // Deadly obstacles end the run, the rest cost the player one heart
+    this.deadlyObstacleTypes = {
+      asteroid: true,
+      energyBarrier: true,
+      alienStructure: false,
+      lowBarrier: false,
+      overheadBeam: false,
+    };
+
     // Track path
     this.trackPath = []; // Will store track segment data with positions, directions, and types
-    this.currentDirection = new THREE.Vector3(0, 0, -1); // Initial direction (negative Z)
+    this.trackUp = new THREE.Vector3(0, 1, 0);
+    this.currentDirection = new THREE.Vector3(0, 0, 1); // Initial direction (positive Z, same as the player)
+    this.currentHeading = 0; // Rotation around Y, 0 = positive Z
     this.nextSegmentPosition = new THREE.Vector3(0, 0, 0); // Starting position
 
     // Objects
@@ -239,23 +303,21 @@ class World {
       emissiveIntensity: 0.5,
     });
 
-    // Create starfield background
-    this.createStarfield();
-    console.log("Starfield created");
-
-    // Create space nebula environment
-    this.createSpaceEnvironment();
-    console.log("Space environment created");
+    if (this.visuals) {
+      // Create space nebula environment (starfield, planets, nebulae, asteroids)
+      this.createSpaceEnvironment();
+      console.log("Space environment created");
 
-    // Add debug grid to always see the ground
-    const gridHelper = new THREE.GridHelper(100, 100, 0xffff00, 0x00ffff);
-    this.scene.add(gridHelper);
+      // Add debug grid to always see the ground
+      const gridHelper = new THREE.GridHelper(100, 100, 0xffff00, 0x00ffff);
+      this.scene.add(gridHelper);
 
-    // Add axis helper
-    const axisHelper = new THREE.AxesHelper(20);
-    this.scene.add(axisHelper);
+      // Add axis helper
+      const axisHelper = new THREE.AxesHelper(20);
+      this.scene.add(axisHelper);
 
-    console.log("Added debug visualization helpers");
+      console.log("Added debug visualization helpers");
+    }
 
     // Initialize object pools for reuse
     this.initializeObjectPools();
@@ -271,14 +333,16 @@ class World {
     this.generateInitialChunks();
     console.log(`Initial chunks generated: ${this.activeChunks.length} chunks`);
 
-    // Create debug visualization of the track
-    this.createDebugTrackVisualization();
+    if (this.visuals) {
+      // Create debug visualization of the track
+      this.createDebugTrackVisualization();
 
-    // Create track indicators that follow the player
-    this.createTrackIndicators();
+      // Create track indicators that follow the player
+      this.createTrackIndicators();
 
-    // Create player spotlight that follows the player
-    this.createPlayerLight();
+      // Create player spotlight that follows the player
+      this.createPlayerLight();
+    }
 
     // Verify track visibility
     if (this.activeChunks.length > 0) {
@@ -480,7 +544,7 @@ class World {
     ];
 
     // Create a new instance of a random obstacle type
-    const randomType = Math.floor(Math.random() * obstacleTypes.length);
+    const randomType = Math.floor(this.detailRandom.next() * obstacleTypes.length);
     const obstacle = obstacleTypes[randomType]();
 
     return obstacle;
@@ -506,9 +570,9 @@ class World {
       vertex.fromBufferAttribute(positionAttribute, i);
 
       // Add random variation to vertices
-      vertex.x += (Math.random() - 0.5) * 0.2;
-      vertex.y += (Math.random() - 0.5) * 0.2;
-      vertex.z += (Math.random() - 0.5) * 0.2;
+      vertex.x += (this.detailRandom.next() - 0.5) * 0.2;
+      vertex.y += (this.detailRandom.next() - 0.5) * 0.2;
+      vertex.z += (this.detailRandom.next() - 0.5) * 0.2;
 
       positionAttribute.setXYZ(i, vertex.x, vertex.y, vertex.z);
     }
@@ -518,9 +582,9 @@ class World {
     const asteroid = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
     asteroid.position.y = 0.8;
     asteroid.rotation.set(
-      Math.random() * Math.PI,
-      Math.random() * Math.PI,
-      Math.random() * Math.PI
+      this.detailRandom.next() * Math.PI,
+      this.detailRandom.next() * Math.PI,
+      this.detailRandom.next() * Math.PI
     );
     asteroid.castShadow = true;
 
@@ -530,11 +594,17 @@ class World {
     const rotateAsteroid = () => {
       asteroid.rotation.y += 0.002;
       asteroid.rotation.z += 0.001;
-      requestAnimationFrame(rotateAsteroid);
+      requestFrame(rotateAsteroid);
     };
 
     rotateAsteroid();
 
+    // Collision shape: a solid block the size of the rock
+    asteroidGroup.userData.heightClass = "full";
+    asteroidGroup.userData.collisionVolumes = [
+      this.createCollisionBox(1.4, 0.1, 1.5, 1.4),
+    ];
+
     return asteroidGroup;
   }
 
@@ -553,9 +623,9 @@ class World {
     const mainDebris = new THREE.Mesh(mainGeometry, debrisMaterial);
     mainDebris.position.y = 0.6;
     mainDebris.rotation.set(
-      Math.random() * Math.PI,
-      Math.random() * Math.PI,
-      Math.random() * Math.PI
+      this.detailRandom.next() * Math.PI,
+      this.detailRandom.next() * Math.PI,
+      this.detailRandom.next() * Math.PI
     );
     mainDebris.castShadow = true;
 
@@ -569,26 +639,26 @@ class World {
     ];
 
     // Add 3-4 smaller pieces
-    const pieceCount = 3 + Math.floor(Math.random() * 2);
+    const pieceCount = 3 + Math.floor(this.detailRandom.next() * 2);
 
     for (let i = 0; i < pieceCount; i++) {
-      const geoIndex = Math.floor(Math.random() * smallGeometries.length);
+      const geoIndex = Math.floor(this.detailRandom.next() * smallGeometries.length);
       const piece = new THREE.Mesh(smallGeometries[geoIndex], debrisMaterial);
 
       // Random position around main piece
-      const angle = Math.random() * Math.PI * 2;
-      const radius = 0.4 + Math.random() * 0.3;
+      const angle = this.detailRandom.next() * Math.PI * 2;
+      const radius = 0.4 + this.detailRandom.next() * 0.3;
 
       piece.position.set(
         Math.cos(angle) * radius,
-        0.3 + Math.random() * 0.5,
+        0.3 + this.detailRandom.next() * 0.5,
         Math.sin(angle) * radius
       );
 
       piece.rotation.set(
-        Math.random() * Math.PI,
-        Math.random() * Math.PI,
-        Math.random() * Math.PI
+        this.detailRandom.next() * Math.PI,
+        this.detailRandom.next() * Math.PI,
+        this.detailRandom.next() * Math.PI
       );
 
       piece.castShadow = true;
@@ -598,11 +668,17 @@ class World {
     // Add slow rotation animation
     const rotateDebris = () => {
       debrisGroup.rotation.y += 0.005;
-      requestAnimationFrame(rotateDebris);
+      requestFrame(rotateDebris);
     };
 
     rotateDebris();
 
+    // Collision shape: covers the spinning cluster of pieces
+    debrisGroup.userData.heightClass = "full";
+    debrisGroup.userData.collisionVolumes = [
+      this.createCollisionBox(1.6, 0, 1.2, 1.6),
+    ];
+
     return debrisGroup;
   }
 
@@ -632,11 +708,17 @@ class World {
       barrier.scale.set(1, scale, 1);
 
       // Continue animation
-      requestAnimationFrame(pulseAnimation);
+      requestFrame(pulseAnimation);
     };
 
     pulseAnimation();
 
+    // Collision shape: a thin wall, including the height it pulses to
+    barrierGroup.userData.heightClass = "full";
+    barrierGroup.userData.collisionVolumes = [
+      this.createCollisionBox(2.0, 0, 2.1, 0.4),
+    ];
+
     return barrierGroup;
   }
 
@@ -680,11 +762,17 @@ class World {
       eye.position.x = Math.sin(time * 1.5) * 0.1;
       eye.scale.setScalar(0.8 + 0.2 * Math.sin(time * 3));
 
-      requestAnimationFrame(animateEye);
+      requestFrame(animateEye);
     };
 
     animateEye();
 
+    // Collision shape: the totem pole
+    totemGroup.userData.heightClass = "full";
+    totemGroup.userData.collisionVolumes = [
+      this.createCollisionBox(1.0, 0, 2.0, 1.0),
+    ];
+
     return totemGroup;
   }
 
@@ -734,9 +822,14 @@ class World {
     // Floating animation data
     group.userData.floatSpeed = 0.001;
     group.userData.floatAmplitude = 0.2;
-    group.userData.floatOffset = Math.random() * Math.PI * 2;
+    group.userData.floatOffset = this.detailRandom.next() * Math.PI * 2;
     group.userData.value = 1; // Crystal value
 
+    // Pickup area around the floating crystal (placed 0.7 above the track)
+    group.userData.collisionVolumes = [
+      this.createCollisionBox(1.4, -0.7, 0.9, 1.4),
+    ];
+
     return group;
   }
 
@@ -792,23 +885,75 @@ class World {
     // Reset track path length
     this.trackPathLength = 0;
 
-    // Generate straight segments for a simple direct path
-    // No more turns or ramps, just a straight path
-    for (let i = 0; i < 10; i++) {
-      const segment = this.addTrackSegment(this.chunkTypes.STRAIGHT);
-      // Generate nodes for this segment
-      this.generateSegmentNodes(segment);
+    // Start the path at the origin heading forward
+    this.nextSegmentPosition.set(0, 0, 0);
+    this.currentDirection.set(0, 0, 1);
+    this.currentHeading = 0;
+
+    // Generate enough segments to fill the visible distance
+    const segmentCount = Math.ceil(this.visibleDistance / this.chunkSize);
+    for (let i = 0; i < segmentCount; i++) {
+      // Give the player a straight run-up before the first bend
+      const type =
+        i < this.straightStartSegments
+          ? this.chunkTypes.STRAIGHT
+          : this.pickSegmentType();
+      this.addTrackSegment(type);
     }
 
-    console.log(
-      `Generated straight track with ${this.trackPath.length} segments`
-    );
+    console.log(`Generated track with ${this.trackPath.length} segments`);
   }
 
-  addTrackSegment(type) {
-    // Always use STRAIGHT type regardless of what's passed in
-    type = this.chunkTypes.STRAIGHT;
+  // Pick the next segment type using the current difficulty weights
+  pickSegmentType() {
+    const weights =
+      this.segmentDifficultyWeights[this.currentDifficulty] ||
+      this.segmentDifficultyWeights.easy;
+
+    // Drop segment types that would bend the course back on itself
+    // or take it outside the allowed height range
+    const candidates = Object.keys(weights).filter((type) => {
+      if (weights[type] <= 0) return false;
+
+      switch (type) {
+        case this.chunkTypes.LEFT_TURN:
+          return (
+            this.currentHeading + this.turnAngle <= this.maxTrackHeading + 1e-6
+          );
+        case this.chunkTypes.RIGHT_TURN:
+          return (
+            this.currentHeading - this.turnAngle >= -this.maxTrackHeading - 1e-6
+          );
+        case this.chunkTypes.RAMP_UP:
+          return (
+            this.nextSegmentPosition.y + this.rampHeight <=
+            this.maxTrackHeight + 1e-6
+          );
+        case this.chunkTypes.RAMP_DOWN:
+          return this.nextSegmentPosition.y - this.rampHeight >= -1e-6;
+        default:
+          return true;
+      }
+    });
+
+    if (candidates.length === 0) {
+      return this.chunkTypes.STRAIGHT;
+    }
+
+    const totalWeight = candidates.reduce((sum, type) => sum + weights[type], 0);
+    let roll = this.trackRandom.next() * totalWeight;
+
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[candidates[i]];
+      if (roll <= 0) {
+        return candidates[i];
+      }
+    }
+
+    return candidates[candidates.length - 1];
+  }
 
+  addTrackSegment(type = this.chunkTypes.STRAIGHT) {
     // Get segment length
     const segmentLength = this.chunkSize;
 
@@ -816,8 +961,11 @@ class World {
     const segment = {
       type: type,
       length: segmentLength,
+      index: this.trackPath.length,
       startPosition: this.nextSegmentPosition.clone(),
       startDirection: this.currentDirection.clone(),
+      startHeading: this.currentHeading,
+      startDistance: this.trackPathLength,
       nodes: [],
     };
 
@@ -829,6 +977,7 @@ class World {
       const lastNode = segment.nodes[segment.nodes.length - 1];
       this.nextSegmentPosition.copy(lastNode.position);
       this.currentDirection.copy(lastNode.direction);
+      this.currentHeading = lastNode.heading;
     }
 
     // Add to track path
@@ -839,24 +988,312 @@ class World {
   }
 
   generateSegmentNodes(segment) {
-    // All segments are straight segments now
+    // One node per unit of track length
     const nodeCount = Math.ceil(segment.length);
-    const nodeSpacing = segment.length / nodeCount;
+    const start = segment.startPosition;
+    const startHeading = segment.startHeading || 0;
+
+    // Turns bend the heading at a constant rate (a circular arc)
+    let turnRate = 0;
+    if (segment.type === this.chunkTypes.LEFT_TURN) {
+      turnRate = this.turnAngle / segment.length;
+    } else if (segment.type === this.chunkTypes.RIGHT_TURN) {
+      turnRate = -this.turnAngle / segment.length;
+    }
+
+    // Ramps ease in and out so the slope is flat at both ends
+    let rise = 0;
+    if (segment.type === this.chunkTypes.RAMP_UP) {
+      rise = this.rampHeight;
+    } else if (segment.type === this.chunkTypes.RAMP_DOWN) {
+      rise = -this.rampHeight;
+    }
+
+    segment.nodes = [];
 
-    // Create nodes in a straight line
     for (let i = 0; i <= nodeCount; i++) {
       const t = i / nodeCount;
-      const position = segment.startPosition
-        .clone()
-        .add(segment.startDirection.clone().multiplyScalar(t * segment.length));
+      const s = t * segment.length;
+      const heading = startHeading + turnRate * s;
+
+      const position = new THREE.Vector3();
+      if (turnRate === 0) {
+        position.set(
+          start.x + Math.sin(startHeading) * s,
+          0,
+          start.z + Math.cos(startHeading) * s
+        );
+      } else {
+        position.set(
+          start.x + (Math.cos(startHeading) - Math.cos(heading)) / turnRate,
+          0,
+          start.z + (Math.sin(heading) - Math.sin(startHeading)) / turnRate
+        );
+      }
+      position.y = start.y + rise * t * t * (3 - 2 * t);
+
+      // Slope of the smoothstep ramp at this point
+      const slope = (rise * 6 * t * (1 - t)) / segment.length;
+      const direction = new THREE.Vector3(
+        Math.sin(heading),
+        slope,
+        Math.cos(heading)
+      ).normalize();
+
       segment.nodes.push({
         position: position,
-        direction: segment.startDirection.clone(),
+        direction: direction,
+        heading: heading,
         t: t,
+        distance: (segment.startDistance || 0) + s,
       });
     }
   }
 
+  // Find the segment that contains a distance along the track
+  getSegmentAtDistance(distance) {
+    if (this.trackPath.length === 0) return null;
+
+    let low = 0;
+    let high = this.trackPath.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.trackPath[mid].startDistance <= distance) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return this.trackPath[low];
+  }
+
+  // Position and orientation of the track at a distance into a segment.
+  // Distances outside the segment are extrapolated along its end direction.
+  getSegmentFrame(segment, localDistance, target) {
+    const frame = target || {
+      position: new THREE.Vector3(),
+      direction: new THREE.Vector3(),
+      lateral: new THREE.Vector3(),
+      heading: 0,
+    };
+
+    const nodes = segment.nodes;
+    const spacing = segment.length / (nodes.length - 1);
+
+    let index;
+    let extra = 0;
+    let fraction = 0;
+
+    if (localDistance <= 0) {
+      index = 0;
+      extra = localDistance;
+    } else if (localDistance >= segment.length) {
+      index = nodes.length - 1;
+      extra = localDistance - segment.length;
+    } else {
+      index = Math.min(Math.floor(localDistance / spacing), nodes.length - 2);
+      fraction = (localDistance - index * spacing) / spacing;
+    }
+
+    const node = nodes[index];
+
+    if (fraction > 0) {
+      const next = nodes[index + 1];
+      frame.position.lerpVectors(node.position, next.position, fraction);
+      frame.direction
+        .lerpVectors(node.direction, next.direction, fraction)
+        .normalize();
+      frame.heading = node.heading + (next.heading - node.heading) * fraction;
+    } else {
+      frame.position.copy(node.position);
+      frame.direction.copy(node.direction);
+      frame.heading = node.heading;
+    }
+
+    if (extra !== 0) {
+      frame.position.addScaledVector(frame.direction, extra);
+    }
+
+    // Sideways axis across the lanes (up x forward), kept horizontal
+    frame.lateral.set(Math.cos(frame.heading), 0, -Math.sin(frame.heading));
+
+    return frame;
+  }
+
+  // Position and orientation of the track at a distance from the start
+  getTrackFrame(distance, target) {
+    const segment = this.getSegmentAtDistance(distance);
+
+    if (!segment) {
+      const frame = target || {
+        position: new THREE.Vector3(),
+        direction: new THREE.Vector3(),
+        lateral: new THREE.Vector3(),
+        heading: 0,
+      };
+      frame.position.set(0, 0, distance);
+      frame.direction.set(0, 0, 1);
+      frame.lateral.set(1, 0, 0);
+      frame.heading = 0;
+      return frame;
+    }
+
+    return this.getSegmentFrame(
+      segment,
+      distance - segment.startDistance,
+      target
+    );
+  }
+
+  // Convert a track-space position (x across lanes, y above the surface,
+  // z along the track) into a world position
+  trackToWorld(trackPosition, target) {
+    const frame = this.getTrackFrame(trackPosition.z, this.scratchFrame);
+    this.scratchFrame = frame;
+
+    const result = target || new THREE.Vector3();
+    result.copy(frame.position).addScaledVector(frame.lateral, trackPosition.x);
+    result.y += trackPosition.y;
+
+    return result;
+  }
+
+  // Place an object on a chunk's segment, in lane offset / distance terms
+  placeOnTrack(chunk, object, laneX, localDistance, elevation = 0) {
+    const segment = chunk.segment;
+    const frame = this.getSegmentFrame(segment, localDistance);
+
+    object.position
+      .copy(frame.position)
+      .sub(segment.startPosition)
+      .addScaledVector(frame.lateral, laneX);
+    object.position.y += elevation;
+    object.rotation.y = frame.heading;
+
+    // Track-space position used for collision checks
+    object.userData.trackPosition = {
+      x: laneX,
+      y: elevation,
+      z: segment.startDistance + localDistance,
+    };
+    object.userData.surfaceY = object.position.y - elevation;
+
+    return object;
+  }
+
+  // Build a strip (or a raised rail when height > 0) that follows a segment's
+  // nodes, in coordinates local to the segment start
+  createPathStripGeometry(segment, lateralOffset, width, height, elevation) {
+    const nodes = segment.nodes;
+    const ringSize = height > 0 ? 4 : 2;
+    const positions = new Float32Array(nodes.length * ringSize * 3);
+    const indices = [];
+    const lateral = new THREE.Vector3();
+    const local = new THREE.Vector3();
+
+    nodes.forEach((node, i) => {
+      lateral.set(Math.cos(node.heading), 0, -Math.sin(node.heading));
+      local.copy(node.position).sub(segment.startPosition);
+
+      const a = lateralOffset - width / 2;
+      const b = lateralOffset + width / 2;
+      const top = elevation + height;
+
+      // Ring of vertices around the strip cross-section
+      const ring =
+        ringSize === 4
+          ? [
+              [a, elevation],
+              [a, top],
+              [b, top],
+              [b, elevation],
+            ]
+          : [
+              [a, top],
+              [b, top],
+            ];
+
+      ring.forEach(([offset, y], j) => {
+        const k = (i * ringSize + j) * 3;
+        positions[k] = local.x + lateral.x * offset;
+        positions[k + 1] = local.y + y;
+        positions[k + 2] = local.z + lateral.z * offset;
+      });
+    });
+
+    // Connect each edge of the cross-section to the next node
+    for (let i = 0; i < nodes.length - 1; i++) {
+      for (let j = 0; j < ringSize - 1; j++) {
+        const p = i * ringSize + j;
+        const q = p + 1;
+        const pNext = p + ringSize;
+        const qNext = q + ringSize;
+        indices.push(p, pNext, q, q, pNext, qNext);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    return geometry;
+  }
+
+  // Axis-aligned collision box relative to an object's track position:
+  // x across the track, y up from the surface and z along the track
+  createCollisionBox(width, bottom, top, depth) {
+    return {
+      min: { x: -width / 2, y: bottom, z: -depth / 2 },
+      max: { x: width / 2, y: top, z: depth / 2 },
+    };
+  }
+
+  // True if a player hitbox (Player.getHitbox) overlaps any of the object's
+  // collision volumes. Both are in track space.
+  hitboxOverlaps(hitbox, object) {
+    const origin = object.userData.trackPosition || object.position;
+    const volumes =
+      object.userData.collisionVolumes || this.defaultCollisionVolumes;
+
+    for (let i = 0; i < volumes.length; i++) {
+      const volume = volumes[i];
+      if (
+        hitbox.min.x < origin.x + volume.max.x &&
+        hitbox.max.x > origin.x + volume.min.x &&
+        hitbox.min.y < origin.y + volume.max.y &&
+        hitbox.max.y > origin.y + volume.min.y &&
+        hitbox.min.z < origin.z + volume.max.z &&
+        hitbox.max.z > origin.z + volume.min.z
+      ) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // Use the player's movement timings when checking obstacle layouts
+  setPlayerMovementProfile(profile) {
+    this.layoutValidator.configure(profile);
+  }
+
+  // Speed to check obstacle rows at, at a distance along the track
+  getCourseSpeed(distance) {
+    return this.courseProfile
+      ? this.courseProfile.speedAt(distance)
+      : this.gameSpeed;
+  }
+
+  setDifficulty(difficulty, settings) {
+    this.currentDifficulty = difficulty;
+    if (settings && settings.obstacleFrequency !== undefined) {
+      this.obstacleFrequency = settings.obstacleFrequency;
+    }
+  }
+
   createStarfield() {
     // Create a particle system for stars
     const starGeometry = new THREE.BufferGeometry();
@@ -871,40 +1308,40 @@ class World {
       const i3 = i * 3;
 
       // Position stars in a large sphere around the scene
-      const radius = 100 + Math.random() * 900; // 100-1000 units
-      const theta = Math.random() * Math.PI * 2; // 0-2π
-      const phi = Math.acos(2 * Math.random() - 1); // 0-π
+      const radius = 100 + this.sceneryRandom.next() * 900; // 100-1000 units
+      const theta = this.sceneryRandom.next() * Math.PI * 2; // 0-2π
+      const phi = Math.acos(2 * this.sceneryRandom.next() - 1); // 0-π
 
       positions[i3] = radius * Math.sin(phi) * Math.cos(theta); // x
       positions[i3 + 1] = radius * Math.sin(phi) * Math.sin(theta); // y
       positions[i3 + 2] = radius * Math.cos(phi); // z
 
       // Random star colors (mainly white/blue with some variations)
-      const colorChoice = Math.random();
+      const colorChoice = this.sceneryRandom.next();
       if (colorChoice > 0.9) {
         // Red/orange stars (5%)
         colors[i3] = 1.0;
-        colors[i3 + 1] = 0.5 + Math.random() * 0.3;
+        colors[i3 + 1] = 0.5 + this.sceneryRandom.next() * 0.3;
         colors[i3 + 2] = 0.3;
       } else if (colorChoice > 0.75) {
         // Yellow stars (15%)
         colors[i3] = 1.0;
         colors[i3 + 1] = 1.0;
-        colors[i3 + 2] = 0.6 + Math.random() * 0.4;
+        colors[i3 + 2] = 0.6 + this.sceneryRandom.next() * 0.4;
       } else if (colorChoice > 0.5) {
         // Blue stars (25%)
-        colors[i3] = 0.6 + Math.random() * 0.2;
-        colors[i3 + 1] = 0.6 + Math.random() * 0.2;
+        colors[i3] = 0.6 + this.sceneryRandom.next() * 0.2;
+        colors[i3 + 1] = 0.6 + this.sceneryRandom.next() * 0.2;
         colors[i3 + 2] = 1.0;
       } else {
         // White/light blue stars (55%)
-        colors[i3] = 0.8 + Math.random() * 0.2;
-        colors[i3 + 1] = 0.8 + Math.random() * 0.2;
-        colors[i3 + 2] = 0.8 + Math.random() * 0.2;
+        colors[i3] = 0.8 + this.sceneryRandom.next() * 0.2;
+        colors[i3 + 1] = 0.8 + this.sceneryRandom.next() * 0.2;
+        colors[i3 + 2] = 0.8 + this.sceneryRandom.next() * 0.2;
       }
 
       // Random star sizes
-      sizes[i] = Math.random() * 2;
+      sizes[i] = this.sceneryRandom.next() * 2;
     }
 
     starGeometry.setAttribute(
@@ -922,12 +1359,55 @@ class World {
     });
 
     this.starfield = new THREE.Points(starGeometry, starMaterial);
-    this.scene.add(this.starfield);
+    this.addScenery(this.starfield);
   }
 
-  createSpaceEnvironment() {
-    // Create a more vibrant and brighter space environment
+  // Use a new seed for everything generated from now on.
+  // Each purpose gets its own stream so they don't shift each other.
+  setSeed(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+
+    const root = new SeededRandom(this.seed);
+    this.trackRandom = root.derive("track"); // Segment types along the path
+    this.sceneryRandom = root.derive("scenery"); // Background planets, stars, dust
+    this.beginChunkRandom(-1); // Object pools and anything outside a chunk
+  }
+
+  // Per-chunk streams depend only on the seed and segment index. With the
+  // speed and difficulty also going by distance (a course profile, see the
+  // constructor), a chunk gets the same layout no matter when it is
+  // generated.
+  beginChunkRandom(index) {
+    const root = new SeededRandom(this.seed);
+    this.layoutRandom = root.derive(`layout:${index}`); // Obstacles, crystals
+    this.detailRandom = root.derive(`detail:${index}`); // Visual variation
+  }
+
+  // Add a background object that is rebuilt when the seed changes
+  addScenery(object) {
+    if (!this.sceneryObjects) this.sceneryObjects = [];
+    this.sceneryObjects.push(object);
+    this.scene.add(object);
+  }
+
+  clearScenery() {
+    if (!this.sceneryObjects) return;
+
+    this.sceneryObjects.forEach((object) => {
+      this.scene.remove(object);
+      object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    });
+
+    this.sceneryObjects = [];
+    this.planets = [];
+    this.nebulae = [];
+  }
 
+  // Background scenery generated from the scenery stream
+  createScenery() {
     // Create a starry background
     this.createStarfield();
 
@@ -974,6 +1454,11 @@ class World {
 
     // Create asteroid field in the background
     this.createAsteroidField(100);
+  }
+
+  createSpaceEnvironment() {
+    // Create a more vibrant and brighter space environment
+    this.createScenery();
 
     // MAXIMUM VISIBILITY LIGHTING SETUP
     console.log("Creating maximum visibility lighting setup");
@@ -1045,10 +1530,10 @@ class World {
     });
 
     // Add random "continents" to the planet for visual interest
-    if (Math.random() > 0.5) {
+    if (this.sceneryRandom.next() > 0.5) {
       const noise = [];
       for (let i = 0; i < planetGeometry.attributes.position.count; i++) {
-        noise.push(Math.random() > 0.7 ? 1 : 0);
+        noise.push(this.sceneryRandom.next() > 0.7 ? 1 : 0);
       }
       planetGeometry.setAttribute(
         "noise",
@@ -1058,7 +1543,7 @@ class World {
 
     const planet = new THREE.Mesh(planetGeometry, planetMaterial);
     planet.position.set(x, y, z);
-    this.scene.add(planet);
+    this.addScenery(planet);
 
     // Add a subtle glow effect (atmosphere)
     const atmosphereGeometry = new THREE.SphereGeometry(radius * 1.05, 32, 32);
@@ -1086,7 +1571,7 @@ class World {
       planet.add(ring);
 
       // Add a second, thinner ring with different color for some planets
-      if (Math.random() > 0.5) {
+      if (this.sceneryRandom.next() > 0.5) {
         const ring2Geometry = new THREE.RingGeometry(
           radius * 1.1,
           radius * 1.2,
@@ -1106,10 +1591,10 @@ class World {
     }
 
     // Add some moons to some planets
-    const moonCount = Math.floor(Math.random() * 3);
+    const moonCount = Math.floor(this.sceneryRandom.next() * 3);
     for (let i = 0; i < moonCount; i++) {
-      const moonRadius = radius * (0.1 + Math.random() * 0.15);
-      const moonDistance = radius * (1.5 + Math.random() * 1.5);
+      const moonRadius = radius * (0.1 + this.sceneryRandom.next() * 0.15);
+      const moonDistance = radius * (1.5 + this.sceneryRandom.next() * 1.5);
       const moonGeometry = new THREE.SphereGeometry(moonRadius, 16, 16);
       const moonMaterial = new THREE.MeshPhongMaterial({
         color: 0xaaaaaa,
@@ -1126,8 +1611,8 @@ class World {
 
       // Store original position for animation
       moon.userData.orbitRadius = moonDistance;
-      moon.userData.orbitSpeed = 0.5 + Math.random();
-      moon.userData.orbitPhase = Math.random() * Math.PI * 2;
+      moon.userData.orbitSpeed = 0.5 + this.sceneryRandom.next();
+      moon.userData.orbitPhase = this.sceneryRandom.next() * Math.PI * 2;
 
       planet.add(moon);
     }
@@ -1142,24 +1627,24 @@ class World {
   // Create asteroid field with various sized rocks
   createAsteroidField(count) {
     const asteroidGroup = new THREE.Group();
-    this.scene.add(asteroidGroup);
+    this.addScenery(asteroidGroup);
 
     for (let i = 0; i < count; i++) {
       // Determine size - mostly small, few medium, very few large
       let size;
-      const sizeDeterminer = Math.random();
+      const sizeDeterminer = this.sceneryRandom.next();
       if (sizeDeterminer > 0.95) {
-        size = 3 + Math.random() * 5; // Large (5%)
+        size = 3 + this.sceneryRandom.next() * 5; // Large (5%)
       } else if (sizeDeterminer > 0.7) {
-        size = 1 + Math.random() * 2; // Medium (25%)
+        size = 1 + this.sceneryRandom.next() * 2; // Medium (25%)
       } else {
-        size = 0.2 + Math.random() * 0.8; // Small (70%)
+        size = 0.2 + this.sceneryRandom.next() * 0.8; // Small (70%)
       }
 
       // Create asteroid geometry with irregular shape
       const asteroidGeometry = new THREE.DodecahedronGeometry(
         size,
-        Math.floor(Math.random() * 2)
+        Math.floor(this.sceneryRandom.next() * 2)
       );
 
       // Distort vertices for more irregular shape
@@ -1169,29 +1654,29 @@ class World {
         const y = positionAttribute.getY(j);
         const z = positionAttribute.getZ(j);
 
-        const distortion = 0.2 + Math.random() * 0.3;
+        const distortion = 0.2 + this.sceneryRandom.next() * 0.3;
         positionAttribute.setXYZ(
           j,
-          x * (1 + Math.random() * distortion),
-          y * (1 + Math.random() * distortion),
-          z * (1 + Math.random() * distortion)
+          x * (1 + this.sceneryRandom.next() * distortion),
+          y * (1 + this.sceneryRandom.next() * distortion),
+          z * (1 + this.sceneryRandom.next() * distortion)
         );
       }
 
       // Create material with variances
-      const darkFactor = 0.3 + Math.random() * 0.4;
+      const darkFactor = 0.3 + this.sceneryRandom.next() * 0.4;
       const asteroidMaterial = new THREE.MeshStandardMaterial({
         color: new THREE.Color(darkFactor, darkFactor * 0.9, darkFactor * 0.8),
-        roughness: 0.8 + Math.random() * 0.2,
-        metalness: Math.random() * 0.3,
+        roughness: 0.8 + this.sceneryRandom.next() * 0.2,
+        metalness: this.sceneryRandom.next() * 0.3,
       });
 
       const asteroid = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
 
       // Position in a large volume, but away from the central track
-      const distance = 50 + Math.random() * 300;
-      const angle = Math.random() * Math.PI * 2;
-      const height = -50 + Math.random() * 100;
+      const distance = 50 + this.sceneryRandom.next() * 300;
+      const angle = this.sceneryRandom.next() * Math.PI * 2;
+      const height = -50 + this.sceneryRandom.next() * 100;
 
       asteroid.position.set(
         Math.cos(angle) * distance,
@@ -1201,16 +1686,16 @@ class World {
 
       // Random rotation
       asteroid.rotation.set(
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2,
-        Math.random() * Math.PI * 2
+        this.sceneryRandom.next() * Math.PI * 2,
+        this.sceneryRandom.next() * Math.PI * 2,
+        this.sceneryRandom.next() * Math.PI * 2
       );
 
       // Add rotation animation data
       asteroid.userData.rotationSpeed = {
-        x: (Math.random() - 0.5) * 0.01,
-        y: (Math.random() - 0.5) * 0.01,
-        z: (Math.random() - 0.5) * 0.01,
+        x: (this.sceneryRandom.next() - 0.5) * 0.01,
+        y: (this.sceneryRandom.next() - 0.5) * 0.01,
+        z: (this.sceneryRandom.next() - 0.5) * 0.01,
       };
 
       // Add parallax movement data
@@ -1234,19 +1719,19 @@ class World {
       const i3 = i * 3;
 
       // Position in cylindrical volume ahead of player
-      const radius = 5 + Math.random() * 30;
-      const theta = Math.random() * Math.PI * 2;
-      const z = -20 - Math.random() * 80; // Ahead of player
+      const radius = 5 + this.sceneryRandom.next() * 30;
+      const theta = this.sceneryRandom.next() * Math.PI * 2;
+      const z = -20 - this.sceneryRandom.next() * 80; // Ahead of player
 
       positions[i3] = Math.cos(theta) * radius;
-      positions[i3 + 1] = -10 + Math.random() * 20; // Vertical spread
+      positions[i3 + 1] = -10 + this.sceneryRandom.next() * 20; // Vertical spread
       positions[i3 + 2] = z;
 
       // Random sizes
-      sizes[i] = 0.05 + Math.random() * 0.1;
+      sizes[i] = 0.05 + this.sceneryRandom.next() * 0.1;
 
       // Subtle colors - mostly white/blue with slight variations
-      const colorChoice = Math.random();
+      const colorChoice = this.sceneryRandom.next();
       if (colorChoice > 0.9) {
         // Yellowish dust (10%)
         colors[i3] = 0.9;
@@ -1259,7 +1744,7 @@ class World {
         colors[i3 + 2] = 0.9;
       } else {
         // White/grey dust (70%)
-        const brightness = 0.6 + Math.random() * 0.3;
+        const brightness = 0.6 + this.sceneryRandom.next() * 0.3;
         colors[i3] = brightness;
         colors[i3 + 1] = brightness;
         colors[i3 + 2] = brightness;
@@ -1279,7 +1764,7 @@ class World {
     });
 
     this.spaceDust = new THREE.Points(geometry, material);
-    this.scene.add(this.spaceDust);
+    this.addScenery(this.spaceDust);
   }
 
   generateInitialChunks() {
@@ -1289,20 +1774,9 @@ class World {
     this.activeChunks = [];
 
     // Generate chunks from existing track path
+    // (generateChunkFromSegment adds each chunk to the scene and active chunks)
     for (let i = 0; i < this.trackPath.length; i++) {
-      const segment = this.trackPath[i];
-
-      // Set the segment index
-      segment.index = i;
-
-      // Generate the chunk from segment
-      const chunk = this.generateChunkFromSegment(segment);
-
-      // Add the chunk to the scene and active chunks
-      if (chunk) {
-        this.scene.add(chunk);
-        this.activeChunks.push(chunk);
-      }
+      this.generateChunkFromSegment(this.trackPath[i]);
     }
 
     console.log(`Generated ${this.activeChunks.length} initial chunks`);
@@ -1319,75 +1793,104 @@ class World {
     chunk.segment = segment;
     chunk.index = segment.index || 0;
 
+    // Random streams for this chunk's layout and visuals
+    this.beginChunkRandom(chunk.index);
+
+    // How hard this part of the course is
+    if (this.courseProfile) {
+      this.currentDifficulty = this.courseProfile.difficultyAt(
+        segment.startDistance
+      );
+    }
+
     // Initialize arrays for objects
     chunk.obstacles = [];
     chunk.crystals = [];
     chunk.powerups = [];
     chunk.decorations = [];
 
+    // Geometry built for this chunk only, disposed with the chunk
+    chunk.userData.geometries = [];
+
     // Set position based on segment start
     chunk.position.copy(segment.startPosition);
 
-    // Create the track segment with space theme
-    const trackGeometry = new THREE.PlaneGeometry(
-      this.trackWidth * 1.5, // Make it wider for 4 lanes
-      segment.length,
-      4,
-      Math.ceil(segment.length / 2)
+    // Main track - deep space black strip following the segment path
+    const trackGeometry = this.createPathStripGeometry(
+      segment,
+      0,
+      this.trackWidth * 1.5, // Make it wider than the 4 lanes
+      0,
+      -0.1 // Slightly below player feet
     );
-
-    // Main track - deep space black with star field texture
     const track = new THREE.Mesh(trackGeometry, this.trackMaterial);
-    track.rotation.x = -Math.PI / 2; // Lay flat
-    track.position.y = -0.1; // Slightly below player feet
-    track.position.z = -segment.length / 2; // Center the track in the chunk
-
-    // Add track to chunk
     chunk.add(track);
+    chunk.track = track;
+    chunk.userData.geometries.push(trackGeometry);
 
-    // Set track width for 4 lanes
-    this.trackWidth = 12; // Wider track
-    const laneWidth = this.trackWidth / 4; // 4 lanes
+    const laneWidth = this.laneWidth;
 
     // Add 5 lane separators (for 4 lanes)
     for (let i = -2; i <= 2; i++) {
+      let geometry;
+      let material;
+
       if (i === -2 || i === 2) {
         // Track edges - pink glowing barriers
-        const edgeGeometry = new THREE.BoxGeometry(0.5, 0.5, segment.length);
-        const edge = new THREE.Mesh(edgeGeometry, this.edgeMaterial);
-        edge.position.set(i * laneWidth, 0.1, -segment.length / 2);
-        chunk.add(edge);
+        geometry = this.createPathStripGeometry(
+          segment,
+          i * laneWidth,
+          0.5,
+          0.5,
+          -0.15
+        );
+        material = this.edgeMaterial;
       } else {
         // Lane separators - thin blue lines
-        const lineGeometry = new THREE.BoxGeometry(0.1, 0.1, segment.length);
-        const line = new THREE.Mesh(lineGeometry, this.laneMaterial);
-        line.position.set(i * laneWidth, 0.05, -segment.length / 2);
-        chunk.add(line);
+        geometry = this.createPathStripGeometry(
+          segment,
+          i * laneWidth,
+          0.1,
+          0.1,
+          0
+        );
+        material = this.laneMaterial;
       }
+
+      chunk.add(new THREE.Mesh(geometry, material));
+      chunk.userData.geometries.push(geometry);
     }
 
     // Add some star effects on the track
     for (let i = 0; i < 20; i++) {
       const starGeometry = new THREE.CircleGeometry(
-        0.05 + Math.random() * 0.05,
+        0.05 + this.detailRandom.next() * 0.05,
         4
       );
       const starMaterial = new THREE.MeshBasicMaterial({
         color: 0xffffff,
         transparent: true,
-        opacity: 0.5 + Math.random() * 0.5,
+        opacity: 0.5 + this.detailRandom.next() * 0.5,
       });
 
       const star = new THREE.Mesh(starGeometry, starMaterial);
-      star.rotation.x = -Math.PI / 2; // Lay flat on track
-      star.position.set(
-        (Math.random() - 0.5) * this.trackWidth,
-        0,
-        -Math.random() * segment.length
+      this.placeOnTrack(
+        chunk,
+        star,
+        (this.detailRandom.next() - 0.5) * this.trackWidth,
+        this.detailRandom.next() * segment.length,
+        0
       );
+      star.rotation.set(-Math.PI / 2, star.rotation.y, 0, "YXZ"); // Lay flat on track
       chunk.add(star);
+      chunk.userData.geometries.push(starGeometry);
     }
 
+    // Side decorations and obstacles follow the same path
+    this.addTrackDecorations(chunk, segment);
+    this.populateChunk(chunk);
+    this.indexChunkObjects(chunk);
+
     // CRITICAL: Add to scene and active chunks
     this.scene.add(chunk);
 
@@ -1439,192 +1942,209 @@ class World {
       return;
     }
 
-    // Add decorative elements to the track based on segment data
-    const segmentLength = segment.length;
-    const trackWidth = this.trackWidth;
+    // Light posts along both edges, following turns and ramps.
+    // Geometry and materials are shared between all chunks.
+    if (!this.decorationAssets) {
+      this.decorationAssets = {
+        postGeometry: new THREE.CylinderGeometry(0.05, 0.05, 1, 8),
+        postMaterial: new THREE.MeshPhongMaterial({
+          color: 0x888899,
+          specular: 0x333344,
+          shininess: 30,
+        }),
+        lightGeometry: new THREE.SphereGeometry(0.1, 8, 8),
+        lightMaterial: new THREE.MeshPhongMaterial({
+          color: 0x00ffff,
+          emissive: 0x00ffff,
+          emissiveIntensity: 0.5,
+        }),
+      };
+    }
 
-    // Add side rails
-    const railGeometry = new THREE.BoxGeometry(0.2, 0.3, segmentLength);
-    const railMaterial = new THREE.MeshPhongMaterial({
-      color: 0x444444,
-      specular: 0x111111,
-      shininess: 30,
-    });
+    const assets = this.decorationAssets;
+    const postOffset = this.trackWidth / 2 + 0.5;
 
-    // Position based on segment type
-    if (segment.type === this.chunkTypes.STRAIGHT) {
-      // Left rail
-      const leftRail = new THREE.Mesh(railGeometry, railMaterial);
-      leftRail.position.set(-trackWidth / 2 - 0.1, 0.1, -segmentLength / 2);
-      chunk.add(leftRail);
+    for (let s = 0; s < segment.length; s += 5) {
+      for (let side = -1; side <= 1; side += 2) {
+        const post = new THREE.Mesh(assets.postGeometry, assets.postMaterial);
+        this.placeOnTrack(chunk, post, side * postOffset, s, 0.5);
+        chunk.add(post);
+        chunk.decorations.push(post);
 
-      // Right rail
-      const rightRail = new THREE.Mesh(railGeometry, railMaterial);
-      rightRail.position.set(trackWidth / 2 + 0.1, 0.1, -segmentLength / 2);
-      chunk.add(rightRail);
+        const light = new THREE.Mesh(
+          assets.lightGeometry,
+          assets.lightMaterial
+        );
+        this.placeOnTrack(chunk, light, side * postOffset, s, 1.1);
+        chunk.add(light);
+        chunk.decorations.push(light);
+      }
     }
-
-    // Add lane markers
-    this.addLaneMarkers(chunk, segmentLength, trackWidth);
   }
 
-  addLaneMarkers(chunk, segmentLength, trackWidth) {
-    // Create lane dividers with brighter emissive materials
-    const markerMaterial = new THREE.MeshStandardMaterial({
-      color: 0x88aaee, // Brighter blue color for better visibility
-      emissive: 0x4488cc, // Add blue glow
-      emissiveIntensity: 0.6, // Increased emissive intensity
-      metalness: 0.7,
-      roughness: 0.3,
-    });
+  populateChunk(chunk) {
+    // Get chunk length and position along the track
+    const chunkLength = chunk.segment ? chunk.segment.length : 20;
+    const chunkStart = chunk.segment ? chunk.segment.startDistance || 0 : 0;
+    const chunkEnd = chunkStart + chunkLength;
 
-    // Create dashed lane markers
-    const laneWidth = trackWidth / 3;
-    const markerSpacing = 2; // Space between markers
-    const markerLength = 1; // Length of each marker
-    const markerCount = Math.floor(
-      segmentLength / (markerSpacing + markerLength)
-    );
+    // Skip first chunk to give player time to adjust
+    if (chunk.index === 0) {
+      this.nextPatternDistance = Math.max(
+        this.nextPatternDistance,
+        chunkEnd + this.patternLibrary.rowSpacing / 2
+      );
+      return;
+    }
 
-    // Left and right lane markers
-    for (let lane = -1; lane <= 1; lane++) {
-      if (lane === 0) continue; // Skip center lane
+    console.log("Populating chunk with obstacle patterns...");
 
-      const x = lane * laneWidth;
+    // Rows placed in this chunk, so powerups can be kept clear of them
+    chunk.userData.rowDistances = [];
 
-      for (let i = 0; i < markerCount; i++) {
-        const z = -(i * (markerSpacing + markerLength) + markerLength / 2);
+    // Place pattern rows until the next one falls in a later chunk.
+    // Patterns longer than a chunk carry on into the next one.
+    while (true) {
+      if (this.pendingPatternRows.length === 0) {
+        if (this.nextPatternDistance >= chunkEnd) break;
+        this.queueNextPattern();
+        if (this.pendingPatternRows.length === 0) break;
+      }
+
+      const row = this.pendingPatternRows[0];
+      if (row.z >= chunkEnd) break;
+
+      this.pendingPatternRows.shift();
+      this.placePatternRow(chunk, row, row.z - chunkStart);
+    }
+
+    this.spawnPowerups(chunk);
 
-        // Make markers taller for better visibility
-        const markerGeometry = new THREE.BoxGeometry(0.1, 0.1, markerLength);
-        const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    return chunk;
+  }
 
-        // Position markers just above the track surface
-        marker.position.set(x, 0.05, z);
-        chunk.add(marker);
+  // Maybe drop a powerup in a gap between obstacle rows
+  spawnPowerups(chunk) {
+    const chance =
+      this.powerupSpawnChance[this.currentDifficulty] !== undefined
+        ? this.powerupSpawnChance[this.currentDifficulty]
+        : this.powerupSpawnChance.easy;
+    if (this.layoutRandom.next() >= chance) return;
 
-        // Add to decorations for cleanup
-        if (!chunk.decorations) chunk.decorations = [];
-        chunk.decorations.push(marker);
+    const chunkLength = chunk.segment ? chunk.segment.length : 20;
+    const rows = chunk.userData.rowDistances || [];
+    const clearance = 3; // Distance to keep from any row
+
+    // Free spots along the chunk
+    const spots = [];
+    for (let z = 2; z <= chunkLength - 2; z++) {
+      if (rows.every((rowZ) => Math.abs(rowZ - z) >= clearance)) {
+        spots.push(z);
       }
     }
+    if (spots.length === 0) return;
 
-    // Add edge barriers with enhanced visibility
-    for (let side = -1; side <= 1; side += 2) {
-      // Create taller edge barriers
-      const edgeGeometry = new THREE.BoxGeometry(0.3, 0.8, segmentLength);
-      const edgeMaterial = new THREE.MeshStandardMaterial({
-        color: 0x4444ff, // Bright blue
-        emissive: 0x2222ff, // Blue glow
-        emissiveIntensity: 0.7, // Strong glow
-        metalness: 0.8,
-        roughness: 0.2,
-      });
+    const lanePositions = [-1.5, -0.5, 0.5, 1.5];
+    const z = this.layoutRandom.pick(spots);
+    const lane = this.layoutRandom.pick(lanePositions);
 
-      const edge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-      edge.position.set(
-        side * (trackWidth / 2 + 0.15),
-        0.4, // Raised position for better visibility
-        -segmentLength / 2
-      );
+    this.addPowerup(chunk, lane, z, this.pickPowerupType());
+  }
 
-      chunk.add(edge);
-      if (!chunk.decorations) chunk.decorations = [];
-      chunk.decorations.push(edge);
+  // Weighted pick of a powerup type for the current difficulty
+  pickPowerupType() {
+    const weights = powerupRegistry.getSpawnWeights(this.currentDifficulty);
+    const types = Object.keys(weights);
+    if (types.length === 0) return "shield";
+
+    const totalWeight = types.reduce((sum, type) => sum + weights[type], 0);
+
+    let roll = this.layoutRandom.next() * totalWeight;
+    for (const type of types) {
+      roll -= weights[type];
+      if (roll < 0) return type;
     }
+
+    return types[types.length - 1];
   }
 
-  populateChunk(chunk) {
-    // Skip first chunk to give player time to adjust
-    if (chunk.index === 0) return;
+  // Pick the next pattern for the current difficulty and queue its rows
+  queueNextPattern() {
+    const pattern = this.patternLibrary.pick(
+      this.currentDifficulty,
+      this.layoutRandom
+    );
+    if (!pattern) return;
 
-    console.log("Populating chunk with obstacles...");
+    // Add some randomness to where the pattern starts
+    const start = this.nextPatternDistance + this.layoutRandom.next() * 2;
 
-    // Increase obstacle frequency
-    const obstacleFrequency = 0.5; // Higher value = more obstacles
+    pattern.rows.forEach((row) => {
+      this.pendingPatternRows.push({
+        z: start + row.z,
+        cells: row.cells.slice(),
+        pattern: pattern.id,
+      });
+    });
 
-    // Get chunk length and lane info
-    const chunkLength = chunk.segment ? chunk.segment.length : 20;
-    const numLanes = 4; // 4 lanes
+    this.nextPatternDistance = start + pattern.length;
+  }
 
+  // Check a row is passable, then create its obstacles and pickups
+  placePatternRow(chunk, row, localZ) {
     // IMPORTANT: Use correct lane positions for 4 lanes
     const lanePositions = [-1.5, -0.5, 0.5, 1.5];
 
-    // Add obstacles at regular intervals
-    const zSpacing = 15; // Space between obstacle groups
-
-    for (let z = 15; z < chunkLength - 5; z += zSpacing) {
-      // Add some randomness to position
-      const zOffset = (Math.random() - 0.5) * 3;
-      const actualZ = z + zOffset;
-
-      // ALWAYS place something at this z-position (obstacle or crystal)
-      if (Math.random() < obstacleFrequency) {
-        // Choose a pattern
-        const pattern = Math.random();
-
-        if (pattern < 0.4) {
-          // Single lane obstacle - pick a random lane
-          const laneIndex = Math.floor(Math.random() * 4);
-          const lane = lanePositions[laneIndex];
-          this.addSpaceObstacle(chunk, lane, actualZ);
-          console.log(`Added single obstacle at lane ${lane}, z=${actualZ}`);
-        } else if (pattern < 0.7) {
-          // Two adjacent lanes blocked
-          const startLaneIndex = Math.floor(Math.random() * 3); // 0, 1, or 2
-          this.addSpaceObstacle(chunk, lanePositions[startLaneIndex], actualZ);
-          this.addSpaceObstacle(
+    if (chunk.userData.rowDistances) {
+      chunk.userData.rowDistances.push(localZ);
+    }
+
+    // Make sure the player can still get through at the speed they have
+    // by this row
+    const speed = this.getCourseSpeed(row.z);
+    if (!this.layoutValidator.addRow(row, speed)) {
+      const openedLane = this.layoutValidator.repairRow(
+        row,
+        speed,
+        this.layoutRandom
+      );
+      console.log(
+        `Opened lane ${lanePositions[openedLane]} of pattern ${row.pattern} to keep it passable`
+      );
+    }
+
+    row.cells.forEach((cell, laneIndex) => {
+      if (!cell) return;
+
+      const lane = lanePositions[laneIndex];
+      switch (cell.type) {
+        case "obstacle":
+          this.addSpaceObstacle(chunk, lane, localZ, cell);
+          break;
+        case "crystal":
+          this.addCrystal(chunk, lane, localZ);
+          break;
+        case "powerup":
+          this.addPowerup(
             chunk,
-            lanePositions[startLaneIndex + 1],
-            actualZ
+            lane,
+            localZ,
+            cell.powerup || this.pickPowerupType()
           );
-          console.log(
-            `Added double obstacle at lanes ${
-              lanePositions[startLaneIndex]
-            } and ${lanePositions[startLaneIndex + 1]}, z=${actualZ}`
-          );
-        } else {
-          // Three lanes blocked with one lane open
-          const openLaneIndex = Math.floor(Math.random() * 4); // 0, 1, 2, or 3
-
-          for (let i = 0; i < 4; i++) {
-            if (i !== openLaneIndex) {
-              this.addSpaceObstacle(chunk, lanePositions[i], actualZ);
-            }
-          }
-          console.log(
-            `Added three obstacles with open lane at ${lanePositions[openLaneIndex]}, z=${actualZ}`
-          );
-        }
+          break;
       }
-      // Add crystals in some gaps
-      else {
-        // Put crystals in 1-2 random lanes
-        const crystalCount = 1 + Math.floor(Math.random() * 2);
-        const usedLanes = [];
-
-        for (let i = 0; i < crystalCount; i++) {
-          let laneIndex;
-          do {
-            laneIndex = Math.floor(Math.random() * 4);
-          } while (usedLanes.includes(laneIndex));
-
-          usedLanes.push(laneIndex);
-          const lane = lanePositions[laneIndex];
-          this.addCrystal(chunk, lane, actualZ);
-          console.log(`Added crystal at lane ${lane}, z=${actualZ}`);
-        }
-      }
-    }
+    });
+  }
 
-    return chunk;
+  // Swap in a different obstacle pattern library (PatternLibrary or raw JSON
+  // data). Applies to chunks generated from now on.
+  setPatternLibrary(library) {
+    this.patternLibrary =
+      library instanceof PatternLibrary ? library : new PatternLibrary(library);
   }
 
   // Simple deadly obstacle creator
   addSimpleObstacle(chunk, lane, z) {
-    // Determine lane position
-    const x = lane * (this.trackWidth / 3);
-
     // Create a simple deadly obstacle
     const obstacle = new THREE.Group();
 
@@ -1648,16 +2168,18 @@ class World {
     const glow = new THREE.Mesh(glowGeometry, glowMaterial);
     obstacle.add(glow);
 
-    // Position obstacle
-    obstacle.position.set(x, 0, z);
-
     // Tag as deadly obstacle
     obstacle.userData = {
       type: "obstacle",
       deadly: true,
+      heightClass: "full",
+      collisionVolumes: [this.createCollisionBox(1.5, 0, 1.5, 1.5)],
       lane: lane,
     };
 
+    // Position obstacle along the track path
+    this.placeOnTrack(chunk, obstacle, lane * this.laneWidth, z);
+
     // Add to chunk
     chunk.add(obstacle);
 
@@ -1670,77 +2192,8 @@ class World {
     return obstacle;
   }
 
-  // Crystal collectible for points
-  addCrystal(chunk, lane, z) {
-    // Use correct lane positioning for 4 lanes
-    const laneWidth = this.trackWidth / 4;
-    const x = lane * laneWidth;
-
-    // Create a space crystal
-    const crystalGroup = new THREE.Group();
-
-    const crystalGeometry = new THREE.OctahedronGeometry(0.4, 0);
-    const crystalMaterial = new THREE.MeshBasicMaterial({
-      color: 0x00ffff, // Cyan
-    });
-
-    const crystal = new THREE.Mesh(crystalGeometry, crystalMaterial);
-    crystal.position.y = 1.0; // Float above ground
-    crystalGroup.add(crystal);
-
-    // Add a cyan glow
-    const glowGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-      color: 0x00ffff,
-      transparent: true,
-      opacity: 0.4,
-    });
-
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    crystalGroup.add(glow);
-
-    // Add floating and rotating animation
-    crystalGroup.userData.animate = true;
-    crystalGroup.userData.rotationSpeed = 0.02;
-    crystalGroup.userData.floatHeight = 0.1;
-    crystalGroup.userData.floatSpeed = 0.003;
-    crystalGroup.userData.baseHeight = 1.0;
-    crystalGroup.userData.timeOffset = Math.random() * Math.PI * 2;
-
-    // Position crystal
-    crystalGroup.position.set(x, 0, z);
-
-    // Tag as collectible
-    crystalGroup.userData = {
-      type: "crystal",
-      value: 1,
-      lane: lane,
-      animate: true,
-      rotationSpeed: 0.02,
-      floatHeight: 0.1,
-      floatSpeed: 0.003,
-      baseHeight: 1.0,
-      timeOffset: Math.random() * Math.PI * 2,
-    };
-
-    // Add to chunk
-    chunk.add(crystalGroup);
-
-    // Store in crystals array
-    if (!chunk.crystals) {
-      chunk.crystals = [];
-    }
-
-    chunk.crystals.push(crystalGroup);
-
-    return crystalGroup;
-  }
-
   // Add the missing addObstacle method
   addObstacle(chunk, lane, z, obstacleType = 0) {
-    // Determine actual lane position on the track
-    const x = lane * (this.trackWidth / 3);
-
     let obstacle;
 
     // Create different obstacle types based on the obstacleType parameter
@@ -1762,16 +2215,17 @@ class World {
         // Mark it as a moving obstacle
         obstacle.userData.isMoving = true;
         obstacle.userData.moveSpeed = 0.05;
-        obstacle.userData.moveDirection = Math.random() > 0.5 ? 1 : -1;
+        obstacle.userData.moveDirection = this.layoutRandom.next() > 0.5 ? 1 : -1;
         obstacle.userData.originalLane = lane;
         break;
       default:
         obstacle = this.createAsteroidObstacle();
     }
 
-    // Position the obstacle
-    obstacle.position.set(x, 0, z);
+    // Position the obstacle along the track path
+    this.placeOnTrack(chunk, obstacle, lane * this.laneWidth, z);
     obstacle.lane = lane; // Store lane for collision detection
+    obstacle.userData.type = "obstacle";
 
     // Add to chunk
     chunk.add(obstacle);
@@ -1780,16 +2234,13 @@ class World {
     return obstacle;
   }
 
-  // Add the missing addCrystal method
+  // Crystal collectible for points
   addCrystal(chunk, lane, z) {
-    // Determine actual lane position
-    const x = lane * (this.trackWidth / 3);
-
-    // Create crystal group
+    // Create crystal group, with its pickup area (see createCrystalTemplate)
     const crystalGroup = this.createCrystalTemplate();
 
-    // Position the crystal group
-    crystalGroup.position.set(x, 0.7, z); // Slightly elevated
+    // Position the crystal group along the track path
+    this.placeOnTrack(chunk, crystalGroup, lane * this.laneWidth, z, 0.7); // Slightly elevated
     crystalGroup.lane = lane; // Store lane for collision detection
     crystalGroup.userData.type = "crystal"; // Mark as crystal for animations
 
@@ -1801,6 +2252,45 @@ class World {
     return crystalGroup;
   }
 
+  // Powerup pickup placed by an obstacle pattern
+  addPowerup(chunk, lane, z, powerupType = null) {
+    const powerup = this.createPowerupTemplate();
+
+    // Tag with its powerup type, the template default is a shield
+    powerup.userData.powerupType = powerupType || powerup.userData.type;
+    powerup.userData.type = "powerup";
+    powerup.userData.lane = lane;
+    powerup.userData.pulseOffset = this.detailRandom.next() * Math.PI * 2;
+
+    // Pickup area around the floating sphere
+    powerup.userData.collisionVolumes = [
+      this.createCollisionBox(1.4, -1.0, 0.8, 1.4),
+    ];
+
+    // Colour it by type so players can tell what they're grabbing
+    const definition = powerupRegistry.get(powerup.userData.powerupType);
+    if (definition) {
+      const color = definition.color;
+      powerup.traverse((child) => {
+        if (child.material) {
+          child.material.color.set(color);
+          if (child.material.emissive) child.material.emissive.set(color);
+        } else if (child.isLight) {
+          child.color.set(color);
+        }
+      });
+    }
+
+    // Float at crystal height
+    this.placeOnTrack(chunk, powerup, lane * this.laneWidth, z, 1.0);
+
+    chunk.add(powerup);
+    if (!chunk.powerups) chunk.powerups = [];
+    chunk.powerups.push(powerup);
+
+    return powerup;
+  }
+
   // Add this method that was deleted during optimization
   createNebula(x, y, z, color, density = 0.7) {
     // Create a simplified nebula using particle system
@@ -1817,22 +2307,22 @@ class World {
       const i3 = i * 3;
 
       // Simple sphere distribution
-      const radius = 20 + Math.random() * 20;
-      const theta = Math.random() * Math.PI * 2;
-      const phi = Math.acos(2 * Math.random() - 1);
+      const radius = 20 + this.sceneryRandom.next() * 20;
+      const theta = this.sceneryRandom.next() * Math.PI * 2;
+      const phi = Math.acos(2 * this.sceneryRandom.next() - 1);
 
       positions[i3] = x + radius * Math.sin(phi) * Math.cos(theta);
       positions[i3 + 1] = y + radius * Math.sin(phi) * Math.sin(theta);
       positions[i3 + 2] = z + radius * Math.cos(phi);
 
       // Simple color
-      const brightness = 0.5 + Math.random() * 0.5;
+      const brightness = 0.5 + this.sceneryRandom.next() * 0.5;
       colors[i3] = colorObj.r * brightness;
       colors[i3 + 1] = colorObj.g * brightness;
       colors[i3 + 2] = colorObj.b * brightness;
 
       // Simple size variation
-      sizes[i] = 1 + Math.random() * 3;
+      sizes[i] = 1 + this.sceneryRandom.next() * 3;
     }
 
     geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
@@ -1851,12 +2341,12 @@ class World {
 
     const nebula = new THREE.Points(geometry, material);
 
-    this.scene.add(nebula);
+    this.addScenery(nebula);
 
     // Add light
     const nebulaLight = new THREE.PointLight(color, 0.3, 100);
     nebulaLight.position.set(x, y, z);
-    this.scene.add(nebulaLight);
+    this.addScenery(nebulaLight);
 
     // Store for tracking
     if (!this.nebulae) this.nebulae = [];
@@ -1883,7 +2373,8 @@ class World {
     });
   }
 
-  // Add the missing manageChunks method
+  // Keep chunks generated ahead of the player and drop the ones behind.
+  // playerPosition is in track space: z is the distance along the track.
   manageChunks(playerPosition) {
     // CRITICAL FIX: First, make sure activeChunks is initialized
     if (!this.activeChunks) {
@@ -1896,65 +2387,22 @@ class World {
       playerPosition = { x: 0, y: 0, z: 0 };
     }
 
-    // BASIC CHUNK MANAGEMENT - SIMPLIFIED
-    // If we don't have any chunks yet, create the initial chunk
-    if (this.activeChunks.length === 0) {
-      // Create a simple segment for the first chunk
-      const segment = {
-        type: "straight",
-        length: this.chunkSize || 20,
-        startPosition: new THREE.Vector3(0, 0, 0),
-        startDirection: new THREE.Vector3(0, 0, 1),
-        nodes: [],
-        index: 0,
-      };
+    const playerDistance = playerPosition.z;
 
-      // Create first chunk
+    // Extend the track path until it covers the visible distance
+    while (this.trackPathLength - playerDistance < this.visibleDistance) {
+      const segment = this.addTrackSegment(this.pickSegmentType());
       this.generateChunkFromSegment(segment);
-      console.log("Created initial track chunk");
     }
 
-    // Find the furthest chunk
-    let furthestZ = -999999;
-    for (let i = 0; i < this.activeChunks.length; i++) {
+    // Remove chunks that are completely behind the player
+    for (let i = this.activeChunks.length - 1; i >= 0; i--) {
       const chunk = this.activeChunks[i];
-      if (chunk && chunk.position && chunk.position.z > furthestZ) {
-        furthestZ = chunk.position.z;
-      }
-    }
-
-    // Generate new chunks if player is approaching the end of the track
-    if (furthestZ - playerPosition.z < 50) {
-      // Create a new segment for the next chunk
-      const segment = {
-        type: "straight",
-        length: this.chunkSize || 20,
-        startPosition: new THREE.Vector3(0, 0, furthestZ + this.chunkSize),
-        startDirection: new THREE.Vector3(0, 0, 1),
-        nodes: [],
-        index: this.activeChunks.length,
-      };
-
-      // Generate next chunk
-      this.generateChunkFromSegment(segment);
-      console.log("Created new track chunk at z:", furthestZ + this.chunkSize);
-    }
+      if (!chunk || !chunk.segment) continue;
 
-    // Very simple chunk removal - don't remove any chunks until we have many
-    if (this.activeChunks.length > 10) {
-      // Find chunks too far behind the player
-      for (let i = 0; i < this.activeChunks.length; i++) {
-        const chunk = this.activeChunks[i];
-        if (
-          chunk &&
-          chunk.position &&
-          playerPosition.z - chunk.position.z > 100
-        ) {
-          // Remove this chunk
-          this.scene.remove(chunk);
-          this.activeChunks.splice(i, 1);
-          i--; // Adjust index after removing an element
-        }
+      const chunkEnd = chunk.segment.startDistance + chunk.segment.length;
+      if (playerDistance - chunkEnd > this.chunkSize) {
+        this.removeChunk(i);
       }
     }
   }
@@ -1968,8 +2416,15 @@ class World {
     const chunk = this.activeChunks[index];
     if (!chunk) return;
 
-    // Remove chunk from scene
+    // Remove chunk from scene and from collision queries
     this.scene.remove(chunk);
+    this.unindexChunkObjects(chunk);
+
+    // Free geometry that was built for this chunk only
+    if (chunk.userData.geometries) {
+      chunk.userData.geometries.forEach((geometry) => geometry.dispose());
+      chunk.userData.geometries = [];
+    }
 
     // Remove from active chunks array
     this.activeChunks.splice(index, 1);
@@ -1981,6 +2436,11 @@ class World {
       playerPosition = { x: 0, y: 0, z: 0 };
     }
 
+    // Rows are checked at the current speed when there is no course profile
+    if (gameSpeed) {
+      this.gameSpeed = gameSpeed;
+    }
+
     // Manage chunks - safe call with default value
     this.manageChunks(playerPosition);
 
@@ -1989,8 +2449,32 @@ class World {
       return;
     }
 
-    // Update crystal animations
+    // Update crystal and powerup animations
     this.updateCrystalAnimations(delta);
+    this.updatePowerupAnimations(delta);
+  }
+
+  // Spin and pulse powerups using the template's rotationSpeed and pulseSpeed
+  updatePowerupAnimations(delta) {
+    const time = Date.now();
+
+    for (let i = 0; i < this.activeChunks.length; i++) {
+      const chunk = this.activeChunks[i];
+      if (!chunk || !chunk.powerups) continue;
+
+      for (let j = 0; j < chunk.powerups.length; j++) {
+        const powerup = chunk.powerups[j];
+        if (!powerup || powerup.collected) continue;
+
+        powerup.rotation.y += powerup.userData.rotationSpeed || 0.02;
+
+        const pulse = Math.sin(
+          time * (powerup.userData.pulseSpeed || 0.003) +
+            (powerup.userData.pulseOffset || 0)
+        );
+        powerup.scale.setScalar(1 + pulse * 0.15);
+      }
+    }
   }
 
   // Add method to animate crystals
@@ -2007,6 +2491,7 @@ class World {
           !crystal ||
           !crystal.userData ||
           !crystal.userData.animate ||
+          crystal.userData.magnetized ||
           crystal.collected
         )
           continue;
@@ -2023,29 +2508,50 @@ class World {
           Math.sin(time) * (crystal.userData.floatHeight || 0.1);
 
         // Update crystal Y position for floating effect
-        crystal.position.y = height;
+        crystal.position.y = (crystal.userData.surfaceY || 0) + height;
       }
     }
   }
 
-  reset() {
+  // Reset the world for a new run. Passing a seed switches to a new
+  // course; without one the same course is generated again.
+  reset(seed) {
     console.log("Resetting world...");
 
+    if (seed !== undefined && seed !== null) {
+      const previousSeed = this.seed;
+      this.setSeed(seed);
+
+      // Background scenery comes from the seed too
+      if (this.visuals && this.seed !== previousSeed) {
+        this.clearScenery();
+        this.createScenery();
+      }
+    } else {
+      this.setSeed(this.seed);
+    }
+
     // Clear all active chunks from scene
     if (this.activeChunks) {
       for (let i = this.activeChunks.length - 1; i >= 0; i--) {
-        const chunk = this.activeChunks[i];
-        if (chunk) {
-          this.scene.remove(chunk);
-        }
+        this.removeChunk(i);
       }
     }
 
     // Reset arrays
     this.activeChunks = [];
+    this.spatialIndex.clear();
 
-    // Reset positions
+    // Reset positions and difficulty
     this.nextSegmentPosition = new THREE.Vector3(0, 0, 0);
+    this.currentDifficulty = "easy";
+
+    // Build a fresh track path from the start
+    this.layoutValidator.reset();
+    this.pendingPatternRows = [];
+    this.nextPatternDistance = 0;
+    this.generateInitialTrackPath();
+    this.generateInitialChunks();
 
     console.log("World reset complete");
   }
@@ -2057,71 +2563,134 @@ class World {
       return [];
     }
 
-    // Return empty array if no chunks
-    if (!this.activeChunks || this.activeChunks.length === 0) {
-      return [];
-    }
-
     // Simple array to track collisions
     const collisions = [];
 
-    // Check only nearby chunks for performance
-    for (let i = 0; i < this.activeChunks.length; i++) {
-      const chunk = this.activeChunks[i];
-      if (!chunk) continue;
+    // Only look at objects filed near the hitbox
+    const nearby = this.spatialIndex.query(playerHitbox, this.nearbyObjects);
 
-      // Check obstacles
-      if (chunk.obstacles) {
-        for (let j = 0; j < chunk.obstacles.length; j++) {
-          const obstacle = chunk.obstacles[j];
-          if (!obstacle || !obstacle.position || obstacle.collected) continue;
-
-          // Simple bounding box check
-          const distance = new THREE.Vector3(
-            playerHitbox.min.x + (playerHitbox.max.x - playerHitbox.min.x) / 2,
-            playerHitbox.min.y + (playerHitbox.max.y - playerHitbox.min.y) / 2,
-            playerHitbox.min.z + (playerHitbox.max.z - playerHitbox.min.z) / 2
-          ).distanceTo(obstacle.position);
-
-          // If close enough, consider it a collision
-          if (distance < 1.5) {
-            collisions.push({
-              type: "obstacle",
-              object: obstacle,
-              deadly: obstacle.userData.deadly || true, // Our simple obstacles are always deadly
-            });
-          }
-        }
-      }
+    for (let i = 0; i < nearby.length; i++) {
+      const object = nearby[i];
+      if (object.collected) continue;
 
-      // Check crystals
-      if (chunk.crystals) {
-        for (let j = 0; j < chunk.crystals.length; j++) {
-          const crystal = chunk.crystals[j];
-          if (!crystal || !crystal.position || crystal.collected) continue;
-
-          // Simple bounding box check
-          const distance = new THREE.Vector3(
-            playerHitbox.min.x + (playerHitbox.max.x - playerHitbox.min.x) / 2,
-            playerHitbox.min.y + (playerHitbox.max.y - playerHitbox.min.y) / 2,
-            playerHitbox.min.z + (playerHitbox.max.z - playerHitbox.min.z) / 2
-          ).distanceTo(crystal.position);
-
-          // If close enough, consider it a collection
-          if (distance < 1.2) {
-            collisions.push({
-              type: "crystal",
-              object: crystal,
-              value: crystal.userData.value || 1,
-            });
-          }
-        }
+      // Box check against the object's own shape (all in track space),
+      // so jumping over low barriers and sliding under beams works
+      if (!this.hitboxOverlaps(playerHitbox, object)) continue;
+
+      if (object.userData.type === "obstacle") {
+        collisions.push({
+          type: "obstacle",
+          object: object,
+          deadly: object.userData.deadly !== false,
+        });
+      } else if (object.userData.type === "crystal") {
+        collisions.push({
+          type: "crystal",
+          object: object,
+          value: object.userData.value || 1,
+        });
+      } else if (object.userData.type === "powerup") {
+        collisions.push({
+          type: "powerup",
+          object: object,
+          powerupType: object.userData.powerupType,
+        });
       }
     }
 
     return collisions;
   }
 
+  // Uncollected crystals within a radius of a track-space position
+  findCrystalsNear(position, radius, results = []) {
+    const bounds = {
+      min: { x: position.x - radius, z: position.z - radius },
+      max: { x: position.x + radius, z: position.z + radius },
+    };
+    const nearby = this.spatialIndex.query(bounds, this.nearbyObjects);
+
+    results.length = 0;
+    for (let i = 0; i < nearby.length; i++) {
+      const object = nearby[i];
+      if (object.collected || object.userData.type !== "crystal") continue;
+
+      const trackPosition = object.userData.trackPosition;
+      const dx = trackPosition.x - position.x;
+      const dz = trackPosition.z - position.z;
+      if (dx * dx + dz * dz <= radius * radius) {
+        results.push(object);
+      }
+    }
+
+    return results;
+  }
+
+  // Move a chunk object to a new track-space position. The object leaves the
+  // spatial index, so whoever moves it is responsible for its collisions.
+  moveObjectOnTrack(object, x, y, z) {
+    if (object.userData.spatialKeys) {
+      this.spatialIndex.remove(object);
+    }
+
+    const trackPosition = object.userData.trackPosition;
+    trackPosition.x = x;
+    trackPosition.y = y;
+    trackPosition.z = z;
+
+    // Mesh position is relative to its chunk
+    this.trackToWorld(trackPosition, object.position);
+    if (object.parent) {
+      object.parent.updateWorldMatrix(true, false);
+      object.parent.worldToLocal(object.position);
+    }
+    object.userData.surfaceY = object.position.y - y;
+  }
+
+  // Track-space box around all of an object's collision volumes
+  getCollisionBounds(object) {
+    const origin = object.userData.trackPosition || object.position;
+    const volumes =
+      object.userData.collisionVolumes || this.defaultCollisionVolumes;
+    const bounds = {
+      min: { x: Infinity, y: Infinity, z: Infinity },
+      max: { x: -Infinity, y: -Infinity, z: -Infinity },
+    };
+
+    volumes.forEach((volume) => {
+      ["x", "y", "z"].forEach((axis) => {
+        bounds.min[axis] = Math.min(
+          bounds.min[axis],
+          origin[axis] + volume.min[axis]
+        );
+        bounds.max[axis] = Math.max(
+          bounds.max[axis],
+          origin[axis] + volume.max[axis]
+        );
+      });
+    });
+
+    return bounds;
+  }
+
+  // File a new chunk's obstacles and pickups for collision queries
+  indexChunkObjects(chunk) {
+    [chunk.obstacles, chunk.crystals, chunk.powerups].forEach((objects) => {
+      if (!objects) return;
+
+      objects.forEach((object) => {
+        if (object.collected) return;
+        this.spatialIndex.insert(object, this.getCollisionBounds(object));
+      });
+    });
+  }
+
+  unindexChunkObjects(chunk) {
+    [chunk.obstacles, chunk.crystals, chunk.powerups].forEach((objects) => {
+      if (!objects) return;
+      objects.forEach((object) => this.spatialIndex.remove(object));
+    });
+  }
+
   collectItem(item) {
     if (!item) return;
 
@@ -2130,6 +2699,7 @@ class World {
 
     // Mark the item as collected
     item.collected = true;
+    this.spatialIndex.remove(item);
 
     // Find which chunk this item belongs to
     for (let i = 0; i < this.activeChunks.length; i++) {
@@ -2145,6 +2715,11 @@ class World {
           return item.userData.value || 1; // Return the value of the crystal
         }
       }
+
+      // Check powerups
+      if (chunk.powerups && chunk.powerups.indexOf(item) !== -1) {
+        return 1;
+      }
     }
 
     return 0;
@@ -2213,31 +2788,25 @@ class World {
   }
 
   // Space-themed obstacle creator
-  addSpaceObstacle(chunk, lane, z) {
-    // Create a space-themed deadly obstacle
+  addSpaceObstacle(chunk, lane, z, cell = {}) {
+    // Create a space-themed obstacle
     const obstacle = new THREE.Group();
-
-    // Choose a random type of space obstacle
-    const obstacleType = Math.floor(Math.random() * 3);
+    const heightClass = cell.heightClass || "full";
+
+    // Use the obstacle the pattern asked for, or a random one of the right height
+    let obstacleType = cell.obstacle;
+    if (!obstacleType) {
+      const choices = this.obstacleTypesByHeight[heightClass] ||
+        this.obstacleTypesByHeight.full;
+      obstacleType = choices[Math.floor(this.layoutRandom.next() * choices.length)];
+    }
 
     let obstacleMesh;
+    let collisionVolumes;
+    let hasGlow = true;
 
     switch (obstacleType) {
-      case 0: // Asteroid
-        const asteroidGeometry = new THREE.DodecahedronGeometry(0.8, 1);
-        const asteroidMaterial = new THREE.MeshBasicMaterial({
-          color: 0xff3333, // Red
-        });
-        obstacleMesh = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
-        obstacleMesh.position.y = 0.8;
-        obstacleMesh.rotation.set(
-          Math.random() * Math.PI,
-          Math.random() * Math.PI,
-          Math.random() * Math.PI
-        );
-        break;
-
-      case 1: // Energy barrier
+      case "energyBarrier":
         const barrierGeometry = new THREE.BoxGeometry(2, 1.8, 0.2);
         const barrierMaterial = new THREE.MeshBasicMaterial({
           color: 0xff3333, // Red
@@ -2246,9 +2815,10 @@ class World {
         });
         obstacleMesh = new THREE.Mesh(barrierGeometry, barrierMaterial);
         obstacleMesh.position.y = 0.9; // Mid-height
+        collisionVolumes = [this.createCollisionBox(2.0, 0, 1.8, 0.4)];
         break;
 
-      case 2: // Alien structure
+      case "alienStructure":
         const structureGeometry = new THREE.ConeGeometry(0.8, 1.6, 5);
         const structureMaterial = new THREE.MeshBasicMaterial({
           color: 0xff3333, // Red
@@ -2256,6 +2826,63 @@ class World {
         obstacleMesh = new THREE.Mesh(structureGeometry, structureMaterial);
         obstacleMesh.position.y = 0.8;
         obstacleMesh.rotation.x = Math.PI; // Point up
+        collisionVolumes = [this.createCollisionBox(1.2, 0, 1.6, 1.2)];
+        break;
+
+      case "lowBarrier":
+        // Knee-high energy fence - jump over it
+        const fenceGeometry = new THREE.BoxGeometry(2.2, 0.8, 0.2);
+        const fenceMaterial = new THREE.MeshBasicMaterial({
+          color: 0xffaa33, // Orange
+          transparent: true,
+          opacity: 0.85,
+        });
+        obstacleMesh = new THREE.Mesh(fenceGeometry, fenceMaterial);
+        obstacleMesh.position.y = 0.4;
+        collisionVolumes = [this.createCollisionBox(2.2, 0, 0.8, 0.4)];
+        hasGlow = false;
+        break;
+
+      case "overheadBeam":
+        // Beam between two thin pylons - slide under it
+        obstacleMesh = new THREE.Group();
+        const beamMaterial = new THREE.MeshBasicMaterial({
+          color: 0xff33aa, // Magenta
+          transparent: true,
+          opacity: 0.85,
+        });
+        const beam = new THREE.Mesh(
+          new THREE.BoxGeometry(2.6, 0.5, 0.3),
+          beamMaterial
+        );
+        beam.position.y = 1.6;
+        obstacleMesh.add(beam);
+
+        const pylonGeometry = new THREE.CylinderGeometry(0.06, 0.06, 1.85, 6);
+        [-1.3, 1.3].forEach((x) => {
+          const pylon = new THREE.Mesh(pylonGeometry, beamMaterial);
+          pylon.position.set(x, 0.925, 0);
+          obstacleMesh.add(pylon);
+        });
+        // Only the beam blocks - the pylons sit on the lane edges
+        collisionVolumes = [this.createCollisionBox(2.6, 1.35, 1.85, 0.3)];
+        hasGlow = false;
+        break;
+
+      default: // Asteroid
+        obstacleType = "asteroid";
+        const asteroidGeometry = new THREE.DodecahedronGeometry(0.8, 1);
+        const asteroidMaterial = new THREE.MeshBasicMaterial({
+          color: 0xff3333, // Red
+        });
+        obstacleMesh = new THREE.Mesh(asteroidGeometry, asteroidMaterial);
+        obstacleMesh.position.y = 0.8;
+        obstacleMesh.rotation.set(
+          this.detailRandom.next() * Math.PI,
+          this.detailRandom.next() * Math.PI,
+          this.detailRandom.next() * Math.PI
+        );
+        collisionVolumes = [this.createCollisionBox(1.4, 0.1, 1.5, 1.4)];
         break;
     }
 
@@ -2263,29 +2890,37 @@ class World {
     obstacle.add(obstacleMesh);
 
     // Add a red glow effect
-    const glowGeometry = new THREE.SphereGeometry(1, 16, 16);
-    const glowMaterial = new THREE.MeshBasicMaterial({
-      color: 0xff3333,
-      transparent: true,
-      opacity: 0.3,
-    });
+    if (hasGlow) {
+      const glowGeometry = new THREE.SphereGeometry(1, 16, 16);
+      const glowMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff3333,
+        transparent: true,
+        opacity: 0.3,
+      });
 
-    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
-    obstacle.add(glow);
+      const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+      obstacle.add(glow);
+    }
 
-    // Position obstacle
-    // IMPORTANT: Use the correct formula for 4 lanes
-    const laneWidth = this.trackWidth / 4;
-    const x = lane * laneWidth;
-    obstacle.position.set(x, 0, z);
+    // Tag as obstacle, deadly unless the pattern or its type says otherwise
+    const deadly =
+      cell.deadly !== undefined && cell.deadly !== null
+        ? cell.deadly
+        : this.deadlyObstacleTypes[obstacleType] !== false;
 
-    // Tag as deadly obstacle
     obstacle.userData = {
       type: "obstacle",
-      deadly: true,
+      obstacleType: obstacleType,
+      deadly: deadly,
+      heightClass: heightClass,
+      collisionVolumes: collisionVolumes,
       lane: lane,
     };
 
+    // Position obstacle along the track path
+    // IMPORTANT: Use the correct formula for 4 lanes
+    this.placeOnTrack(chunk, obstacle, lane * this.laneWidth, z);
+
     // Add to chunk
     chunk.add(obstacle);
 
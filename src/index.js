@@ -1,10 +1,15 @@
 const THREE = require("three");
 const { Game } = require("./game/game");
+const { PatternLibrary } = require("./game/patternLibrary");
+const { parseReplay, replayFromFragment } = require("./game/replay");
+const { GhostStore } = require("./game/ghostStore");
+const {
+  MultiplayerManager,
+  generateRoomCode,
+  normalizeRoomCode,
+} = require("./game/multiplayer");
+const { LobbyScreen } = require("./game/lobbyScreen");
 
-// Track time for game loop
-let lastTime = performance.now();
-let physicsAccumulator = 0;
-let frameCount = 0;
 let game;
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -13,13 +18,149 @@ document.addEventListener("DOMContentLoaded", () => {
   const startButton = document.getElementById("start-button");
   const usernameInput = document.getElementById("username-input");
   const tutorialOverlay = document.getElementById("tutorial-overlay");
+  const replayFileInput = document.getElementById("replay-file-input");
+  const ghostSelect = document.getElementById("ghost-select");
+  const createRoomButton = document.getElementById("create-room-button");
+  const joinRoomButton = document.getElementById("join-room-button");
+  const roomCodeInput = document.getElementById("room-code-input");
+  const pageParams = new URLSearchParams(window.location.search);
+
+  // Stored personal bests to race against
+  const ghosts = new GhostStore().load();
+  if (ghostSelect && ghosts.length > 0) {
+    ghosts.forEach((ghost, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = `${ghost.username}: ${ghost.score}`;
+      ghostSelect.appendChild(option);
+    });
+    document.getElementById("ghost-select-container").classList.remove("hidden");
+  }
+
+  // A replay shared as a link, e.g. index.html#replay=...
+  let linkedReplay = null;
+  try {
+    linkedReplay = replayFromFragment(window.location.hash);
+  } catch (error) {
+    console.error("Could not read replay link:", error);
+  }
+  if (linkedReplay) {
+    startButton.textContent = "WATCH REPLAY";
+  }
 
   // Start button handler
   startButton.addEventListener("click", () => {
     // Get username if provided
     const username = usernameInput.value || "Player";
 
-    // Hide loading screen
+    hideLoadingScreen();
+
+    // Ghost picked to race, if any
+    const ghost =
+      ghostSelect && ghostSelect.value !== ""
+        ? ghosts[Number(ghostSelect.value)]
+        : null;
+
+    // Initialize game
+    initGame(username, { replay: linkedReplay, ghost });
+  });
+
+  // Invite links fill in the room code, e.g. ?room=ABC23
+  const linkedRoomCode = normalizeRoomCode(pageParams.get("room"));
+  if (linkedRoomCode && roomCodeInput) {
+    roomCodeInput.value = linkedRoomCode;
+    joinRoomButton.focus();
+  }
+
+  // Private rooms
+  if (createRoomButton) {
+    createRoomButton.addEventListener("click", () => {
+      openLobby(generateRoomCode(), "create");
+    });
+  }
+  if (joinRoomButton) {
+    joinRoomButton.addEventListener("click", () => {
+      const code = normalizeRoomCode(roomCodeInput.value);
+      if (!code) {
+        alert("Enter the 5 character room code");
+        return;
+      }
+      openLobby(code, "join");
+    });
+  }
+
+  function openLobby(roomCode, roomAction) {
+    const serverUrl = getMultiplayerServer(pageParams);
+    if (!serverUrl) {
+      alert("Multiplayer needs a room server (see README)");
+      return;
+    }
+
+    const username = usernameInput.value || "Player";
+    const multiplayer = new MultiplayerManager(username, null, {
+      serverUrl,
+      roomCode,
+      roomAction,
+    });
+
+    const lobby = new LobbyScreen(multiplayer, {
+      onLeave: () => {
+        loadingScreen.style.display = "flex";
+        loadingScreen.style.opacity = "1";
+      },
+      // Joined while a race is on
+      onSpectate: (race) => {
+        lobby.hide();
+        initGame(username, { multiplayer, spectate: race });
+      },
+    });
+
+    // The host started the race
+    multiplayer.on("runStart", (race) => {
+      if (!lobby.visible) return;
+
+      lobby.hide();
+      initGame(username, { multiplayer, race });
+    });
+
+    loadingScreen.style.display = "none";
+    lobby.show();
+    multiplayer.init();
+  }
+
+  // Room server for multiplayer, e.g. ?server=192.168.1.10:9000. By
+  // default the one on the machine serving the page.
+  function getMultiplayerServer(params) {
+    return (
+      params.get("server") ||
+      (window.location.hostname ? `${window.location.hostname}:9000` : null)
+    );
+  }
+
+  // Replay file handler
+  if (replayFileInput) {
+    replayFileInput.addEventListener("change", () => {
+      const file = replayFileInput.files[0];
+      if (!file) return;
+
+      file
+        .text()
+        .then((text) => {
+          const replay = parseReplay(text);
+          hideLoadingScreen();
+          initGame(usernameInput.value || "Player", { replay });
+        })
+        .catch((error) => {
+          console.error("Could not load replay:", error);
+          alert(`Could not load replay: ${error.message}`);
+        })
+        .finally(() => {
+          replayFileInput.value = "";
+        });
+    });
+  }
+
+  function hideLoadingScreen() {
     loadingScreen.style.opacity = "0";
     setTimeout(() => {
       loadingScreen.style.display = "none";
@@ -30,23 +171,78 @@ document.addEventListener("DOMContentLoaded", () => {
       tutorialOverlay.style.display = "none";
       tutorialOverlay.classList.add("hidden");
     }
+  }
 
-    // Initialize game
-    initGame(username);
-  });
+  // options: replay to watch, ghost to race, or multiplayer - the manager
+  // of the room the run was started from - with the race to run or to
+  // spectate
+  function initGame(username, options = {}) {
+    const params = new URLSearchParams(window.location.search);
+
+    // Optional obstacle pattern file, e.g. ?patterns=my-patterns.json to try
+    // out new layouts. Falls back to the built-in patterns if it fails.
+    const patternsUrl = params.get("patterns");
+    if (patternsUrl) {
+      new PatternLibrary()
+        .loadFromUrl(patternsUrl)
+        .then((library) => startGame(username, params, library, options))
+        .catch((error) => {
+          console.error("Could not load obstacle patterns:", error);
+          startGame(username, params, null, options);
+        });
+      return;
+    }
+
+    startGame(username, params, null, options);
+  }
+
+  function startGame(username, params, patternLibrary, options) {
+    const replay = options.replay || null;
+    const ghost = options.ghost || null;
+    const race = options.race || null;
+    const spectate = options.spectate || null;
 
-  function initGame(username) {
     // Create renderer
     const renderer = createRenderer();
 
-    // Initialize the game with the renderer and username
-    game = new Game(renderer, username);
+    // Optional fixed course seed, e.g. ?seed=12345 to replay a run
+    let seed = params.get("seed");
+    if (replay || race || spectate) {
+      seed = (replay || race || spectate).seed;
+    }
+
+    // Initialize the game with the renderer, username and seed. Runs started
+    // from a room keep its connections; others join the open room.
+    game = new Game(renderer, username, null, seed, {
+      multiplayerServer: getMultiplayerServer(params),
+      multiplayerManager: options.multiplayer || null,
+    });
 
-    // Start the game loop
-    lastTime = performance.now();
-    requestAnimationFrame(optimizedGameLoop);
+    // Rebuild the course from the custom patterns
+    if (patternLibrary) {
+      game.world.setPatternLibrary(patternLibrary);
+      game.world.reset(game.seed);
+    }
 
-    console.log("Game started with username:", username);
+    if (race) {
+      // Everyone in the room runs this course from the same moment
+      game.startRace(race);
+    } else if (spectate) {
+      // Watch the race until the next round
+      game.spectateRace(spectate);
+    } else if (replay) {
+      // Watch a recorded run instead of playing
+      game.playReplay(replay);
+    } else if (ghost) {
+      // Race the ghost on its course
+      try {
+        game.startGhost(ghost);
+      } catch (error) {
+        console.error("Could not start ghost:", error);
+      }
+    }
+
+    console.log("Game started with username:", username, "seed:", game.seed);
   }
 
   function createRenderer() {
@@ -66,49 +262,4 @@ document.addEventListener("DOMContentLoaded", () => {
 
     return renderer;
   }
-
-  // Game loop optimization
-  function optimizedGameLoop(time) {
-    // Calculate accurate delta time with maximum value to prevent large jumps
-    const currentTime = performance.now();
-    const deltaTime = Math.min(currentTime - lastTime, 100) / 1000;
-    lastTime = currentTime;
-
-    // Only update physics at a fixed rate
-    physicsAccumulator += deltaTime;
-    const fixedTimeStep = 1 / 60; // 60 updates per second
-
-    while (physicsAccumulator >= fixedTimeStep) {
-      updatePhysics(fixedTimeStep);
-      physicsAccumulator -= fixedTimeStep;
-    }
-
-    // Render at full framerate
-    renderScene();
-
-    // Reset renderer info every few frames to avoid memory growth
-    frameCount++;
-    if (frameCount % 30 === 0) {
-      if (game && game.renderer) {
-        game.renderer.info.reset();
-      }
-    }
-
-    requestAnimationFrame(optimizedGameLoop);
-  }
-
-  // Physics update function
-  function updatePhysics(timeStep) {
-    if (game && game.isRunning && !game.isPaused) {
-      // The game class will handle updating physics with correct player position
-      game.updatePhysics(timeStep);
-    }
-  }
-
-  // Render function
-  function renderScene() {
-    if (game && game.renderer && game.scene && game.camera) {
-      game.renderer.render(game.scene, game.camera);
-    }
-  }
 });
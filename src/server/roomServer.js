@@ -0,0 +1,339 @@
+const http = require("http");
+const crypto = require("crypto");
+const { WebSocketServer } = require("ws");
+
+// A small Node server for multiplayer on a LAN or a self-hosted machine,
+// with no outside services. It does two jobs:
+//
+// - PeerJS signaling: hands out peer IDs and passes the WebRTC offers,
+//   answers and ICE candidates between browsers, the same way the public
+//   PeerJS server does. Game data then flows directly between the players.
+// - Rooms: keeps the peer IDs in each room and tells everyone in a room when
+//   someone joins or leaves, so players find each other.
+//
+// Routes:
+//   GET /peerjs/id                           a new unique peer ID (PeerJS)
+//   WS  /peerjs?key=peerjs&id=...&token=...  PeerJS signaling socket
+//   WS  /rooms?room=...&peer=...&username=...&action=...
+//                                            room membership, see below
+//   GET /rooms/<roomId>                      peers in a room as JSON
+//
+// action=create only opens a new room and action=join only enters one that
+// exists; without an action the room is entered or opened as needed.
+//
+// A room socket gets { type: "room_peers", roomId, peers, hostPeerId } right
+// after it joins (everyone already there), then { type: "peer_joined",
+// peerId, username } and { type: "peer_left", peerId } as the room changes.
+// The first player in a room is its host; when the host leaves, the next
+// one takes over and everyone gets { type: "host_changed", hostPeerId }.
+// Closing the socket leaves the room. A join that can't be done gets
+// room_full, room_not_found or room_exists and is closed.
+
+// Message types a PeerJS client may send to be passed on to another peer
+const RELAYED_TYPES = ["OFFER", "ANSWER", "CANDIDATE", "LEAVE", "EXPIRE"];
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+class RoomServer {
+  constructor(options = {}) {
+    this.key = options.key || "peerjs";
+    this.maxRoomSize = options.maxRoomSize || 8;
+
+    this.clients = new Map(); // peerId -> { socket, token }
+    this.rooms = new Map(); // roomId -> Map of peerId -> { username, socket }
+
+    this.httpServer = http.createServer((request, response) =>
+      this.handleRequest(request, response)
+    );
+    this.socketServer = new WebSocketServer({ noServer: true });
+    this.httpServer.on("upgrade", (request, socket, head) =>
+      this.handleUpgrade(request, socket, head)
+    );
+  }
+
+  // Resolves with the address once the server is listening
+  listen(port = 9000, host = "0.0.0.0") {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off("error", reject);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  close() {
+    this.socketServer.clients.forEach((socket) => socket.terminate());
+    this.clients.clear();
+    this.rooms.clear();
+
+    return new Promise((resolve) => this.socketServer.close(() => resolve()))
+      .then(
+        () => new Promise((resolve) => this.httpServer.close(() => resolve()))
+      );
+  }
+
+  handleRequest(request, response) {
+    // Pages are usually served from another port, so allow any origin
+    response.setHeader("Access-Control-Allow-Origin", "*");
+    response.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+
+    if (request.method === "OPTIONS") {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+
+    const url = new URL(request.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    // PeerJS asks for an ID before opening its socket
+    if (request.method === "GET" && parts[0] === this.key && parts[1] === "id") {
+      response.writeHead(200, { "Content-Type": "text/plain" });
+      response.end(this.generatePeerId());
+      return;
+    }
+
+    if (request.method === "GET" && parts[0] === "rooms" && parts.length === 2) {
+      response.writeHead(200, { "Content-Type": "application/json" });
+      response.end(
+        JSON.stringify({
+          roomId: parts[1],
+          peers: this.getRoomPeers(parts[1]),
+          hostPeerId: this.getHostPeerId(parts[1]),
+        })
+      );
+      return;
+    }
+
+    response.writeHead(404, { "Content-Type": "text/plain" });
+    response.end("Not found");
+  }
+
+  handleUpgrade(request, socket, head) {
+    const url = new URL(request.url, "http://localhost");
+    const route = url.pathname.replace(/\/+$/, "");
+
+    if (route !== "/peerjs" && route !== "/rooms") {
+      socket.destroy();
+      return;
+    }
+
+    this.socketServer.handleUpgrade(request, socket, head, (ws) => {
+      // A bad frame from one client must not take the server down for
+      // everyone. Dropping the socket still runs its close handler.
+      ws.on("error", (error) => {
+        console.warn(`Dropping socket on ${route}: ${error.message}`);
+        ws.terminate();
+      });
+
+      if (route === "/peerjs") {
+        this.handleSignalingSocket(ws, url.searchParams);
+      } else {
+        this.handleRoomSocket(ws, url.searchParams);
+      }
+    });
+  }
+
+  generatePeerId() {
+    let id = crypto.randomUUID();
+    while (this.clients.has(id)) {
+      id = crypto.randomUUID();
+    }
+    return id;
+  }
+
+  // PeerJS signaling
+
+  handleSignalingSocket(ws, params) {
+    const id = params.get("id");
+    const token = params.get("token");
+    const key = params.get("key");
+
+    if (key !== this.key) {
+      this.sendAndClose(ws, {
+        type: "INVALID-KEY",
+        payload: { msg: "Invalid key provided" },
+      });
+      return;
+    }
+
+    if (!id || !token) {
+      this.sendAndClose(ws, {
+        type: "ERROR",
+        payload: { msg: "No id, token, or key supplied to websocket server" },
+      });
+      return;
+    }
+
+    // The same peer coming back (same token) replaces its old socket
+    const existing = this.clients.get(id);
+    if (existing && existing.token !== token) {
+      this.sendAndClose(ws, {
+        type: "ID-TAKEN",
+        payload: { msg: "ID is taken" },
+      });
+      return;
+    }
+    if (existing) {
+      existing.socket.terminate();
+    }
+
+    this.clients.set(id, { socket: ws, token });
+    this.send(ws, { type: "OPEN" });
+
+    ws.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+
+      this.relaySignal(id, message);
+    });
+
+    ws.on("close", () => {
+      const client = this.clients.get(id);
+      if (client && client.socket === ws) {
+        this.clients.delete(id);
+      }
+    });
+  }
+
+  // Pass an offer, answer or candidate on to the peer it is meant for
+  relaySignal(src, message) {
+    if (!message || !RELAYED_TYPES.includes(message.type)) return;
+
+    const destination = this.clients.get(message.dst);
+    if (destination) {
+      this.send(destination.socket, {
+        type: message.type,
+        src,
+        dst: message.dst,
+        payload: message.payload,
+      });
+      return;
+    }
+
+    // Tell the sender the other peer is gone
+    if (message.type !== "LEAVE" && message.type !== "EXPIRE") {
+      const sender = this.clients.get(src);
+      if (sender) {
+        this.send(sender.socket, { type: "EXPIRE", src: message.dst, dst: src });
+      }
+    }
+  }
+
+  // Rooms
+
+  handleRoomSocket(ws, params) {
+    const roomId = params.get("room");
+    const peerId = params.get("peer");
+    const username = (params.get("username") || "Player").slice(0, 32);
+    const action = params.get("action");
+
+    if (!roomId || !ROOM_ID_PATTERN.test(roomId) || !peerId || peerId.length > 64) {
+      this.sendAndClose(ws, { type: "error", message: "Invalid room or peer" });
+      return;
+    }
+
+    let room = this.rooms.get(roomId);
+    if (room && action === "create" && !room.has(peerId)) {
+      this.sendAndClose(ws, { type: "room_exists", roomId });
+      return;
+    }
+    if (!room && action === "join") {
+      this.sendAndClose(ws, { type: "room_not_found", roomId });
+      return;
+    }
+    if (!room) {
+      room = new Map();
+      this.rooms.set(roomId, room);
+    }
+
+    // A peer joining again replaces its old membership quietly
+    const existing = room.get(peerId);
+    if (!existing && room.size >= this.maxRoomSize) {
+      this.sendAndClose(ws, { type: "room_full", roomId });
+      return;
+    }
+
+    room.set(peerId, { username, socket: ws });
+    this.send(ws, {
+      type: "room_peers",
+      roomId,
+      peers: this.getRoomPeers(roomId).filter((peer) => peer.peerId !== peerId),
+      hostPeerId: this.getHostPeerId(roomId),
+    });
+
+    if (existing) {
+      existing.socket.close();
+    } else {
+      this.broadcast(roomId, { type: "peer_joined", peerId, username }, peerId);
+      console.log(`${username} (${peerId}) joined room ${roomId}`);
+    }
+
+    ws.on("close", () => {
+      const member = room.get(peerId);
+      if (!member || member.socket !== ws) return;
+
+      const wasHost = this.getHostPeerId(roomId) === peerId;
+      room.delete(peerId);
+      if (room.size === 0) {
+        this.rooms.delete(roomId);
+      }
+
+      this.broadcast(roomId, { type: "peer_left", peerId }, peerId);
+      if (wasHost && room.size > 0) {
+        this.broadcast(roomId, {
+          type: "host_changed",
+          hostPeerId: this.getHostPeerId(roomId),
+        });
+      }
+      console.log(`${username} (${peerId}) left room ${roomId}`);
+    });
+  }
+
+  // Players are kept in the order they joined, so the host is the first
+  getHostPeerId(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room || room.size === 0) return null;
+
+    return room.keys().next().value;
+  }
+
+  getRoomPeers(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return [];
+
+    return Array.from(room.entries()).map(([peerId, member]) => ({
+      peerId,
+      username: member.username,
+    }));
+  }
+
+  broadcast(roomId, message, exceptPeerId = null) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+
+    room.forEach((member, peerId) => {
+      if (peerId !== exceptPeerId) {
+        this.send(member.socket, message);
+      }
+    });
+  }
+
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendAndClose(ws, message) {
+    this.send(ws, message);
+    ws.close();
+  }
+}
+
+module.exports = { RoomServer };
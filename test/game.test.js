@@ -0,0 +1,198 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const { HeadlessGameUI } = require("../src/game/gameUI");
+const {
+  createHeadlessGame,
+  runSimulation,
+} = require("../src/game/simulation");
+const { addCrystal, firstChunk } = require("./helpers/world");
+
+// Headless UI that remembers what the player would see
+class RecordingUI extends HeadlessGameUI {
+  updateScore(score) {
+    this.score = score;
+  }
+
+  updateCrystals(crystals) {
+    this.crystals = crystals;
+  }
+
+  updateHealth(health) {
+    this.health = health;
+  }
+}
+
+function createGame(seed = 7) {
+  const ui = new RecordingUI();
+  const game = createHeadlessGame({ seed, ui });
+  return { game, ui };
+}
+
+test("score builds up while the player keeps running", () => {
+  const { game, ui } = createGame();
+
+  game.runSteps(60);
+  assert.ok(game.score > 0);
+  assert.strictEqual(ui.score, game.score);
+  assert.ok(game.distanceTraveled > 0);
+});
+
+test("collecting a crystal adds to the count and the HUD", () => {
+  const { game, ui } = createGame();
+  const crystal = addCrystal(game.world, firstChunk(game.world), 0.5, 5);
+
+  game.collectCrystal(crystal);
+  assert.strictEqual(game.crystals, 1);
+  assert.strictEqual(ui.crystals, 1);
+  assert.strictEqual(crystal.collected, true);
+});
+
+test("the crystal multiplier doubles collected crystals", () => {
+  const { game } = createGame();
+  const chunk = firstChunk(game.world);
+
+  game.startEffect("multiplier", 10);
+  game.collectCrystal(addCrystal(game.world, chunk, 0.5, 5));
+  assert.strictEqual(game.crystals, 2);
+
+  game.endEffect("multiplier");
+  game.collectCrystal(addCrystal(game.world, chunk, -0.5, 5));
+  assert.strictEqual(game.crystals, 3);
+});
+
+test("running into a crystal collects it", () => {
+  const { game } = createGame();
+  const player = game.player;
+  const crystal = addCrystal(
+    game.world,
+    firstChunk(game.world),
+    player.targetLane,
+    player.position.z + 3
+  );
+
+  // Settle into the lane, then run on until the crystal is reached
+  for (let i = 0; i < 120 && !crystal.collected; i++) {
+    game.runSteps(1);
+  }
+  assert.strictEqual(crystal.collected, true);
+  assert.ok(game.crystals >= 1);
+});
+
+test("a crystal dropped when the magnet ends can still be collected", () => {
+  const { game } = createGame();
+  const player = game.player;
+  const crystal = addCrystal(
+    game.world,
+    firstChunk(game.world),
+    player.targetLane,
+    player.position.z + 8
+  );
+
+  // One pull, then the magnet runs out with the crystal on its way in
+  game.activateMagnet(1);
+  game.updateMagnet(1 / 60);
+  assert.strictEqual(crystal.userData.magnetized, true);
+  game.deactivateMagnet();
+  assert.ok(!crystal.collected);
+
+  for (let i = 0; i < 120 && !crystal.collected; i++) {
+    game.runSteps(1);
+  }
+  assert.strictEqual(crystal.collected, true);
+});
+
+test("stacked magnets last no longer than the registry allows", () => {
+  const { game } = createGame();
+
+  game.activateMagnet(20);
+  game.activateMagnet(20);
+  assert.strictEqual(game.magnetTimer, 24);
+});
+
+test("a powerup that doesn't fit says so once", () => {
+  const { game, ui } = createGame();
+  const player = game.player;
+  while (player.collectPowerup("shield")) {
+    // Fill every slot
+  }
+
+  const messages = [];
+  ui.showMessage = (text) => messages.push(text);
+
+  const powerup = game.world.addPowerup(
+    firstChunk(game.world),
+    player.targetLane,
+    player.position.z + 3,
+    "magnet"
+  );
+  game.world.spatialIndex.insert(powerup, game.world.getCollisionBounds(powerup));
+
+  game.runSteps(60);
+  assert.deepStrictEqual(
+    messages.filter((text) => text === "Powerup slots full!"),
+    ["Powerup slots full!"]
+  );
+  assert.ok(!powerup.collected);
+});
+
+test("time slow doesn't make the magnet or a boost last longer", () => {
+  const { game } = createGame();
+
+  game.startEffect("slowmo", 10);
+  assert.ok(game.timeScale < 1);
+  game.activateMagnet(1);
+  game.activateSpeedBoost(1);
+
+  // A second of real time is 60 steps, however slow they are
+  game.runSteps(59);
+  assert.strictEqual(game.magnetActive, true);
+  assert.notStrictEqual(game.speedBoostTimer, null);
+
+  game.runSteps(2);
+  assert.strictEqual(game.magnetActive, false);
+  assert.strictEqual(game.speedBoostTimer, null);
+});
+
+test("non-deadly hits cost a heart, deadly ones end the run", () => {
+  const { game, ui } = createGame();
+  const obstacle = (type) => ({ userData: { obstacleType: type } });
+
+  game.handleObstacleHit({ object: obstacle("lowBarrier"), deadly: false });
+  assert.strictEqual(game.player.health, 2);
+  assert.strictEqual(ui.health, 2);
+  assert.strictEqual(game.isGameOver, false);
+
+  game.handleObstacleHit({ object: obstacle("asteroid"), deadly: true });
+  assert.strictEqual(game.isGameOver, true);
+  assert.strictEqual(game.deathCause, "asteroid");
+
+  // Nothing moves after game over
+  const score = game.score;
+  game.runSteps(10);
+  assert.strictEqual(game.score, score);
+});
+
+test("restart resets score, crystals and the run", () => {
+  const { game, ui } = createGame();
+
+  game.runSteps(120);
+  game.increaseCrystals(5);
+  game.endGame();
+  game.restart();
+
+  assert.strictEqual(game.score, 0);
+  assert.strictEqual(game.crystals, 0);
+  assert.strictEqual(game.distanceTraveled, 0);
+  assert.strictEqual(game.isGameOver, false);
+  assert.strictEqual(game.player.health, 3);
+  assert.strictEqual(ui.health, 3);
+});
+
+test("headless runs with the same seed play out the same", () => {
+  const first = runSimulation({ seed: 3, maxSeconds: 30 });
+  const second = runSimulation({ seed: 3, maxSeconds: 30 });
+
+  assert.deepStrictEqual(second, first);
+  assert.ok(first.distance > 0);
+});
@@ -0,0 +1,82 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const { HeadlessGameUI } = require("../src/game/gameUI");
+const { GhostStore } = require("../src/game/ghostStore");
+const {
+  createHeadlessGame,
+  runSimulation,
+} = require("../src/game/simulation");
+
+// Headless UI that remembers the ghost indicator
+class GhostUI extends HeadlessGameUI {
+  updateGhostDistance(text, gap) {
+    this.ghostText = text;
+    this.ghostGap = gap;
+  }
+}
+
+test("the ghost store keeps each runner's best run", () => {
+  localStorage.clear();
+  const store = new GhostStore();
+
+  assert.strictEqual(store.saveRun({ username: "Ana", score: 100, seed: 1 }), true);
+  assert.strictEqual(store.saveRun({ username: "Ana", score: 50, seed: 2 }), false);
+  assert.strictEqual(store.saveRun({ username: "Ben", score: 300, seed: 3 }), true);
+  assert.strictEqual(store.saveRun({ username: "Ana", score: 200, seed: 4 }), true);
+
+  assert.deepStrictEqual(
+    store.load().map((ghost) => [ghost.username, ghost.score]),
+    [
+      ["Ben", 300],
+      ["Ana", 200],
+    ]
+  );
+  assert.strictEqual(store.getBest("Ana").seed, 4);
+  assert.strictEqual(store.getBest("Cy"), null);
+});
+
+test("a finished run is saved as a ghost when it is a personal best", () => {
+  localStorage.clear();
+  const store = new GhostStore();
+  const game = createHeadlessGame({ seed: 5, username: "Ana" });
+  game.ghostStore = store;
+
+  runSimulation({ game, maxSeconds: 60, controller: null });
+  assert.strictEqual(game.isGameOver, true);
+  assert.strictEqual(store.getBest("Ana").score, game.score);
+  assert.strictEqual(store.getBest("Ana").inputs, game.lastReplay.inputs);
+});
+
+test("the ghost runs the same course in step with the player", () => {
+  const recorded = runSimulation({ seed: 4, maxSeconds: 20 });
+  const ui = new GhostUI();
+  const game = createHeadlessGame({ seed: 1, ui });
+
+  game.startGhost(recorded.replay);
+  assert.strictEqual(game.seed, recorded.seed);
+
+  // No input from the player while the ghost plays its run back
+  game.runSteps(120);
+  assert.strictEqual(game.ghost.game.loop.tick, game.loop.tick);
+  assert.strictEqual(game.ghost.getDistance(), game.distanceTraveled);
+  assert.strictEqual(ui.ghostText, "+0m ahead of ghost");
+});
+
+test("the indicator shows when the ghost has crashed behind the player", () => {
+  // A run with no input ends at the first deadly obstacle
+  const crashed = runSimulation({ seed: 4, maxSeconds: 60, controller: null });
+  const ui = new GhostUI();
+  const game = createHeadlessGame({ seed: 4, ui });
+
+  game.startGhost(crashed.replay);
+  runSimulation({ game, maxSeconds: crashed.seconds + 5 });
+
+  assert.strictEqual(game.ghost.hasCrashed(), true);
+  assert.ok(ui.ghostGap > 0);
+  assert.match(ui.ghostText, /^Ghost crashed at \d+m$/);
+
+  game.stopGhost();
+  assert.strictEqual(game.ghost, null);
+  assert.strictEqual(ui.ghostText, null);
+});
@@ -0,0 +1,33 @@
+// Shared setup for the test suite. Require it first in every test file.
+//
+// Three.js itself runs fine in Node as long as nothing is rendered, so the
+// game modules are used as they are; only browser storage is replaced and
+// the game's console chatter is silenced.
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+global.localStorage = new MemoryStorage();
+
+console.log = () => {};
+console.warn = () => {};
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,35 @@
+const THREE = require("three");
+const { World } = require("../../src/game/world");
+
+function createWorld(seed = 1234) {
+  return new World(new THREE.Scene(), seed);
+}
+
+// First active chunk that has track under it
+function firstChunk(world) {
+  return world.activeChunks.find((chunk) => chunk && chunk.segment);
+}
+
+// Add an obstacle to a chunk and file it for collision queries, as
+// indexChunkObjects does for generated ones
+function addObstacle(world, chunk, lane, z, cell) {
+  const obstacle = world.addSpaceObstacle(chunk, lane, z, cell);
+  world.spatialIndex.insert(obstacle, world.getCollisionBounds(obstacle));
+  return obstacle;
+}
+
+function addCrystal(world, chunk, lane, z) {
+  const crystal = world.addCrystal(chunk, lane, z);
+  world.spatialIndex.insert(crystal, world.getCollisionBounds(crystal));
+  return crystal;
+}
+
+// Player-sized hitbox at a track position
+function hitboxAt(x, y, z, width = 0.8, height = 1.8, depth = 0.8) {
+  return {
+    min: { x: x - width / 2, y: y, z: z - depth / 2 },
+    max: { x: x + width / 2, y: y + height, z: z + depth / 2 },
+  };
+}
+
+module.exports = { createWorld, firstChunk, addObstacle, addCrystal, hitboxAt };
@@ -0,0 +1,407 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("three");
+const {
+  MultiplayerManager,
+  generateRoomCode,
+  normalizeRoomCode,
+} = require("../src/game/multiplayer");
+const {
+  PROTOCOL_VERSION,
+  validatePeerMessage,
+} = require("../src/game/peerProtocol");
+const { SnapshotBuffer } = require("../src/game/snapshotBuffer");
+const { MAX_VERIFIED_STEPS } = require("../src/game/runVerifier");
+const { createWorld } = require("./helpers/world");
+
+const STORAGE_KEY = "cosmic_runner_leaderboard";
+
+function createManager() {
+  return new MultiplayerManager("Tester", new THREE.Scene());
+}
+
+// The handshake every peer starts with
+function greet(manager, peerId, protocol = PROTOCOL_VERSION) {
+  manager.handlePeerData(peerId, { type: "hello", protocol });
+}
+
+test.beforeEach(() => {
+  localStorage.clear();
+});
+
+test("saveLocalScore stores the score in localStorage", () => {
+  const manager = createManager();
+
+  manager.saveLocalScore("Tester", 1200, 340);
+
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  assert.strictEqual(saved.length, 1);
+  assert.strictEqual(saved[0].username, "Tester");
+  assert.strictEqual(saved[0].score, 1200);
+  assert.strictEqual(saved[0].distance, 340);
+  assert.deepStrictEqual(manager.offlineLeaderboard, saved);
+});
+
+test("saveLocalScore keeps the ten best scores, best first", () => {
+  const manager = createManager();
+
+  for (let i = 1; i <= 12; i++) {
+    manager.saveLocalScore(`Runner ${i}`, i * 100, i * 10);
+  }
+
+  const saved = manager.loadLocalLeaderboard();
+  assert.strictEqual(saved.length, 10);
+  assert.strictEqual(saved[0].score, 1200);
+  assert.strictEqual(saved[9].score, 300);
+  for (let i = 1; i < saved.length; i++) {
+    assert.ok(saved[i - 1].score >= saved[i].score);
+  }
+});
+
+test("a new manager picks up the saved leaderboard", () => {
+  createManager().saveLocalScore("Tester", 500, 50);
+
+  const manager = createManager();
+  assert.strictEqual(manager.offlineLeaderboard.length, 1);
+  assert.strictEqual(manager.offlineLeaderboard[0].score, 500);
+});
+
+test("a corrupt saved leaderboard is ignored", () => {
+  localStorage.setItem(STORAGE_KEY, "{not json");
+
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    assert.deepStrictEqual(createManager().loadLocalLeaderboard(), []);
+  } finally {
+    console.error = errors;
+  }
+});
+
+test("room codes are short, readable and typed in any case", () => {
+  const code = generateRoomCode();
+  assert.match(code, /^[A-Z2-9]{5}$/);
+  assert.strictEqual(normalizeRoomCode(code.toLowerCase()), code);
+  assert.strictEqual(normalizeRoomCode(" ab-c23 "), "ABC23");
+  assert.strictEqual(normalizeRoomCode("ABCD"), null);
+  assert.strictEqual(normalizeRoomCode("ABC10"), null); // 1 and 0 aren't used
+});
+
+// Host "peer-a" with one other player in the room, connected directly
+function createLobby() {
+  const manager = createManager();
+  manager.peerId = "peer-a";
+  manager.hostPeerId = "peer-a";
+  manager.roomMembers = { "peer-b": "Ben" };
+
+  const sent = [];
+  manager.connections = [
+    {
+      peer: "peer-b",
+      open: true,
+      send: (message) => sent.push(message),
+      close() {
+        this.open = false;
+      },
+    },
+  ];
+  greet(manager, "peer-b");
+  manager.handlePeerData("peer-b", { type: "player_info", username: "Ben" });
+
+  return { manager, sent };
+}
+
+test("the host can start once everyone in the room is ready", () => {
+  const { manager, sent } = createLobby();
+  const starts = [];
+  manager.on("runStart", (message) => starts.push(message));
+
+  manager.setReady(true);
+  assert.deepStrictEqual(sent.pop(), { type: "lobby_ready", ready: true });
+  assert.strictEqual(manager.canStartRun(), false);
+  assert.strictEqual(manager.startRun(), false);
+
+  manager.handlePeerData("peer-b", { type: "lobby_ready", ready: true });
+  assert.deepStrictEqual(
+    manager.getLobbyPlayers().map((player) => [player.username, player.ready, player.isHost]),
+    [
+      ["Tester", true, true],
+      ["Ben", true, false],
+    ]
+  );
+  assert.strictEqual(manager.canStartRun(), true);
+
+  assert.strictEqual(manager.startRun(), true);
+  assert.strictEqual(sent.pop().type, "lobby_start");
+  assert.strictEqual(starts.length, 1);
+});
+
+test("only the host can start the run", () => {
+  const { manager } = createLobby();
+  const starts = [];
+  manager.on("runStart", (message) => starts.push(message));
+
+  // Not the host
+  manager.hostPeerId = "peer-b";
+  manager.setReady(true);
+  manager.handlePeerData("peer-b", { type: "lobby_ready", ready: true });
+  assert.strictEqual(manager.startRun(), false);
+
+  // A start from someone who isn't the host is ignored
+  const start = { type: "lobby_start", seed: 7, startsAt: 1000, participants: [] };
+  manager.roomMembers["peer-c"] = "Cy";
+  greet(manager, "peer-c");
+  manager.handlePeerData("peer-c", start);
+  assert.strictEqual(starts.length, 0);
+
+  manager.handlePeerData("peer-b", start);
+  assert.strictEqual(starts.length, 1);
+});
+
+test("the host's clock is matched from the quickest ping", () => {
+  const manager = createManager();
+
+  // 100 ms round trip; the host read 5050 halfway through
+  manager.handleClockPong({ sent: 1000, time: 5050 }, 1100);
+  assert.strictEqual(manager.hostClockOffset, 4000);
+  assert.strictEqual(manager.hostTimeToLocal(9000), 5000);
+
+  // A slower ping is less exact and is ignored
+  manager.handleClockPong({ sent: 2000, time: 9000 }, 2500);
+  assert.strictEqual(manager.hostClockOffset, 4000);
+});
+
+test("remote runners are drawn at their lane and distance on the track", () => {
+  const world = createWorld(5);
+  const manager = createManager();
+  manager.setScene(new THREE.Scene(), world);
+  manager.remotePlayers["peer-b"] = { username: "Ben", peerId: "peer-b" };
+  greet(manager, "peer-b");
+
+  const position = { x: -3, y: 0.5, z: 240 };
+  manager.handlePeerData("peer-b", {
+    type: "player_update",
+    position,
+    rotation: { x: 0, y: 0, z: 0 },
+    state: { lane: -1 },
+    score: 10,
+    crystals: 0,
+    distance: 240,
+  });
+
+  const mesh = manager.playerMeshes["peer-b"];
+  const expected = world.trackToWorld(position);
+  assert.ok(mesh.position.distanceTo(expected) < 1e-6);
+  assert.strictEqual(manager.remotePlayers["peer-b"].distance, 240);
+});
+
+test("remote runners are drawn between snapshots a moment in the past", () => {
+  const buffer = new SnapshotBuffer({ interpolationDelay: 100 });
+
+  // The sender's clock is 5000 ms behind ours, 20 ms on the wire
+  buffer.push(1000, { x: 0, y: 0, z: 100 }, {}, 6020);
+  buffer.push(1050, { x: -3, y: 1, z: 110 }, { isJumping: true }, 6090);
+  assert.strictEqual(buffer.push(1030, { x: 9, y: 9, z: 9 }, {}, 6095), false);
+
+  // 6145 on our clock is 1025 on theirs, halfway between the two
+  const sample = buffer.sample(6145);
+  assert.deepStrictEqual(sample.position, { x: -1.5, y: 0.5, z: 105 });
+  assert.deepStrictEqual(sample.state, {});
+  assert.strictEqual(sample.extrapolated, false);
+});
+
+test("remote runners keep running for a while when updates stop", () => {
+  const buffer = new SnapshotBuffer({
+    interpolationDelay: 100,
+    maxExtrapolation: 200,
+  });
+  buffer.push(0, { x: 3, y: 0, z: 0 }, {}, 0);
+  buffer.push(100, { x: 3, y: 0, z: 20 }, {}, 100);
+
+  // 100 ms past the newest snapshot at 0.2 m/ms
+  let sample = buffer.sample(300);
+  assert.strictEqual(sample.extrapolated, true);
+  assert.deepStrictEqual(sample.position, { x: 3, y: 0, z: 40 });
+
+  // Then held in place
+  assert.strictEqual(buffer.sample(5000).position.z, 60);
+
+  // A runner that crashed stays where they fell
+  buffer.push(200, { x: 3, y: 0, z: 35 }, { isDead: true }, 200);
+  sample = buffer.sample(1000);
+  assert.strictEqual(sample.position.z, 35);
+  assert.strictEqual(sample.state.isDead, true);
+});
+
+test("remote runners move smoothly between updates and are posed by state", () => {
+  const world = createWorld(5);
+  const manager = createManager();
+  manager.setScene(new THREE.Scene(), world);
+  manager.remotePlayers["peer-b"] = { username: "Ben", peerId: "peer-b" };
+  greet(manager, "peer-b");
+
+  const send = (time, z, state) =>
+    manager.handlePeerData("peer-b", {
+      type: "player_update",
+      time,
+      position: { x: 3, y: 0, z },
+      rotation: { x: 0, y: 0, z: 0 },
+      state,
+      score: 0,
+      crystals: 0,
+      distance: z,
+    });
+  send(1000, 100, {});
+  send(1050, 110, { isSliding: true });
+
+  // Our time for 1025 on the sender's clock, once drawn 100 ms back
+  const snapshots = manager.remotePlayers["peer-b"].snapshots;
+  const now = snapshots.clockOffset + 1025 + snapshots.interpolationDelay;
+
+  manager.updateRemotePlayers(now);
+  const mesh = manager.playerMeshes["peer-b"];
+  const expected = world.trackToWorld({ x: 3, y: 0, z: 105 });
+  assert.ok(mesh.position.distanceTo(expected) < 1e-6);
+  assert.strictEqual(mesh.userData.limbs.pose.rotation.x, 0);
+
+  // Caught up with the slide
+  manager.updateRemotePlayers(now + 50);
+  assert.ok(mesh.userData.limbs.pose.rotation.x > 0);
+});
+
+test("peer messages are checked before they are used", () => {
+  const clean = validatePeerMessage({
+    type: "player_info",
+    username: "Ben\u0000 the Bold",
+    ready: 1,
+    extra: "dropped",
+  });
+  assert.deepStrictEqual(clean, {
+    type: "player_info",
+    username: "Ben the Bold",
+    score: 0,
+    crystals: 0,
+    ready: true,
+  });
+
+  const update = {
+    type: "player_update",
+    position: { x: 1, y: 0, z: 50 },
+    state: { lane: 1 },
+    distance: 50,
+  };
+  assert.strictEqual(validatePeerMessage(update).position.z, 50);
+  assert.strictEqual(
+    validatePeerMessage({ type: "race_finished", inputs: "", steps: 600 }).steps,
+    600
+  );
+
+  // What the host sends to start a race goes through as it is
+  const { manager, sent } = createLobby();
+  manager.setReady(true);
+  manager.handlePeerData("peer-b", { type: "lobby_ready", ready: true });
+  manager.startRun();
+  const start = sent.pop();
+  assert.deepStrictEqual(validatePeerMessage(start), start);
+
+  const bad = [
+    { ...update, position: { x: NaN, y: 0, z: 50 } },
+    { ...update, position: { x: 1, y: 0, z: Infinity } },
+    { ...update, position: { x: 500, y: 0, z: 50 } },
+    { ...update, position: null },
+    { ...update, score: -5 },
+    { ...update, state: { lane: "left" } },
+    { type: "player_info", username: { name: "Ben" } },
+    { type: "lobby_start", seed: 1, startsAt: 0, participants: "everyone" },
+    { type: "clock_pong", sent: 1 },
+    { type: "race_finished", inputs: "", steps: 12.5 },
+    { type: "race_finished", inputs: "", steps: MAX_VERIFIED_STEPS + 1 },
+  ];
+  bad.forEach((message) => {
+    assert.throws(() => validatePeerMessage(message), undefined, JSON.stringify(message));
+  });
+});
+
+test("bad, early and unknown messages are dropped and counted", () => {
+  const world = createWorld(5);
+  const manager = createManager();
+  manager.setScene(new THREE.Scene(), world);
+  manager.remotePlayers["peer-b"] = { username: "Ben", peerId: "peer-b" };
+
+  // Nothing is taken before the handshake
+  manager.handlePeerData("peer-b", { type: "lobby_ready", ready: true });
+  assert.strictEqual(manager.remotePlayers["peer-b"].ready, undefined);
+  assert.strictEqual(manager.protocolStats.unverified, 1);
+
+  greet(manager, "peer-b");
+  manager.handlePeerData("peer-b", {
+    type: "player_update",
+    position: { x: NaN, y: 0, z: 10 },
+  });
+  assert.strictEqual(manager.protocolStats.invalid, 1);
+  assert.strictEqual(manager.playerMeshes["peer-b"], undefined);
+
+  manager.handlePeerData("peer-b", { type: "teleport" });
+  manager.handlePeerData("peer-b", { type: "teleport" });
+  manager.handlePeerData("peer-b", "not even an object");
+  manager.handlePeerData("peer-b", null);
+  assert.strictEqual(manager.protocolStats.unknown, 4);
+  assert.strictEqual(manager.protocolStats.unknownTypes.teleport, 2);
+
+  manager.handlePeerData("peer-b", { type: "lobby_ready", ready: true });
+  assert.strictEqual(manager.remotePlayers["peer-b"].ready, true);
+});
+
+test("players on another protocol version are turned away", () => {
+  const { manager } = createLobby();
+  const statuses = [];
+  manager.on("statusUpdate", (status) => statuses.push(status));
+
+  greet(manager, "peer-b", PROTOCOL_VERSION + 1);
+  assert.strictEqual(manager.remotePlayers["peer-b"], undefined);
+  assert.strictEqual(manager.connections.length, 0);
+  assert.match(statuses[0], /Ben is on a different version/);
+
+  const ben = manager.getLobbyPlayers()[1];
+  assert.strictEqual(ben.incompatible, true);
+  assert.strictEqual(ben.connected, false);
+
+  // Anything else they send is ignored
+  manager.handlePeerData("peer-b", { type: "player_info", username: "Ben" });
+  assert.strictEqual(manager.remotePlayers["peer-b"], undefined);
+});
+
+test("the leaderboard goes by the host's verdicts on race scores", () => {
+  const { manager } = createLobby();
+  manager.hostPeerId = "peer-b";
+  manager.localScore = 500;
+  manager.remotePlayers["peer-b"].score = 800;
+
+  greet(manager, "peer-c");
+  manager.handlePeerData("peer-c", { type: "player_info", username: "Cy", score: 90000 });
+
+  // Only the host's verdicts count
+  const verdict = { type: "race_verdict", peerId: "peer-c", verified: false };
+  manager.handlePeerData("peer-c", verdict);
+  manager.updateLeaderboard();
+  assert.strictEqual(manager.leaderboard[0].username, "Cy");
+
+  manager.handlePeerData("peer-b", verdict);
+  manager.handlePeerData("peer-b", {
+    type: "race_verdict",
+    peerId: "peer-b",
+    verified: true,
+    score: 700,
+    distance: 300,
+  });
+  assert.deepStrictEqual(
+    manager.leaderboard
+      .filter((entry) => entry.peerId)
+      .map((entry) => [entry.username, entry.score]),
+    [
+      ["Ben", 700],
+      ["Tester", 500],
+    ]
+  );
+});
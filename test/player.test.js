@@ -0,0 +1,171 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("three");
+const { Player } = require("../src/game/player");
+const { LayoutValidator } = require("../src/game/layoutValidator");
+
+const STEP = 1 / 60;
+
+function createPlayer() {
+  return new Player(new THREE.Scene(), { effects: false });
+}
+
+function runSteps(player, count) {
+  for (let i = 0; i < count; i++) {
+    player.update(STEP);
+  }
+}
+
+test("player starts in the third lane and settles on it", () => {
+  const player = createPlayer();
+  assert.strictEqual(player.targetLane, 0.5);
+
+  runSteps(player, 60);
+  assert.ok(Math.abs(player.position.x - 0.5 * player.laneWidth) < 0.01);
+});
+
+test("lane changes move one lane at a time and stop at the edges", () => {
+  const player = createPlayer();
+
+  player.moveLeft();
+  assert.strictEqual(player.targetLane, -0.5);
+  player.moveLeft();
+  player.moveLeft();
+  player.moveLeft();
+  assert.strictEqual(player.targetLane, -1.5);
+
+  runSteps(player, 60);
+  assert.ok(Math.abs(player.position.x - -1.5 * player.laneWidth) < 0.01);
+
+  player.moveRight();
+  player.moveRight();
+  player.moveRight();
+  player.moveRight();
+  assert.strictEqual(player.targetLane, 1.5);
+});
+
+test("lane changes are blocked while stumbling or dead", () => {
+  const player = createPlayer();
+
+  player.hit();
+  assert.strictEqual(player.animationState.stumbling, true);
+  player.moveLeft();
+  assert.strictEqual(player.targetLane, 0.5);
+
+  // Stumbling wears off after its duration of simulation time
+  runSteps(player, Math.ceil(player.stumbleDuration / 1000 / STEP) + 1);
+  player.moveLeft();
+  assert.strictEqual(player.targetLane, -0.5);
+
+  player.die();
+  player.moveRight();
+  assert.strictEqual(player.targetLane, -0.5);
+});
+
+test("a jump lasts as long as the layout validator expects", () => {
+  const player = createPlayer();
+  const validator = new LayoutValidator(player.getMovementProfile());
+  const expectedSteps = Math.round(
+    validator.computeJumpTiming(0).airtime / STEP
+  );
+
+  player.jump();
+  assert.strictEqual(player.isJumping, true);
+
+  let steps = 0;
+  let peak = 0;
+  while (player.isJumping && steps < 600) {
+    player.update(STEP);
+    peak = Math.max(peak, player.position.y);
+    steps++;
+  }
+
+  assert.strictEqual(player.isJumping, false);
+  assert.strictEqual(player.position.y, 0);
+  assert.ok(Math.abs(steps - expectedSteps) <= 1, `landed after ${steps} steps`);
+  assert.ok(peak > validator.lowObstacleHeight, "clears a low obstacle");
+});
+
+test("jumping again in mid-air does nothing", () => {
+  const player = createPlayer();
+
+  player.jump();
+  runSteps(player, 5);
+  const velocity = player.velocity.y;
+  player.jump();
+  assert.strictEqual(player.velocity.y, velocity);
+});
+
+test("a slide ends after slideDuration of simulation time", () => {
+  const player = createPlayer();
+  const slideSteps = Math.round(player.slideDuration / 1000 / STEP);
+
+  player.slide();
+  assert.strictEqual(player.isSliding, true);
+
+  runSteps(player, slideSteps - 1);
+  assert.strictEqual(player.isSliding, true);
+
+  runSteps(player, 2);
+  assert.strictEqual(player.isSliding, false);
+});
+
+test("slowed time stretches a slide over more steps", () => {
+  const player = createPlayer();
+  const slideSteps = Math.round(player.slideDuration / 1000 / STEP);
+
+  player.slide();
+  for (let i = 0; i < slideSteps + 1; i++) {
+    player.update(STEP * 0.5);
+  }
+  assert.strictEqual(player.isSliding, true);
+});
+
+test("getHitbox is a standing box around the player", () => {
+  const player = createPlayer();
+  player.position = { x: 1.5, y: 0, z: 10 };
+
+  const hitbox = player.getHitbox();
+  assert.strictEqual(hitbox.height, 1.8);
+  assert.ok(Math.abs(hitbox.min.x - 1.1) < 1e-9);
+  assert.ok(Math.abs(hitbox.max.x - 1.9) < 1e-9);
+  assert.strictEqual(hitbox.min.y, 0);
+  assert.strictEqual(hitbox.max.y, 1.8);
+  assert.strictEqual(hitbox.min.z, 9.6);
+  assert.strictEqual(hitbox.max.z, 10.4);
+});
+
+test("getHitbox is lower and longer while sliding and follows jumps", () => {
+  const player = createPlayer();
+
+  player.slide();
+  const sliding = player.getHitbox();
+  assert.strictEqual(sliding.height, 0.9);
+  assert.strictEqual(sliding.depth, 1.2);
+  assert.ok(sliding.max.y < 1, "fits under an overhead beam");
+
+  const jumper = createPlayer();
+  jumper.jump();
+  runSteps(jumper, 10);
+  assert.strictEqual(jumper.getHitbox().min.y, jumper.position.y);
+});
+
+test("hits cost health, with invulnerability in between", () => {
+  const player = createPlayer();
+
+  assert.strictEqual(player.hit(), false);
+  assert.strictEqual(player.health, 2);
+
+  // Still invulnerable
+  assert.strictEqual(player.hit(), false);
+  assert.strictEqual(player.health, 2);
+
+  runSteps(player, Math.ceil(player.invulnerabilityTime / 1000 / STEP) + 1);
+  player.hit();
+  assert.strictEqual(player.health, 1);
+
+  runSteps(player, Math.ceil(player.invulnerabilityTime / 1000 / STEP) + 1);
+  assert.strictEqual(player.hit(), true);
+  assert.strictEqual(player.isDead, true);
+});
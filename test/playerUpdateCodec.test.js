@@ -0,0 +1,140 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("three");
+const { MultiplayerManager } = require("../src/game/multiplayer");
+const { PROTOCOL_VERSION } = require("../src/game/peerProtocol");
+const {
+  PlayerUpdateEncoder,
+  PlayerUpdateDecoder,
+} = require("../src/game/playerUpdateCodec");
+
+function createUpdate(step) {
+  return {
+    time: 1700000000000 + step * 50,
+    position: { x: -1.5 + step * 0.01, y: step % 2 ? 1.234 : 0, z: 100 + step * 1.37 },
+    rotation: { x: 0, y: Math.PI, z: -0.1 },
+    state: { lane: 0.5, isJumping: step % 2 === 1, isSliding: false, isDead: false },
+    score: 1000 + step * 7,
+    crystals: 10 + step,
+    distance: 100 + step * 1.37,
+  };
+}
+
+function assertClose(actual, expected, tolerance, name) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${name}: ${actual} is not close to ${expected}`
+  );
+}
+
+test("player updates survive packing and unpacking", () => {
+  const encoder = new PlayerUpdateEncoder();
+  const decoder = new PlayerUpdateDecoder();
+
+  for (let step = 0; step < 10; step++) {
+    const update = createUpdate(step);
+    const packed = encoder.encode(update);
+    assert.strictEqual(packed.byteLength, step === 0 ? 36 : 23);
+
+    const message = decoder.decode(packed);
+    assert.strictEqual(message.type, "player_update");
+    assert.strictEqual(message.time, update.time);
+    assert.strictEqual(message.score, update.score);
+    assert.strictEqual(message.crystals, update.crystals);
+    assert.deepStrictEqual(message.state, update.state);
+    assertClose(message.distance, update.distance, 0.005, "distance");
+    ["x", "y"].forEach((axis) => {
+      assertClose(message.position[axis], update.position[axis], 0.0005, axis);
+    });
+    assertClose(message.position.z, update.position.z, 0.005, "z");
+    ["x", "y", "z"].forEach((axis) => {
+      assertClose(message.rotation[axis], update.rotation[axis], 0.00025, "rotation");
+    });
+  }
+
+  // Against the JSON it replaces
+  const json = JSON.stringify({ type: "player_update", ...createUpdate(3) });
+  assert.ok(json.length > 200);
+});
+
+test("changes that don't fit are sent as keyframes", () => {
+  const encoder = new PlayerUpdateEncoder(5);
+  const decoder = new PlayerUpdateDecoder();
+  const sizes = [];
+  const send = (update) => {
+    const packed = encoder.encode(update);
+    sizes.push(packed.byteLength);
+    return decoder.decode(packed);
+  };
+
+  for (let step = 0; step < 7; step++) {
+    send(createUpdate(step));
+  }
+  // Every keyframeInterval updates
+  assert.deepStrictEqual(sizes, [36, 23, 23, 23, 23, 23, 36]);
+
+  // A restart takes the score back down
+  assert.strictEqual(send({ ...createUpdate(7), score: 0 }).score, 0);
+  // A long pause
+  const late = { ...createUpdate(8), time: createUpdate(8).time + 100000 };
+  assert.strictEqual(send(late).time, late.time);
+  // A big haul of crystals
+  assert.strictEqual(send({ ...createUpdate(9), crystals: 900 }).crystals, 900);
+  assert.deepStrictEqual(sizes.slice(7), [36, 36, 36]);
+
+  // A player connecting gets a full update next
+  encoder.requestKeyframe();
+  assert.strictEqual(encoder.encode(createUpdate(10)).byteLength, 36);
+});
+
+test("bytes that aren't a packed update are refused", () => {
+  const encoder = new PlayerUpdateEncoder();
+  const keyframe = encoder.encode(createUpdate(0));
+  const delta = encoder.encode(createUpdate(1));
+
+  // Changes without the keyframe they build on
+  assert.throws(() => new PlayerUpdateDecoder().decode(delta), /before any keyframe/);
+
+  const decoder = new PlayerUpdateDecoder();
+  assert.throws(() => decoder.decode(new Uint8Array([1, 2, 3])), /Not a packed/);
+  assert.throws(() => decoder.decode(keyframe.slice(0, 30)), /has 30 bytes/);
+
+  // Node Buffers and typed arrays work as well as ArrayBuffers
+  const message = decoder.decode(Buffer.from(keyframe));
+  assert.strictEqual(message.score, 1000);
+  assert.strictEqual(decoder.decode(new Uint8Array(delta)).score, 1007);
+});
+
+test("players send and read packed updates", () => {
+  const sender = new MultiplayerManager("Ana", new THREE.Scene());
+  const receiver = new MultiplayerManager("Ben", new THREE.Scene());
+
+  // Ana connected to Ben, with a stand-in connection
+  const sent = [];
+  sender.connected = true;
+  sender.connections = [{ peer: "peer-b", open: true, send: (data) => sent.push(data) }];
+  receiver.handlePeerData("peer-a", { type: "hello", protocol: PROTOCOL_VERSION });
+  receiver.handlePeerData("peer-a", { type: "player_info", username: "Ana" });
+
+  const update = createUpdate(4);
+  sender.updatePlayerPosition(
+    update.position,
+    update.rotation,
+    update.state,
+    update.score,
+    update.crystals,
+    update.distance
+  );
+  assert.ok(sent[0] instanceof ArrayBuffer);
+
+  receiver.handlePeerData("peer-a", sent[0]);
+  const ana = receiver.remotePlayers["peer-a"];
+  assert.strictEqual(ana.score, update.score);
+  assertClose(ana.position.z, update.position.z, 0.005, "z");
+  assert.strictEqual(ana.state.isJumping, false);
+
+  // Garbage on the connection is dropped and counted
+  receiver.handlePeerData("peer-a", new Uint8Array([0xb1, 8, 0]));
+  assert.strictEqual(receiver.protocolStats.invalid, 1);
+});
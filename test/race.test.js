@@ -0,0 +1,385 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("three");
+const { Game } = require("../src/game/game");
+const { HeadlessGameUI } = require("../src/game/gameUI");
+const { RaceSession } = require("../src/game/raceSession");
+const { RunVerifier } = require("../src/game/runVerifier");
+const { MultiplayerManager } = require("../src/game/multiplayer");
+const { PROTOCOL_VERSION } = require("../src/game/peerProtocol");
+const {
+  createHeadlessGame,
+  runSimulation,
+} = require("../src/game/simulation");
+
+const participants = [
+  { peerId: "me", username: "Ana" },
+  { peerId: "ben", username: "Ben" },
+  { peerId: "cy", username: "Cy" },
+];
+
+test("runners are placed by distance, then score", () => {
+  const race = new RaceSession(participants, "me");
+
+  race.updateProgress("ben", 300, 900);
+  race.finish("me", { distance: 500, score: 1000 });
+  assert.strictEqual(race.isComplete(), false);
+
+  race.finish("cy", { distance: 500, score: 1200 });
+  race.drop("ben");
+  assert.strictEqual(race.isComplete(), true);
+
+  const placements = race.getPlacements();
+  assert.deepStrictEqual(
+    placements.map((runner) => [runner.place, runner.username]),
+    [
+      [1, "Cy"],
+      [2, "Ana"],
+      [3, "Ben"],
+    ]
+  );
+  assert.strictEqual(placements[1].isLocal, true);
+  assert.strictEqual(placements[2].left, true);
+  assert.strictEqual(placements[2].distance, 300);
+
+  // Finished runners don't change any more
+  race.updateProgress("cy", 900, 5000);
+  assert.strictEqual(race.finish("cy", { distance: 900 }), false);
+  assert.strictEqual(race.getPlacements()[0].distance, 500);
+});
+
+test("a race waits for the start time and shows results at the end", () => {
+  const ui = new HeadlessGameUI();
+  const game = createHeadlessGame({ seed: 1, ui });
+  const startsAt = Date.now() + 3000;
+
+  game.startRace({ seed: 4, startsAt, participants }, "me");
+  assert.strictEqual(game.seed, 4);
+
+  // Counting down - no head start
+  assert.strictEqual(game.updateRaceCountdown(startsAt - 2500), true);
+  assert.strictEqual(ui.lastMessage, "3");
+  game.jump();
+  assert.strictEqual(game.pendingInputs.length, 0);
+
+  assert.strictEqual(game.updateRaceCountdown(startsAt), false);
+  assert.strictEqual(ui.lastMessage, "GO!");
+
+  // Run with no input until the first deadly obstacle
+  runSimulation({ game, maxSeconds: 60, controller: null });
+  assert.strictEqual(game.isGameOver, true);
+  assert.strictEqual(ui.raceResults.complete, false);
+
+  // The others finish over the network
+  game.race.finish("ben", { distance: 10, score: 5 });
+  game.race.finish("cy", { distance: 99999, score: 5 });
+  game.updateRaceResults();
+  assert.strictEqual(ui.raceResults.complete, true);
+  assert.deepStrictEqual(
+    ui.raceResults.placements.map((runner) => runner.username),
+    ["Cy", "Ana", "Ben"]
+  );
+  assert.strictEqual(
+    ui.raceResults.placements[1].distance,
+    game.distanceTraveled
+  );
+
+  // Restarting leaves the race
+  game.restart();
+  assert.strictEqual(game.race, null);
+  assert.strictEqual(ui.raceResults, null);
+});
+
+// Obstacles, crystals and powerups of each chunk a game builds, by chunk
+// index
+function recordLayouts(game) {
+  const layouts = new Map();
+  const world = game.world;
+  const generate = world.generateChunkFromSegment.bind(world);
+
+  world.generateChunkFromSegment = (segment) => {
+    const chunk = generate(segment);
+    if (chunk) {
+      const describe = (object) =>
+        [
+          object.userData.obstacleType || object.userData.type,
+          object.position.x.toFixed(3),
+          object.position.y.toFixed(3),
+          object.position.z.toFixed(3),
+        ].join(" ");
+      layouts.set(chunk.index, {
+        obstacles: chunk.obstacles.map(describe),
+        crystals: chunk.crystals.map(describe),
+        powerups: chunk.powerups.map(describe),
+      });
+    }
+    return chunk;
+  };
+  return layouts;
+}
+
+test("everyone in a race runs the same course, boosted or not", () => {
+  const race = { seed: 77, startsAt: 0, participants };
+
+  // One runner keeps a speed boost going, the other never takes one. Both
+  // pass through obstacles so they get far enough to compare.
+  const [steady, boosted] = [false, true].map((boosting) => {
+    const game = createHeadlessGame({ seed: boosting ? 5 : 6 });
+    const layouts = recordLayouts(game);
+    game.startRace(race, "me");
+    game.updateRaceCountdown(0);
+    game.ghostActive = true;
+
+    const booster = {
+      update(current) {
+        if (boosting && current.speedBoostTimer === null) {
+          current.activateSpeedBoost();
+        }
+      },
+    };
+    runSimulation({ game, maxSeconds: 300, controller: booster });
+    return { game, layouts };
+  });
+
+  assert.ok(boosted.game.distanceTraveled > steady.game.distanceTraveled + 500);
+  assert.strictEqual(steady.game.currentDifficulty, "medium");
+
+  let compared = 0;
+  steady.layouts.forEach((layout, index) => {
+    if (!boosted.layouts.has(index)) return;
+
+    assert.deepStrictEqual(boosted.layouts.get(index), layout, `chunk ${index}`);
+    compared++;
+  });
+  assert.ok(compared > 200, `only ${compared} chunks compared`);
+});
+
+// A run of the race course that ends at the first deadly obstacle, with a
+// jump on the way so there are inputs to check
+function recordRun(seed) {
+  const jumpOnce = {
+    update(game) {
+      if (game.loop.tick === 30) game.jump();
+    },
+  };
+  const run = runSimulation({ seed, maxSeconds: 60, controller: jumpOnce });
+  assert.ok(run.replay.inputs.length > 0);
+
+  return {
+    score: run.score,
+    distance: run.distance,
+    inputs: run.replay.inputs,
+    steps: run.replay.steps,
+  };
+}
+
+function checkRun(seed, claim) {
+  const verifier = new RunVerifier(
+    createHeadlessGame({ seed }),
+    seed,
+    { ...claim, peerId: "ben" }
+  );
+  while (!verifier.advance(100));
+  return verifier.result;
+}
+
+test("runs are checked by playing their inputs back", () => {
+  const claim = recordRun(11);
+
+  const honest = checkRun(11, claim);
+  assert.strictEqual(honest.verified, true);
+  assert.strictEqual(honest.score, claim.score);
+
+  const padded = checkRun(11, { ...claim, score: claim.score + 5000 });
+  assert.strictEqual(padded.verified, false);
+  assert.match(padded.reason, /^Score was/);
+
+  // The same inputs on another course don't add up either
+  assert.strictEqual(checkRun(12, claim).verified, false);
+
+  const noInputs = checkRun(11, { score: claim.score, distance: claim.distance });
+  assert.deepStrictEqual(
+    [noInputs.verified, noInputs.reason],
+    [false, "No inputs sent"]
+  );
+});
+
+test("race checks run on a copy without scenery, a few milliseconds a frame", () => {
+  const claim = recordRun(11);
+  const host = createHeadlessGame({ seed: 11 });
+  const copy = host.createHeadlessCopy(11, "Ben");
+
+  assert.ok(!copy.world.sceneryObjects || copy.world.sceneryObjects.length === 0);
+  assert.ok(copy.scene.children.length < host.scene.children.length);
+
+  // The copy still plays the run back exactly
+  const verifier = new RunVerifier(copy, 11, { ...claim, peerId: "ben" });
+  host.raceChecks.push(verifier);
+
+  host.advanceRaceChecks(0);
+  assert.strictEqual(copy.loop.tick, 0);
+
+  // A whole run can't be played back in 2ms, so it stops partway
+  host.advanceRaceChecks(2);
+  assert.ok(copy.loop.tick > 0);
+  assert.strictEqual(host.raceChecks.length, 1);
+
+  while (!verifier.advance(100));
+  assert.strictEqual(verifier.result.verified, true);
+  assert.strictEqual(verifier.result.score, claim.score);
+});
+
+test("the host's verdicts decide a checked race", () => {
+  const ui = new HeadlessGameUI();
+  const game = createHeadlessGame({ seed: 1, ui });
+  game.startRace(
+    { seed: 11, startsAt: 0, participants: participants.slice(0, 3), verifyScores: true },
+    "me"
+  );
+  game.updateRaceCountdown(0);
+
+  // Without a room we are the host, and our own run counts as it is
+  runSimulation({ game, maxSeconds: 60, controller: null });
+  assert.strictEqual(game.race.runners.get("me").verdict, "verified");
+
+  const honest = recordRun(11);
+  game.race.finish("ben", honest);
+  game.checkRaceRun("ben", honest);
+
+  const faked = { ...honest, score: 999999, distance: 99999 };
+  game.race.finish("cy", faked);
+  game.checkRaceRun("cy", faked);
+  assert.strictEqual(ui.raceResults.complete, false);
+
+  while (game.raceChecks.length > 0) {
+    game.advanceRaceChecks(500);
+  }
+  assert.strictEqual(ui.raceResults.complete, true);
+
+  // The faked run goes last, however far it says it got
+  const placements = ui.raceResults.placements;
+  assert.deepStrictEqual(
+    placements.map((runner) => runner.verdict),
+    ["verified", "verified", "rejected"]
+  );
+  assert.strictEqual(placements[2].username, "Cy");
+});
+
+// A headless game in a room hosted by Ben, with Ben and Cy connected
+function createRoomGame(peerId, seed) {
+  const manager = new MultiplayerManager("Ana", new THREE.Scene());
+  manager.peerId = peerId;
+  manager.hostPeerId = "ben";
+  ["ben", "cy"].forEach((remoteId) => {
+    manager.remotePlayers[remoteId] = {
+      peerId: remoteId,
+      username: remoteId === "ben" ? "Ben" : "Cy",
+    };
+    manager.handlePeerData(remoteId, { type: "hello", protocol: PROTOCOL_VERSION });
+  });
+
+  const ui = new HeadlessGameUI();
+  const game = new Game(null, "Ana", null, seed, {
+    ui,
+    multiplayerManager: manager,
+    ghostStore: null,
+  });
+  return { game, manager, ui };
+}
+
+function sendPosition(manager, peerId, z, time) {
+  manager.handlePeerData(peerId, {
+    type: "player_update",
+    time,
+    position: { x: 0, y: 0.5, z },
+    state: {},
+    score: Math.round(z),
+    distance: z,
+  });
+}
+
+test("runners who are out watch the others and rejoin for the next round", () => {
+  const { game, manager, ui } = createRoomGame("me", 4);
+  game.startRace({ seed: 4, startsAt: Date.now() - 1, participants }, "me");
+  game.updateRaceCountdown(Date.now());
+  runSimulation({ game, maxSeconds: 60, controller: null });
+  assert.strictEqual(game.isGameOver, true);
+
+  // The camera moves on to the first runner still going
+  sendPosition(manager, "ben", 10, 1000);
+  sendPosition(manager, "cy", 3000, 1000);
+  game.updateSpectator();
+  assert.strictEqual(game.isSpectating, true);
+  assert.strictEqual(ui.spectator.username, "Ben");
+  assert.strictEqual(ui.spectator.score, 10);
+
+  // Left and right switch runners; the course is built out to them
+  game.handleInput("right");
+  assert.strictEqual(ui.spectator.username, "Cy");
+  assert.strictEqual(game.spectatorPosition.z, 3000);
+  assert.ok(game.world.trackPathLength > 3000);
+
+  game.handleInput("left");
+  assert.strictEqual(game.spectatorPosition.z, 10);
+  assert.ok(game.world.activeChunks[0].segment.startDistance <= 10);
+
+  // Runners who finish drop out
+  manager.handlePeerData("ben", { type: "race_finished", score: 10, distance: 10 });
+  game.updateSpectator();
+  assert.strictEqual(ui.spectator.username, "Cy");
+  manager.handlePeerData("cy", { type: "race_finished", score: 3000, distance: 3000 });
+  game.updateSpectator();
+  assert.strictEqual(ui.spectator.username, null);
+  assert.strictEqual(ui.raceResults.complete, true);
+
+  // Back in when the host starts the next round
+  manager.handlePeerData("ben", {
+    type: "lobby_start",
+    seed: 9,
+    startsAt: Date.now() + 3000,
+    participants,
+  });
+  assert.strictEqual(game.isSpectating, false);
+  assert.strictEqual(ui.spectator, null);
+  assert.strictEqual(game.seed, 9);
+  assert.strictEqual(game.race.hasRunner("me"), true);
+});
+
+test("players who join mid-race watch it and run the next one", () => {
+  const { game, manager } = createRoomGame("late", 1);
+  const race = {
+    type: "race_in_progress",
+    seed: 4,
+    startsAt: Date.now() - 5000,
+    participants,
+  };
+
+  // Only the host says a race is on
+  manager.handlePeerData("cy", race);
+  assert.strictEqual(manager.currentRace, null);
+  manager.handlePeerData("ben", race);
+  assert.strictEqual(manager.currentRace.seed, 4);
+
+  game.spectateRace(manager.currentRace);
+  assert.strictEqual(game.seed, 4);
+  assert.strictEqual(game.isSpectating, true);
+  assert.strictEqual(game.race.hasRunner("late"), false);
+  assert.strictEqual(game.player.mesh.visible, false);
+  assert.strictEqual(manager.ready, true);
+
+  // Spectators don't run
+  game.jump();
+  assert.strictEqual(game.pendingInputs.length, 0);
+
+  manager.handlePeerData("ben", {
+    type: "lobby_start",
+    seed: 9,
+    startsAt: Date.now() + 3000,
+    participants: participants.concat({ peerId: "late", username: "Ana" }),
+  });
+  assert.strictEqual(game.isSpectating, false);
+  assert.strictEqual(game.isGameOver, false);
+  assert.strictEqual(game.player.mesh.visible, true);
+  assert.strictEqual(game.race.hasRunner("late"), true);
+});
@@ -0,0 +1,96 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  encodeInputs,
+  decodeInputs,
+  parseReplay,
+  serializeReplay,
+  replayToFragment,
+  replayFromFragment,
+} = require("../src/game/replay");
+const {
+  createHeadlessGame,
+  runSimulation,
+} = require("../src/game/simulation");
+
+test("inputs survive encoding and decoding", () => {
+  const events = [
+    { tick: 0, action: "jump", value: null },
+    { tick: 100, action: "left", value: null },
+    { tick: 100, action: "slide", value: null },
+    { tick: 2000, action: "selectPowerup", value: 2 },
+    { tick: 2001, action: "cyclePowerup", value: -1 },
+    { tick: 2001, action: "usePowerup", value: null },
+  ];
+
+  const text = encodeInputs(events);
+  assert.strictEqual(text, "J.2sL.S.1gs3.1c.U");
+  assert.deepStrictEqual(decodeInputs(text), events);
+});
+
+test("malformed replays are rejected", () => {
+  assert.throws(() => decodeInputs("2sX"));
+  assert.throws(() => decodeInputs("J..L"));
+  assert.throws(() => parseReplay("not json"));
+  assert.throws(() => parseReplay(JSON.stringify({ version: 99, seed: 1 })));
+  assert.throws(() => parseReplay(JSON.stringify({ version: 1, seed: "x" })));
+});
+
+test("a replay link decodes to the same replay", () => {
+  const replay = {
+    version: 1,
+    seed: 12345,
+    username: "Zoë",
+    stepRate: 60,
+    inputs: "J.2sL",
+    score: 10,
+  };
+
+  const hash = "#" + replayToFragment(replay);
+  assert.match(hash, /^#replay=[A-Za-z0-9_-]+$/);
+  assert.deepStrictEqual(replayFromFragment(hash), replay);
+  assert.strictEqual(replayFromFragment("#other=1"), null);
+});
+
+test("playing a recorded run gives the same result", () => {
+  // Steer through Game's input methods, so the run is recorded
+  const controller = {
+    update(game) {
+      const tick = game.loop.tick;
+      if (tick % 90 === 30) game.jump();
+      if (tick % 150 === 60) game.moveLeft();
+      if (tick % 150 === 120) game.moveRight();
+      if (tick % 200 === 10) game.slide();
+    },
+  };
+
+  const recorded = runSimulation({ seed: 11, maxSeconds: 60, controller });
+  assert.ok(recorded.replay.inputs.length > 0);
+
+  // In a fresh game, from a saved file
+  const replay = parseReplay(serializeReplay(recorded.replay));
+  const played = runSimulation({ replay, maxSeconds: 60 });
+  assert.strictEqual(played.seed, recorded.seed);
+  assert.strictEqual(played.score, recorded.score);
+  assert.strictEqual(played.crystals, recorded.crystals);
+  assert.strictEqual(played.steps, recorded.steps);
+  assert.strictEqual(played.replay.inputs, recorded.replay.inputs);
+
+  // And again in a game that already played another run
+  const game = createHeadlessGame({ seed: 3 });
+  game.runSteps(200);
+  const replayed = runSimulation({ game, replay, maxSeconds: 60 });
+  assert.strictEqual(replayed.score, recorded.score);
+  assert.strictEqual(replayed.steps, recorded.steps);
+});
+
+test("player input is ignored while a replay plays", () => {
+  const recorded = runSimulation({ seed: 5, maxSeconds: 10, controller: null });
+  const game = createHeadlessGame({ seed: 5 });
+
+  game.playReplay(recorded.replay);
+  game.jump();
+  game.runSteps(30);
+  assert.strictEqual(game.player.isJumping, false);
+});
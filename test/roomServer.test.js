@@ -0,0 +1,252 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const THREE = require("three");
+const WebSocket = require("ws");
+const { RoomServer } = require("../src/server/roomServer");
+const {
+  MultiplayerManager,
+  parseServerUrl,
+} = require("../src/game/multiplayer");
+
+let server;
+let port;
+
+test.before(() => {
+  server = new RoomServer();
+  return server.listen(0, "127.0.0.1").then((address) => {
+    port = address.port;
+  });
+});
+
+test.after(() => server.close());
+
+// Open a socket and collect what it receives
+function connect(path) {
+  const socket = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+  socket.received = [];
+  socket.waiters = [];
+
+  socket.on("message", (data) => {
+    socket.received.push(JSON.parse(data.toString()));
+    socket.waiters.forEach((check) => check());
+  });
+
+  return socket;
+}
+
+// Resolves with the first received message of a type
+function nextMessage(socket, type) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(
+      () => reject(new Error(`No "${type}" message`)),
+      2000
+    );
+    const check = () => {
+      const index = socket.received.findIndex((message) => message.type === type);
+      if (index === -1) return;
+
+      clearTimeout(timeout);
+      socket.waiters = socket.waiters.filter((waiter) => waiter !== check);
+      resolve(socket.received.splice(index, 1)[0]);
+    };
+    socket.waiters.push(check);
+    check();
+  });
+}
+
+function joinRoom(room, peer, username) {
+  return connect(`/rooms?room=${room}&peer=${peer}&username=${username}`);
+}
+
+test("room members are told who is there, who joins and who leaves", async () => {
+  const ana = joinRoom("abc", "peer-ana", "Ana");
+  const first = await nextMessage(ana, "room_peers");
+  assert.deepStrictEqual(first.peers, []);
+
+  const ben = joinRoom("abc", "peer-ben", "Ben");
+  const existing = await nextMessage(ben, "room_peers");
+  assert.deepStrictEqual(existing.peers, [{ peerId: "peer-ana", username: "Ana" }]);
+
+  const joined = await nextMessage(ana, "peer_joined");
+  assert.strictEqual(joined.peerId, "peer-ben");
+  assert.strictEqual(joined.username, "Ben");
+
+  // Other rooms are kept apart
+  const cy = joinRoom("other", "peer-cy", "Cy");
+  assert.deepStrictEqual((await nextMessage(cy, "room_peers")).peers, []);
+
+  ben.close();
+  const left = await nextMessage(ana, "peer_left");
+  assert.strictEqual(left.peerId, "peer-ben");
+  assert.deepStrictEqual(server.getRoomPeers("abc"), [
+    { peerId: "peer-ana", username: "Ana" },
+  ]);
+
+  ana.close();
+  cy.close();
+});
+
+test("the first player hosts and the next one takes over", async () => {
+  const host = joinRoom("hosted", "peer-1", "One");
+  assert.strictEqual((await nextMessage(host, "room_peers")).hostPeerId, "peer-1");
+
+  const second = joinRoom("hosted", "peer-2", "Two");
+  assert.strictEqual((await nextMessage(second, "room_peers")).hostPeerId, "peer-1");
+
+  host.close();
+  const changed = await nextMessage(second, "host_changed");
+  assert.strictEqual(changed.hostPeerId, "peer-2");
+
+  second.close();
+});
+
+test("rooms can be created and joined by code", async () => {
+  const missing = connect("/rooms?room=NOPE2&peer=p1&action=join");
+  await nextMessage(missing, "room_not_found");
+
+  const creator = connect("/rooms?room=CODE2&peer=p1&action=create");
+  await nextMessage(creator, "room_peers");
+
+  const taken = connect("/rooms?room=CODE2&peer=p2&action=create");
+  await nextMessage(taken, "room_exists");
+
+  const joiner = connect("/rooms?room=CODE2&peer=p3&action=join");
+  const peers = await nextMessage(joiner, "room_peers");
+  assert.deepStrictEqual(peers.peers.map((peer) => peer.peerId), ["p1"]);
+
+  creator.close();
+  joiner.close();
+});
+
+test("a full room turns new players away", async () => {
+  const small = new RoomServer({ maxRoomSize: 1 });
+  const address = await small.listen(0, "127.0.0.1");
+  const url = `ws://127.0.0.1:${address.port}/rooms?room=full&peer=`;
+
+  const first = new WebSocket(url + "a");
+  await new Promise((resolve) => first.on("message", resolve));
+
+  const second = new WebSocket(url + "b");
+  const reply = await new Promise((resolve) =>
+    second.on("message", (data) => resolve(JSON.parse(data.toString())))
+  );
+  assert.strictEqual(reply.type, "room_full");
+
+  first.close();
+  await small.close();
+});
+
+test("a client sending a bad frame is dropped and the server keeps going", async () => {
+  const ana = joinRoom("frames", "peer-ana", "Ana");
+  await nextMessage(ana, "room_peers");
+  const ben = joinRoom("frames", "peer-ben", "Ben");
+  await nextMessage(ben, "room_peers");
+  await nextMessage(ana, "peer_joined");
+
+  // A masked, empty frame with the reserved opcode 3
+  ben.on("error", () => {});
+  ben._socket.write(Buffer.from([0x83, 0x80, 0, 0, 0, 0]));
+
+  const left = await nextMessage(ana, "peer_left");
+  assert.strictEqual(left.peerId, "peer-ben");
+
+  const cy = joinRoom("frames", "peer-cy", "Cy");
+  const peers = await nextMessage(cy, "room_peers");
+  assert.deepStrictEqual(peers.peers.map((peer) => peer.peerId), ["peer-ana"]);
+
+  ana.close();
+  cy.close();
+});
+
+test("the server hands out PeerJS IDs and relays signaling", async () => {
+  const response = await fetch(`http://127.0.0.1:${port}/peerjs/id`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get("access-control-allow-origin"), "*");
+  const id = await response.text();
+  assert.ok(id.length > 0);
+
+  const alice = connect(`/peerjs?key=peerjs&id=${id}&token=t1`);
+  const bob = connect("/peerjs?key=peerjs&id=bob&token=t2");
+  await nextMessage(alice, "OPEN");
+  await nextMessage(bob, "OPEN");
+
+  // The same ID with another token is refused
+  const impostor = connect("/peerjs?key=peerjs&id=bob&token=other");
+  await nextMessage(impostor, "ID-TAKEN");
+
+  alice.send(JSON.stringify({ type: "OFFER", dst: "bob", payload: { sdp: "x" } }));
+  const offer = await nextMessage(bob, "OFFER");
+  assert.deepStrictEqual(offer, {
+    type: "OFFER",
+    src: id,
+    dst: "bob",
+    payload: { sdp: "x" },
+  });
+
+  // Offers to peers that are not there expire
+  alice.send(JSON.stringify({ type: "CANDIDATE", dst: "nobody", payload: {} }));
+  const expired = await nextMessage(alice, "EXPIRE");
+  assert.strictEqual(expired.src, "nobody");
+
+  alice.close();
+  bob.close();
+});
+
+test("joinRoom connects to the peers already in the room", async () => {
+  const waiting = joinRoom("lan-room", "peer-host", "Host");
+  await nextMessage(waiting, "room_peers");
+
+  global.WebSocket = WebSocket;
+  const manager = new MultiplayerManager("Guest", new THREE.Scene(), {
+    serverUrl: `127.0.0.1:${port}`,
+  });
+  manager.roomId = "lan-room";
+  manager.peerId = "peer-guest";
+  manager.connected = true;
+
+  // Stand-in for PeerJS that records who we dial
+  const dialed = [];
+  manager.peer = {
+    destroyed: false,
+    connect(peerId) {
+      dialed.push(peerId);
+      return { peer: peerId, open: false, on() {}, close() {} };
+    },
+    disconnect() {},
+  };
+
+  try {
+    manager.joinRoom({ peerId: "peer-guest", username: "Guest" });
+    const joined = await nextMessage(waiting, "peer_joined");
+    assert.strictEqual(joined.username, "Guest");
+    assert.deepStrictEqual(dialed, ["peer-host"]);
+
+    // A peer that leaves the room is dropped
+    waiting.close();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.strictEqual(manager.connections.length, 0);
+  } finally {
+    manager.disconnect();
+    delete global.WebSocket;
+  }
+});
+
+test("server addresses are read from host, host:port or a URL", () => {
+  assert.deepStrictEqual(parseServerUrl("192.168.1.10"), {
+    host: "192.168.1.10",
+    port: 9000,
+    secure: false,
+  });
+  assert.deepStrictEqual(parseServerUrl("game.lan:9100"), {
+    host: "game.lan",
+    port: 9100,
+    secure: false,
+  });
+  assert.deepStrictEqual(parseServerUrl("https://rooms.example.com:8443"), {
+    host: "rooms.example.com",
+    port: 8443,
+    secure: true,
+  });
+  assert.strictEqual(parseServerUrl(""), null);
+});
@@ -0,0 +1,161 @@
+require("./helpers/setup");
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createWorld,
+  firstChunk,
+  addObstacle,
+  addCrystal,
+  hitboxAt,
+} = require("./helpers/world");
+
+// Where an object sits in track space
+function trackPositionOf(object) {
+  return object.userData.trackPosition;
+}
+
+test("checkCollisions reports an obstacle the hitbox overlaps", () => {
+  const world = createWorld();
+  const chunk = firstChunk(world);
+  const obstacle = addObstacle(world, chunk, -1.5, 5, { obstacle: "asteroid" });
+  const position = trackPositionOf(obstacle);
+
+  const collisions = world.checkCollisions(
+    hitboxAt(position.x, 0, position.z)
+  );
+  const hit = collisions.find((collision) => collision.object === obstacle);
+
+  assert.ok(hit, "obstacle was hit");
+  assert.strictEqual(hit.type, "obstacle");
+  assert.strictEqual(hit.deadly, true);
+});
+
+test("checkCollisions ignores obstacles in other lanes", () => {
+  const world = createWorld();
+  const chunk = firstChunk(world);
+  const obstacle = addObstacle(world, chunk, -1.5, 5, { obstacle: "asteroid" });
+  const position = trackPositionOf(obstacle);
+
+  const collisions = world.checkCollisions(
+    hitboxAt(position.x + 2 * world.laneWidth, 0, position.z)
+  );
+  assert.ok(!collisions.some((collision) => collision.object === obstacle));
+});
+
+test("low barriers can be jumped and overhead beams slid under", () => {
+  const world = createWorld();
+  const chunk = firstChunk(world);
+  const barrier = addObstacle(world, chunk, 1.5, 8, {
+    obstacle: "lowBarrier",
+    heightClass: "low",
+  });
+  const beam = addObstacle(world, chunk, -1.5, 8, {
+    obstacle: "overheadBeam",
+    heightClass: "overhead",
+  });
+
+  const barrierAt = trackPositionOf(barrier);
+  const hitsBarrier = (y) =>
+    world
+      .checkCollisions(hitboxAt(barrierAt.x, y, barrierAt.z))
+      .some((collision) => collision.object === barrier);
+  assert.strictEqual(hitsBarrier(0), true);
+  assert.strictEqual(hitsBarrier(2), false);
+
+  const beamAt = trackPositionOf(beam);
+  const hitsBeam = (height) =>
+    world
+      .checkCollisions(hitboxAt(beamAt.x, 0, beamAt.z, 0.8, height, 1.2))
+      .some((collision) => collision.object === beam);
+  assert.strictEqual(hitsBeam(1.8), true);
+  assert.strictEqual(hitsBeam(0.9), false);
+
+  // Neither of them ends the run
+  assert.strictEqual(barrier.userData.deadly, false);
+  assert.strictEqual(beam.userData.deadly, false);
+});
+
+test("collectItem returns the crystal value and removes it from play", () => {
+  const world = createWorld();
+  const chunk = firstChunk(world);
+  const crystal = addCrystal(world, chunk, 0.5, 6);
+  const position = trackPositionOf(crystal);
+  const hitbox = hitboxAt(position.x, 0, position.z);
+
+  const found = world
+    .checkCollisions(hitbox)
+    .find((collision) => collision.object === crystal);
+  assert.ok(found, "crystal was touched");
+  assert.strictEqual(found.type, "crystal");
+
+  assert.strictEqual(world.collectItem(crystal), 1);
+  assert.strictEqual(crystal.collected, true);
+  assert.strictEqual(crystal.visible, false);
+
+  // Can't be collected twice
+  assert.ok(
+    !world.checkCollisions(hitbox).some((c) => c.object === crystal)
+  );
+});
+
+test("collectItem returns 0 for objects that aren't in the world", () => {
+  const world = createWorld();
+  const chunk = firstChunk(world);
+  const obstacle = addObstacle(world, chunk, 0.5, 5, {});
+
+  assert.strictEqual(world.collectItem(obstacle), 0);
+  assert.strictEqual(world.collectItem(null), undefined);
+});
+
+test("manageChunks keeps track generated ahead of the player", () => {
+  const world = createWorld();
+
+  for (let z = 0; z <= 2000; z += 50) {
+    world.manageChunks({ x: 0, y: 0, z: z });
+    assert.ok(
+      world.trackPathLength - z >= world.visibleDistance,
+      `track runs out at z=${z}`
+    );
+  }
+});
+
+test("manageChunks drops chunks once they are behind the player", () => {
+  const world = createWorld();
+  const playerZ = 1500;
+
+  world.manageChunks({ x: 0, y: 0, z: playerZ });
+
+  world.activeChunks.forEach((chunk) => {
+    if (!chunk.segment) return;
+    const chunkEnd = chunk.segment.startDistance + chunk.segment.length;
+    assert.ok(playerZ - chunkEnd <= world.chunkSize);
+  });
+
+  // Dropped chunks leave the collision index too
+  const early = world.checkCollisions({
+    min: { x: -6, y: 0, z: 0 },
+    max: { x: 6, y: 5, z: 200 },
+  });
+  assert.strictEqual(early.length, 0);
+});
+
+test("the same seed builds the same course", () => {
+  const layout = (world) => {
+    world.manageChunks({ x: 0, y: 0, z: 600 });
+    const obstacles = [];
+    world.activeChunks.forEach((chunk) => {
+      (chunk.obstacles || []).forEach((obstacle) => {
+        const position = obstacle.userData.trackPosition;
+        obstacles.push(
+          `${obstacle.userData.obstacleType}@${position.x.toFixed(2)},${position.z.toFixed(2)}`
+        );
+      });
+    });
+    return obstacles;
+  };
+
+  const first = layout(createWorld(99));
+  assert.ok(first.length > 0);
+  assert.deepStrictEqual(layout(createWorld(99)), first);
+  assert.notDeepStrictEqual(layout(createWorld(100)), first);
+});